@@ -17,6 +17,18 @@ const commentRoutes = require('./src/routes/comments');
 const placesRoutes = require('./src/routes/places');
 const rewardsRoutes = require('./src/routes/rewards');
 const uploadRoutes = require('./src/routes/upload');
+const collectionRoutes = require('./src/routes/collections');
+const notificationRoutes = require('./src/routes/notifications');
+const tagRoutes = require('./src/routes/tags');
+const storyRoutes = require('./src/routes/stories');
+const tripRoutes = require('./src/routes/trips');
+
+// Background jobs
+const { scheduleJob } = require('./src/services/scheduler');
+const { processDueDeletions } = require('./src/services/accountDeletion');
+const { processDueScheduledPosts } = require('./src/services/postPublishing');
+const { processPendingVideos } = require('./src/services/videoProcessing');
+const { removeExpiredStoryImages } = require('./src/services/storyMedia');
 
 // Initialize express app
 const app = express();
@@ -85,6 +97,11 @@ app.use('/api/comments', commentRoutes);
 app.use('/api/places', placesRoutes);
 app.use('/api/rewards', rewardsRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/stories', storyRoutes);
+app.use('/api/trips', tripRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -100,7 +117,12 @@ app.get('/', (req, res) => {
       comments: '/api/comments',
       places: '/api/places',
       rewards: '/api/rewards',
-      upload: '/api/upload'
+      upload: '/api/upload',
+      collections: '/api/collections',
+      notifications: '/api/notifications',
+      tags: '/api/tags',
+      stories: '/api/stories',
+      trips: '/api/trips'
     }
   });
 });
@@ -117,8 +139,8 @@ app.get('/api/docs', (req, res) => {
     authentication: {
       type: 'Bearer Token (JWT)',
       header: 'Authorization: Bearer <your-token>',
-      tokenExpiration: '7 days',
-      note: 'Include JWT token in Authorization header for protected endpoints'
+      tokenExpiration: '15 minutes (access token), 30 days (refresh token)',
+      note: 'Include JWT token in Authorization header for protected endpoints. Exchange the refresh token at /api/auth/refresh-token for a new pair; each refresh token can only be used once.'
     },
     responseFormat: {
       success: {
@@ -134,7 +156,8 @@ app.get('/api/docs', (req, res) => {
     },
     rateLimits: {
       general: '1000 requests per 15 minutes per IP',
-      authentication: '5-10 requests per 15 minutes per IP (varies by endpoint)'
+      authentication: '3-30 requests per window per IP and per account (varies by endpoint); 429 responses include Retry-After',
+      accountLockout: 'Repeated failed logins lock the account with increasing duration; an unlock link is emailed'
     },
     endpoints: {
       authentication: {
@@ -160,12 +183,78 @@ app.get('/api/docs', (req, res) => {
             body: {
               email: 'string (valid email)',
               password: 'string'
+            },
+            note: 'If 2FA is enabled, returns { twoFactorRequired: true, challengeToken } instead of tokens'
+          },
+          {
+            method: 'POST',
+            path: '/login/2fa',
+            description: 'Complete login for accounts with two-factor authentication',
+            access: 'Public',
+            body: {
+              challengeToken: 'string (from /login)',
+              code: 'string (6-digit authenticator code)',
+              recoveryCode: 'string (alternative to code, single use)'
+            }
+          },
+          {
+            method: 'POST',
+            path: '/otp/request',
+            description: 'Text a 6-digit code for phone login, or to verify a new number (purpose verify_phone, requires auth)',
+            access: 'Public',
+            body: {
+              phoneNumber: 'string (E.164, or 10-digit Indian mobile)',
+              purpose: 'login | verify_phone (optional, default login)'
+            }
+          },
+          {
+            method: 'POST',
+            path: '/otp/verify',
+            description: 'Log in with a phone code (same response as /login), or confirm a new number',
+            access: 'Public',
+            body: {
+              phoneNumber: 'string',
+              code: 'string (6 digits)',
+              purpose: 'login | verify_phone (optional, default login)'
+            }
+          },
+          {
+            method: 'GET',
+            path: '/oidc/providers',
+            description: 'List configured sign-in providers (OpenID Connect)',
+            access: 'Public'
+          },
+          {
+            method: 'GET',
+            path: '/oidc/:provider/authorize',
+            description: 'Get the provider authorization URL, state and a loginToken to keep for the callback',
+            access: 'Public'
+          },
+          {
+            method: 'POST',
+            path: '/oidc/:provider/callback',
+            description: 'Finish provider sign-in. Links to an existing account by verified email; new users get usernameRequired + signupToken. When linking, send the same Authorization header as for /identities/:provider/link',
+            access: 'Public',
+            body: {
+              code: 'string (from provider redirect)',
+              state: 'string (from provider redirect)',
+              loginToken: 'string (from /authorize)'
+            }
+          },
+          {
+            method: 'POST',
+            path: '/oidc/signup',
+            description: 'Create the account on first provider login',
+            access: 'Public',
+            body: {
+              signupToken: 'string (from /callback)',
+              username: 'string (3-30 chars, alphanumeric + underscore)'
             }
           },
           {
             method: 'POST',
             path: '/logout',
-            description: 'Logout user',
+            description: 'Logout user (revokes the current session)',
             access: 'Private'
           },
           {
@@ -177,8 +266,132 @@ app.get('/api/docs', (req, res) => {
           {
             method: 'POST',
             path: '/refresh-token',
-            description: 'Refresh JWT token',
+            description: 'Exchange a refresh token for a new token pair',
+            access: 'Public',
+            body: {
+              refreshToken: 'string (from login, signup or previous refresh)'
+            }
+          },
+          {
+            method: 'POST',
+            path: '/request-password-reset',
+            description: 'Email a single-use password reset link',
+            access: 'Public',
+            body: {
+              email: 'string (valid email)'
+            }
+          },
+          {
+            method: 'POST',
+            path: '/reset-password',
+            description: 'Set a new password with a reset token (signs out all sessions)',
+            access: 'Public',
+            body: {
+              token: 'string (from reset email)',
+              password: 'string (min 6 chars, mixed case + number)'
+            }
+          },
+          {
+            method: 'GET',
+            path: '/verify-email/:token',
+            description: 'Verify email address with the token sent at signup',
+            access: 'Public',
+            parameters: { token: 'string (from verification email)' }
+          },
+          {
+            method: 'POST',
+            path: '/resend-verification',
+            description: 'Resend the email verification link',
+            access: 'Private'
+          },
+          {
+            method: 'POST',
+            path: '/request-unlock',
+            description: 'Email a fresh unlock link for an account locked after failed logins',
+            access: 'Public',
+            body: {
+              email: 'string (valid email)'
+            }
+          },
+          {
+            method: 'GET',
+            path: '/unlock/:token',
+            description: 'Unlock an account with the link from the lockout email',
+            access: 'Public',
+            parameters: { token: 'string (from lockout email)' }
+          },
+          {
+            method: 'GET',
+            path: '/identities',
+            description: 'List linked sign-in provider accounts and whether a password is set',
+            access: 'Private'
+          },
+          {
+            method: 'GET',
+            path: '/identities/:provider/link',
+            description: 'Start linking another provider account (finish with /oidc/:provider/callback)',
             access: 'Private'
+          },
+          {
+            method: 'DELETE',
+            path: '/identities/:identityId',
+            description: 'Unlink a provider account (the last sign-in method can only be removed if a password is set)',
+            access: 'Private'
+          },
+          {
+            method: 'GET',
+            path: '/sessions',
+            description: 'List active sessions (device, user agent, IP, created and last used time)',
+            access: 'Private'
+          },
+          {
+            method: 'DELETE',
+            path: '/sessions',
+            description: 'Sign out of all other sessions',
+            access: 'Private'
+          },
+          {
+            method: 'DELETE',
+            path: '/sessions/:sessionId',
+            description: 'Revoke a specific session',
+            access: 'Private',
+            parameters: { sessionId: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'GET',
+            path: '/2fa',
+            description: 'Get two-factor authentication status',
+            access: 'Private'
+          },
+          {
+            method: 'POST',
+            path: '/2fa/setup',
+            description: 'Start 2FA enrollment (returns secret, otpauth URI and QR code data URL)',
+            access: 'Private'
+          },
+          {
+            method: 'POST',
+            path: '/2fa/enable',
+            description: 'Confirm 2FA enrollment and receive one-time recovery codes',
+            access: 'Private',
+            body: { code: 'string (6-digit authenticator code)' }
+          },
+          {
+            method: 'POST',
+            path: '/2fa/disable',
+            description: 'Disable 2FA',
+            access: 'Private',
+            body: {
+              password: 'string (required if the account has a password)',
+              code: 'string (or recoveryCode)'
+            }
+          },
+          {
+            method: 'POST',
+            path: '/2fa/recovery-codes',
+            description: 'Regenerate recovery codes',
+            access: 'Private',
+            body: { code: 'string (6-digit authenticator code)' }
           }
         ]
       },
@@ -222,6 +435,95 @@ app.get('/api/docs', (req, res) => {
             path: '/me/points',
             description: 'Get current user points and transactions',
             access: 'Private'
+          },
+          {
+            method: 'DELETE',
+            path: '/me',
+            description: 'Delete own account (deactivated now, anonymised after the grace period; log in again to cancel). Accounts without a password get an email link first (202) and send its token back to confirm',
+            access: 'Private',
+            body: {
+              password: 'string (accounts with a password)',
+              confirmationToken: 'string (from the emailed link, accounts without a password)'
+            }
+          },
+          {
+            method: 'GET',
+            path: '/me/wishlist',
+            description: 'Get own wishlist of places',
+            access: 'Private'
+          },
+          {
+            method: 'GET',
+            path: '/me/saved',
+            description: 'Get own saved posts, newest save first. Each post has savedAt and the IDs of the collections it is in',
+            access: 'Private',
+            query: {
+              collection: 'MongoDB ObjectId (optional, only posts in this collection)',
+              cursor: 'string (optional, from pagination.nextCursor)',
+              limit: 'number (optional, max 100)'
+            }
+          },
+          {
+            method: 'GET',
+            path: '/me/blocked',
+            description: 'Get users you have blocked',
+            access: 'Private'
+          },
+          {
+            method: 'GET',
+            path: '/me/tags',
+            description: 'Get hashtags you follow',
+            access: 'Private'
+          },
+          {
+            method: 'GET',
+            path: '/me/close-friends',
+            description: 'Get your close friends (they can see your close_friends posts)',
+            access: 'Private'
+          },
+          {
+            method: 'POST',
+            path: '/me/close-friends/:userId',
+            description: 'Add a user to your close friends',
+            access: 'Private',
+            parameters: { userId: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'DELETE',
+            path: '/me/close-friends/:userId',
+            description: 'Remove a user from your close friends',
+            access: 'Private',
+            parameters: { userId: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'POST',
+            path: '/:userId/block',
+            description: 'Block user: removes follows and close friends both ways, hides each side\'s posts from the other and stops either side following or @mentioning the other',
+            access: 'Private',
+            parameters: { userId: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'DELETE',
+            path: '/:userId/block',
+            description: 'Unblock user',
+            access: 'Private',
+            parameters: { userId: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'GET',
+            path: '/:userId/collections',
+            description: "Get a user's shared collections",
+            access: 'Public',
+            parameters: { userId: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'GET',
+            path: '/me/export',
+            description: 'Download own data: profile, posts (with edit history), comments, check-ins, saved posts and collections, poll votes, active stories, video uploads, trip plans, notifications, points history and redemptions',
+            access: 'Private',
+            query: {
+              format: 'json | zip (default json)'
+            }
           }
         ]
       },
@@ -231,21 +533,48 @@ app.get('/api/docs', (req, res) => {
           {
             method: 'GET',
             path: '/feed',
-            description: 'Get personalized user feed',
+            description: 'Get personalized feed. ranked (default) blends followed users and hashtags, trending, nearby and wishlist posts; each post has reasons explaining why it is shown. latest returns posts from followed users and hashtags by date',
             access: 'Private',
-            query: { page: 'number (optional)', limit: 'number (optional, max 100)' }
+            query: {
+              mode: 'ranked | latest (optional, default ranked)',
+              cursor: 'string (optional, from pagination.nextCursor)',
+              page: 'number (optional)',
+              limit: 'number (optional, max 100)'
+            }
           },
           {
             method: 'POST',
             path: '/',
-            description: 'Create new post',
+            description: 'Create new post, save a draft, or schedule it. Points are awarded when the post is published',
             access: 'Private',
             body: {
               content: 'string (1-1000 chars)',
+              visibility: 'string (optional: public, followers, close_friends, private; default public)',
               images: 'array of URLs (optional, max 5)',
+              media: 'array of { type: "image", url or uploadId } or { type: "video", uploadId }, each with optional width, height, altText (max 250 chars), caption (max 200 chars) and blurhash (optional, max 5; replaces images, videos must be ready)',
               'location.name': 'string (optional, max 100 chars)',
               'location.coordinates.latitude': 'number (optional, -90 to 90)',
-              'location.coordinates.longitude': 'number (optional, -180 to 180)'
+              'location.coordinates.longitude': 'number (optional, -180 to 180)',
+              placeId: 'MongoDB ObjectId (optional, from /api/places/suggest; fills in location if none is given)',
+              'poll.options': 'array of 2-4 strings (optional, max 80 chars each; makes it a poll post with content as the question)',
+              'poll.allowMultiple': 'boolean (optional, default false)',
+              'poll.endsAt': 'ISO date in the future (optional, default never)',
+              'itinerary.title': 'string (optional, max 100 chars; makes it an itinerary post, e.g. "3 days Wayanad")',
+              'itinerary.stops': 'array of 2-30 stops in travel order: { placeId or name and coordinates { latitude, longitude }, day (1-30, never going back), notes (optional, max 500 chars), photos (optional, max 5 media items) }. The server adds each stop\'s distanceFromPreviousKm, days and totalDistanceKm',
+              status: 'string (optional: draft, scheduled, published; default published)',
+              publishAt: 'ISO date in the future (optional, schedules the post)'
+            }
+          },
+          {
+            method: 'GET',
+            path: '/drafts',
+            description: 'Get own drafts and scheduled posts',
+            access: 'Private',
+            query: {
+              status: 'draft | scheduled (optional)',
+              cursor: 'string (optional, from pagination.nextCursor)',
+              page: 'number (optional)',
+              limit: 'number (optional, max 100)'
             }
           },
           {
@@ -258,14 +587,39 @@ app.get('/api/docs', (req, res) => {
           {
             method: 'PUT',
             path: '/:id',
-            description: 'Update post (owner only)',
+            description: 'Update post (owner only). Drafts and scheduled posts can also change images, location, placeId, itinerary, status and publishAt',
             access: 'Private',
             parameters: { id: 'MongoDB ObjectId' },
             body: {
               content: 'string (optional, 1-1000 chars)',
-              visibility: 'string (optional: public, followers, private)'
+              visibility: 'string (optional: public, followers, close_friends, private)',
+              images: 'array of URLs (optional, drafts only)',
+              media: 'array of photos and videos as on create (optional, drafts only)',
+              location: 'object (optional, drafts only)',
+              placeId: 'MongoDB ObjectId or null (optional, drafts only)',
+              itinerary: 'object as on create (optional, drafts only; replaces the whole itinerary and makes the draft an itinerary post)',
+              status: 'string (optional: draft, scheduled, published)',
+              publishAt: 'ISO date in the future or null (optional, drafts only)'
+            }
+          },
+          {
+            method: 'GET',
+            path: '/:id/revisions',
+            description: 'Get edit history of a post: the current version and earlier revisions, newest first (author and moderators)',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId' },
+            query: {
+              cursor: 'string (optional, from pagination.nextCursor)',
+              limit: 'number (optional, max 100)'
             }
           },
+          {
+            method: 'POST',
+            path: '/:id/publish',
+            description: 'Publish a draft or scheduled post now (owner only)',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId' }
+          },
           {
             method: 'DELETE',
             path: '/:id',
@@ -286,6 +640,259 @@ app.get('/api/docs', (req, res) => {
             description: 'Unlike post',
             access: 'Private',
             parameters: { id: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'POST',
+            path: '/:id/vote',
+            description: 'Vote on a poll post, once. Returns the poll with its results',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId' },
+            body: { options: 'array of option indexes (exactly one unless the poll allows multiple)' }
+          },
+          {
+            method: 'POST',
+            path: '/:id/clone',
+            description: 'Copy an itinerary post into your trip plans. Counts towards the itinerary\'s clonesCount',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId' },
+            body: { title: 'string (optional, max 100 chars; default the itinerary title)' }
+          },
+          {
+            method: 'POST',
+            path: '/:id/repost',
+            description: 'Repost a public post, or quote it with your own text. Counts as a share of the original',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId' },
+            body: { content: 'string (optional, max 1000 chars; makes it a quote)' }
+          },
+          {
+            method: 'DELETE',
+            path: '/:id/repost',
+            description: 'Undo a plain repost',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'POST',
+            path: '/:id/share',
+            description: 'Record a share outside the app (share sheet, copied link). Shares count towards trending, once per user (or IP address when signed out) per post per day',
+            access: 'Public',
+            parameters: { id: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'POST',
+            path: '/:id/save',
+            description: 'Save post, optionally into some of your collections. Post responses include isSaved',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId' },
+            body: { collectionIds: 'array of MongoDB ObjectIds (optional)' }
+          },
+          {
+            method: 'DELETE',
+            path: '/:id/save',
+            description: 'Unsave post (removes it from every collection)',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId' }
+          }
+        ]
+      },
+      notifications: {
+        baseUrl: `${baseUrl}/api/notifications`,
+        routes: [
+          {
+            method: 'GET',
+            path: '/',
+            description: 'Get own notifications, newest first, with unreadCount. Currently sent when you are @mentioned in a post or comment',
+            access: 'Private',
+            query: {
+              unread: 'true (optional, only unread)',
+              cursor: 'string (optional, from pagination.nextCursor)',
+              limit: 'number (optional, max 100)'
+            }
+          },
+          {
+            method: 'PUT',
+            path: '/:id/read',
+            description: 'Mark notification as read',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'PUT',
+            path: '/read-all',
+            description: 'Mark all notifications as read',
+            access: 'Private'
+          }
+        ]
+      },
+      collections: {
+        baseUrl: `${baseUrl}/api/collections`,
+        routes: [
+          {
+            method: 'GET',
+            path: '/',
+            description: 'Get own collections with postsCount',
+            access: 'Private'
+          },
+          {
+            method: 'POST',
+            path: '/',
+            description: 'Create collection',
+            access: 'Private',
+            body: {
+              name: 'string (1-50 chars, unique per user)',
+              description: 'string (optional, max 200 chars)',
+              visibility: 'string (optional: private, shared; default private)'
+            }
+          },
+          {
+            method: 'GET',
+            path: '/:id',
+            description: 'Get collection and its posts (shared collections are public, private ones owner only)',
+            access: 'Public (enhanced with auth)',
+            parameters: { id: 'MongoDB ObjectId' },
+            query: {
+              cursor: 'string (optional, from pagination.nextCursor)',
+              limit: 'number (optional, max 100)'
+            }
+          },
+          {
+            method: 'PUT',
+            path: '/:id',
+            description: 'Update collection (owner only)',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId' },
+            body: {
+              name: 'string (optional)',
+              description: 'string (optional)',
+              visibility: 'string (optional: private, shared)'
+            }
+          },
+          {
+            method: 'DELETE',
+            path: '/:id',
+            description: 'Delete collection; its posts stay saved (owner only)',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'POST',
+            path: '/:id/posts',
+            description: 'Add post to collection, saving it if needed (owner only)',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId' },
+            body: { postId: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'DELETE',
+            path: '/:id/posts/:postId',
+            description: 'Remove post from collection; it stays saved (owner only)',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId', postId: 'MongoDB ObjectId' }
+          }
+        ]
+      },
+      stories: {
+        baseUrl: `${baseUrl}/api/stories`,
+        routes: [
+          {
+            method: 'POST',
+            path: '/',
+            description: 'Post a story. It disappears after STORY_LIFETIME_HOURS (24)',
+            access: 'Private',
+            body: {
+              image: 'URL (from POST /api/upload/story/single)',
+              caption: 'string (optional, max 200 chars)',
+              placeId: 'MongoDB ObjectId (optional)'
+            }
+          },
+          {
+            method: 'GET',
+            path: '/feed',
+            description: 'Get active stories from followed users and your own, grouped by author with hasUnseen; each story has isSeen. Your own come first, then authors with unseen stories',
+            access: 'Private'
+          },
+          {
+            method: 'GET',
+            path: '/user/:userId',
+            description: "Get a user's active stories, oldest first",
+            access: 'Private',
+            parameters: { userId: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'POST',
+            path: '/:id/view',
+            description: 'Mark story as seen',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'GET',
+            path: '/:id/viewers',
+            description: 'Get who has seen your story, most recent first, with viewsCount (author only)',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId' },
+            query: {
+              cursor: 'string (optional, from pagination.nextCursor)',
+              limit: 'number (optional, max 100)'
+            }
+          },
+          {
+            method: 'DELETE',
+            path: '/:id',
+            description: 'Delete story (author only)',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId' }
+          }
+        ]
+      },
+      tags: {
+        baseUrl: `${baseUrl}/api/tags`,
+        routes: [
+          {
+            method: 'GET',
+            path: '/trending',
+            description: 'Get trending hashtags. Each public post using a tag counts once, weighted down with age like trending posts',
+            access: 'Public (enhanced with auth)',
+            query: {
+              limit: 'number (optional, max 50, default 10)',
+              timeframe: 'number (optional, hours, max 168, default 24)'
+            }
+          },
+          {
+            method: 'GET',
+            path: '/autocomplete',
+            description: 'Suggest hashtags starting with q, most used first',
+            access: 'Public',
+            query: {
+              q: 'string (1-30 letters, numbers or underscores; leading # optional)',
+              limit: 'number (optional, max 20, default 10)'
+            }
+          },
+          {
+            method: 'GET',
+            path: '/:tag/posts',
+            description: 'Get public posts using a hashtag, newest first, with the tag\'s postsCount and isFollowing',
+            access: 'Public (enhanced with auth)',
+            parameters: { tag: 'string (without #, case-insensitive)' },
+            query: {
+              cursor: 'string (optional, from pagination.nextCursor)',
+              limit: 'number (optional, max 100)'
+            }
+          },
+          {
+            method: 'POST',
+            path: '/:tag/follow',
+            description: 'Follow hashtag; public posts using it appear in your feed',
+            access: 'Private',
+            parameters: { tag: 'string (without #, case-insensitive)' }
+          },
+          {
+            method: 'DELETE',
+            path: '/:tag/follow',
+            description: 'Unfollow hashtag',
+            access: 'Private',
+            parameters: { tag: 'string (without #, case-insensitive)' }
           }
         ]
       },
@@ -330,7 +937,7 @@ app.get('/api/docs', (req, res) => {
           {
             method: 'DELETE',
             path: '/:id',
-            description: 'Delete comment (owner only)',
+            description: 'Delete comment (owner and moderators)',
             access: 'Private',
             parameters: { id: 'MongoDB ObjectId' }
           },
@@ -360,6 +967,19 @@ app.get('/api/docs', (req, res) => {
             access: 'Public',
             query: { page: 'number (optional)', limit: 'number (optional, max 100)' }
           },
+          {
+            method: 'POST',
+            path: '/',
+            description: 'Create a place (place managers). New places start unverified',
+            access: 'Private (places:create)',
+            body: {
+              name: 'string (2-100 chars)',
+              description: 'string (10-1000 chars)',
+              category: 'string (one of categories.places below)',
+              location: '{ coordinates: { coordinates: [longitude, latitude] }, address (5-200 chars), district }',
+              'images, features, bestTimeToVisit, entryFee, timings, contact, tags': 'optional, as on the Place model'
+            }
+          },
           {
             method: 'GET',
             path: '/trending',
@@ -383,6 +1003,19 @@ app.get('/api/docs', (req, res) => {
               radius: 'number (1 to 100000 meters)'
             }
           },
+          {
+            method: 'GET',
+            path: '/suggest',
+            description: 'Suggest places to tag a post with, closest first, each with its distance in km',
+            access: 'Public',
+            query: {
+              latitude: 'number (-90 to 90)',
+              longitude: 'number (-180 to 180)',
+              radius: 'number (optional, 1 to 50000 meters, default 5000)',
+              q: 'string (optional, filters by name)',
+              limit: 'number (optional, max 20, default 10)'
+            }
+          },
           {
             method: 'GET',
             path: '/categories',
@@ -405,11 +1038,27 @@ app.get('/api/docs', (req, res) => {
           {
             method: 'GET',
             path: '/:id/posts',
-            description: 'Get posts for specific place',
+            description: 'Get posts tagged at a place',
             access: 'Public (enhanced with auth)',
             parameters: { id: 'MongoDB ObjectId' },
             query: { page: 'number (optional)', limit: 'number (optional, max 100)' }
           },
+          {
+            method: 'PUT',
+            path: '/:id',
+            description: 'Update a place (place managers). Only the fields sent change; a location replaces the whole location',
+            access: 'Private (places:update)',
+            parameters: { id: 'MongoDB ObjectId' },
+            body: { '...': 'any of the fields from POST /' }
+          },
+          {
+            method: 'PATCH',
+            path: '/:id/verify',
+            description: 'Verify a place, or remove the verification with isVerified: false (place managers)',
+            access: 'Private (places:verify)',
+            parameters: { id: 'MongoDB ObjectId' },
+            body: { isVerified: 'boolean (optional, default true)' }
+          },
           {
             method: 'POST',
             path: '/:id/rate',
@@ -427,6 +1076,20 @@ app.get('/api/docs', (req, res) => {
             description: 'Check in at a place',
             access: 'Private',
             parameters: { id: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'POST',
+            path: '/:id/wishlist',
+            description: 'Add place to wishlist',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'DELETE',
+            path: '/:id/wishlist',
+            description: 'Remove place from wishlist',
+            access: 'Private',
+            parameters: { id: 'MongoDB ObjectId' }
           }
         ]
       },
@@ -462,7 +1125,7 @@ app.get('/api/docs', (req, res) => {
             method: 'POST',
             path: '/coupons/:id/redeem',
             description: 'Redeem a coupon',
-            access: 'Private',
+            access: 'Private (verified email required)',
             parameters: { id: 'MongoDB ObjectId' }
           },
           {
@@ -483,7 +1146,7 @@ app.get('/api/docs', (req, res) => {
             method: 'PATCH',
             path: '/redemptions/:code/use',
             description: 'Mark redemption as used (for partners)',
-            access: 'Private',
+            access: 'Private (Partner or Admin)',
             parameters: { code: 'string (redemption code)' },
             body: {
               usedBy: 'string (optional, 2-100 chars)',
@@ -498,16 +1161,82 @@ app.get('/api/docs', (req, res) => {
           }
         ]
       },
+      trips: {
+        baseUrl: `${baseUrl}/api/trips`,
+        routes: [
+          {
+            method: 'GET',
+            path: '/',
+            description: 'Get your trip plans, newest first (without stops)',
+            access: 'Private',
+            query: {
+              cursor: 'string (optional, from pagination.nextCursor)',
+              limit: 'number (optional, max 100)'
+            }
+          },
+          {
+            method: 'GET',
+            path: '/:id',
+            description: 'Get a trip plan with its stops and the post it was cloned from',
+            access: 'Private (Owner only)',
+            parameters: { id: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'PUT',
+            path: '/:id',
+            description: 'Rename a trip plan',
+            access: 'Private (Owner only)',
+            parameters: { id: 'MongoDB ObjectId' },
+            body: { title: 'string (1-100 chars)' }
+          },
+          {
+            method: 'DELETE',
+            path: '/:id',
+            description: 'Delete a trip plan',
+            access: 'Private (Owner only)',
+            parameters: { id: 'MongoDB ObjectId' }
+          }
+        ]
+      },
       upload: {
         baseUrl: `${baseUrl}/api/upload`,
         routes: [
           {
             method: 'POST',
-            path: '/',
-            description: 'Upload image file',
+            path: '/:type/single',
+            description: 'Upload image file. Post photos also get an uploadId for post media items',
             access: 'Private',
-            body: 'multipart/form-data with image file',
-            note: 'Returns Cloudinary URL for uploaded image'
+            parameters: { type: 'profile | post | place | story' },
+            body: 'multipart/form-data with an "image" file (max 5MB)'
+          },
+          {
+            method: 'POST',
+            path: '/:type/multiple',
+            description: 'Upload up to 5 image files',
+            access: 'Private',
+            parameters: { type: 'profile | post | place | story' },
+            body: 'multipart/form-data with "images" files (max 5MB each)'
+          },
+          {
+            method: 'POST',
+            path: '/:type/video',
+            description: 'Upload an MP4 or WebM video. Returns 202 with an upload that is processed in the background (duration limit, poster frame, metadata)',
+            access: 'Private',
+            parameters: { type: 'post' },
+            body: `multipart/form-data with a "video" file (max ${process.env.MAX_VIDEO_SIZE_MB || 50}MB)`
+          },
+          {
+            method: 'GET',
+            path: '/media/:id',
+            description: 'Get an upload. Videos include status (processing, ready, failed), error, poster and metadata (duration, width, height)',
+            access: 'Private (uploader only)',
+            parameters: { id: 'MongoDB ObjectId' }
+          },
+          {
+            method: 'POST',
+            path: '/cleanup',
+            description: 'Delete temporary uploads older than 24 hours',
+            access: 'Private (Admin only)'
           }
         ]
       }
@@ -528,7 +1257,7 @@ app.get('/api/docs', (req, res) => {
     },
     notes: [
       'All timestamps are in ISO 8601 format',
-      'Pagination: Use page (starting from 1) and limit parameters',
+      'Pagination: feed, user posts, comments, places and place posts return pagination.nextCursor; pass it back as ?cursor= for the next page. page (starting from 1) and limit still work as a fallback',
       'ObjectId format: 24-character hexadecimal string',
       'All request/response bodies use JSON format',
       'File uploads use multipart/form-data',
@@ -607,6 +1336,31 @@ const server = app.listen(PORT, () => {
   `);
 });
 
+// Start background jobs
+scheduleJob(
+  'account-deletion',
+  parseInt(process.env.ACCOUNT_DELETION_JOB_INTERVAL_MINUTES || '60') * 60 * 1000,
+  processDueDeletions
+);
+
+scheduleJob(
+  'scheduled-posts',
+  parseInt(process.env.SCHEDULED_POSTS_JOB_INTERVAL_MINUTES || '1') * 60 * 1000,
+  processDueScheduledPosts
+);
+
+scheduleJob(
+  'video-processing',
+  parseInt(process.env.VIDEO_PROCESSING_JOB_INTERVAL_SECONDS || '10') * 1000,
+  processPendingVideos
+);
+
+scheduleJob(
+  'story-image-cleanup',
+  parseInt(process.env.STORY_CLEANUP_JOB_INTERVAL_MINUTES || '60') * 60 * 1000,
+  removeExpiredStoryImages
+);
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log('Unhandled Promise Rejection:', err.message);
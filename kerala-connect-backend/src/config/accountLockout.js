@@ -0,0 +1,17 @@
+// Progressive lockout after repeated failed logins.
+// After LOGIN_MAX_FAILED_ATTEMPTS wrong passwords (or 2FA codes) in a row the
+// account is locked for LOGIN_LOCKOUT_MINUTES. Each further lockout doubles the
+// duration, up to LOGIN_LOCKOUT_MAX_MINUTES. A successful login resets the count.
+const maxFailedAttempts = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const baseLockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const maxLockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 24 * 60;
+
+// Get the lockout duration for the nth lockout (0 = first)
+const getLockoutMinutes = (lockCount) => {
+  return Math.min(baseLockoutMinutes * 2 ** lockCount, maxLockoutMinutes);
+};
+
+module.exports = {
+  maxFailedAttempts,
+  getLockoutMinutes
+};
@@ -0,0 +1,28 @@
+// Actions that unverified accounts are not allowed to perform.
+// Override with a comma separated list, e.g.
+// UNVERIFIED_RESTRICTED_ACTIONS=redeemCoupon,createPost,createComment
+const DEFAULT_RESTRICTED_ACTIONS = ['redeemCoupon'];
+
+const getRestrictedActions = () => {
+  const configured = process.env.UNVERIFIED_RESTRICTED_ACTIONS;
+
+  if (configured === undefined) {
+    return DEFAULT_RESTRICTED_ACTIONS;
+  }
+
+  return configured
+    .split(',')
+    .map(action => action.trim())
+    .filter(Boolean);
+};
+
+// Check whether an unverified account may perform the given action
+const isRestrictedForUnverified = (action) => {
+  return getRestrictedActions().includes(action);
+};
+
+module.exports = {
+  verificationTokenExpiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+  getRestrictedActions,
+  isRestrictedForUnverified
+};
@@ -0,0 +1,39 @@
+// Home feed ranking settings.
+// Candidates come from several sources; each source a post appears in adds
+// its weight, engagement adds a little on top, and the total decays with age
+// (halving every recencyHalfLifeHours). Weights can be overridden with
+// FEED_WEIGHT_<NAME>, e.g. FEED_WEIGHT_TRENDING=0.8.
+const DEFAULT_WEIGHTS = {
+  following: 1.0,
+  own: 0.8,
+  trending: 0.6,
+  nearby: 0.5,
+  wishlist: 0.7,
+  tag: 0.6,
+  engagement: 0.1
+};
+
+const getWeights = () => {
+  const weights = {};
+
+  Object.entries(DEFAULT_WEIGHTS).forEach(([name, defaultWeight]) => {
+    const configured = parseFloat(process.env[`FEED_WEIGHT_${name.toUpperCase()}`]);
+    weights[name] = Number.isNaN(configured) ? defaultWeight : configured;
+  });
+
+  return weights;
+};
+
+module.exports = {
+  getWeights,
+  recencyHalfLifeHours: parseFloat(process.env.FEED_RECENCY_HALF_LIFE_HOURS) || 24,
+  // How long the next-page cursor of a ranked feed keeps working
+  snapshotTtlMinutes: parseInt(process.env.FEED_SNAPSHOT_TTL_MINUTES, 10) || 60,
+  sources: {
+    following: { limit: 100, maxAgeDays: 14 },
+    trending: { limit: 30, timeframeHours: 48 },
+    nearby: { limit: 40, radiusKm: 25, checkInDays: 30, maxCheckIns: 5, maxAgeDays: 30 },
+    wishlist: { limit: 40, maxAgeDays: 60 },
+    tags: { limit: 40, maxAgeDays: 14 }
+  }
+};
@@ -0,0 +1,52 @@
+// OpenID Connect sign-in providers.
+// List provider IDs in OIDC_PROVIDERS (e.g. "google,microsoft") and configure
+// each one with OIDC_<ID>_* variables:
+//   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+//   OIDC_GOOGLE_CLIENT_ID=...
+//   OIDC_GOOGLE_CLIENT_SECRET=...           (optional for public clients)
+//   OIDC_GOOGLE_NAME=Google                  (optional display name)
+//   OIDC_GOOGLE_SCOPES=openid email profile  (optional)
+//   OIDC_GOOGLE_REDIRECT_URI=...             (optional, defaults to APP_URL/auth/callback/google)
+const getProviderIds = () => {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+const buildProviderConfig = (id) => {
+  const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const env = (name) => process.env[`${prefix}${name}`];
+  const appUrl = process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:19006';
+
+  if (!env('ISSUER') || !env('CLIENT_ID')) {
+    return null;
+  }
+
+  return {
+    id,
+    name: env('NAME') || id.charAt(0).toUpperCase() + id.slice(1),
+    issuer: env('ISSUER'),
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET'),
+    scopes: env('SCOPES') || 'openid email profile',
+    redirectUri: env('REDIRECT_URI') || `${appUrl.replace(/\/$/, '')}/auth/callback/${id}`
+  };
+};
+
+// Get every provider that has an issuer and client ID configured
+const getProviders = () => {
+  return getProviderIds()
+    .map(buildProviderConfig)
+    .filter(Boolean);
+};
+
+// Get a single provider's settings, or null if it isn't configured
+const getProvider = (id) => {
+  return getProviders().find(provider => provider.id === id) || null;
+};
+
+module.exports = {
+  getProviders,
+  getProvider
+};
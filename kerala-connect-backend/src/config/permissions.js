@@ -0,0 +1,33 @@
+// Roles that can be granted on top of a regular account
+const ROLES = ['admin', 'moderator', 'partner', 'place_manager'];
+
+// What each role is allowed to do. Admins can do everything.
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  moderator: [
+    'posts:moderate',
+    'comments:moderate'
+  ],
+  partner: [
+    'redemptions:use'
+  ],
+  place_manager: [
+    'places:create',
+    'places:update',
+    'places:verify'
+  ]
+};
+
+// Check whether any of the given roles grants a permission
+const rolesHavePermission = (roles = [], permission) => {
+  return roles.some(role => {
+    const permissions = ROLE_PERMISSIONS[role] || [];
+    return permissions.includes('*') || permissions.includes(permission);
+  });
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  rolesHavePermission
+};
@@ -0,0 +1,15 @@
+// Usernames nobody can sign up with or change to.
+// `deleted_user` is the name of the placeholder account that content from
+// deleted accounts is credited to (see services/accountDeletion).
+const TOMBSTONE_USERNAME = 'deleted_user';
+
+const reservedUsernames = [TOMBSTONE_USERNAME];
+
+const isReservedUsername = (username) => {
+  return reservedUsernames.includes(String(username || '').trim().toLowerCase());
+};
+
+module.exports = {
+  TOMBSTONE_USERNAME,
+  isReservedUsername
+};
@@ -1,13 +1,75 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { createSession, rotateSession } = require('../services/sessionService');
+const { hashToken, signPurposeToken, verifyPurposeToken } = require('../utils/tokens');
+const { sendPasswordResetEmail, sendVerificationEmail, sendAccountUnlockEmail } = require('../services/mailer');
+const { verificationTokenExpiresIn } = require('../config/emailVerification');
+const { cancelAccountDeletion } = require('../services/accountDeletion');
+const { throttleOtpRequest, issueOtp, verifyOtp: checkOtp } = require('../services/otpService');
+const { maskPhoneNumber } = require('../utils/phone');
+const { getProviders } = require('../config/oidc');
+const { createAuthorizationRequest, completeAuthorization } = require('../services/oidcService');
+const { resetAuthRateLimit } = require('../middlewares/auth');
+const { isReservedUsername } = require('../config/reservedUsernames');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+// Issue a verification token and email it to the user
+const sendEmailVerification = (user) => {
+  const token = signPurposeToken(
+    'email-verification',
+    { userId: user._id, email: user.email },
+    verificationTokenExpiresIn
   );
+  
+  return sendVerificationEmail(user, token);
+};
+
+// Issue an unlock token for the current lockout and email it to the user.
+// The token is tied to lockUntil, so it stops working once the lock changes.
+const sendUnlockEmail = (user) => {
+  const { lockUntil } = user.loginSecurity;
+  const expiresInSeconds = Math.max(Math.ceil((lockUntil.getTime() - Date.now()) / 1000), 1);
+  const token = signPurposeToken(
+    'account-unlock',
+    { userId: user._id, lockUntil: lockUntil.getTime() },
+    expiresInSeconds
+  );
+  
+  return sendAccountUnlockEmail(user, token, lockUntil);
+};
+
+// Respond to a login attempt on a locked account
+const sendLockedResponse = (user, res) => {
+  const retryAfter = Math.max(
+    Math.ceil((user.loginSecurity.lockUntil.getTime() - Date.now()) / 1000),
+    1
+  );
+  
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    error: 'Account is temporarily locked after too many failed login attempts. Check your email for an unlock link or try again later.',
+    code: 'ACCOUNT_LOCKED',
+    retryAfter
+  });
+};
+
+// Record a failed login and respond, locking the account if needed
+const handleFailedLogin = async (user, res, error) => {
+  const locked = await user.registerFailedLogin();
+  
+  if (locked) {
+    try {
+      await sendUnlockEmail(user);
+    } catch (mailError) {
+      console.error('Unlock email error:', mailError);
+    }
+    return sendLockedResponse(user, res);
+  }
+  
+  res.status(401).json({
+    success: false,
+    error
+  });
 };
 
 // Register new user
@@ -39,14 +101,22 @@ const signup = async (req, res) => {
     // Award welcome bonus points
     await user.addPoints(10, 'Welcome bonus');
     
-    // Generate token
-    const token = generateToken(user._id);
+    // Send verification email (signup still succeeds if delivery fails; user can resend)
+    try {
+      await sendEmailVerification(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+    
+    // Start a session
+    const { token, refreshToken } = await createSession(user, req);
     
     res.status(201).json({
       success: true,
       message: 'User created successfully',
       data: {
         token,
+        refreshToken,
         user: user.getPrivateProfile()
       }
     });
@@ -69,6 +139,61 @@ const signup = async (req, res) => {
   }
 };
 
+// Record the login and start a session
+const completeLogin = async (user, req, res) => {
+  // Logging in during the deletion grace period keeps the account
+  const deletionCancelled = user.isPendingDeletion;
+  if (deletionCancelled) {
+    await cancelAccountDeletion(user);
+  }
+  
+  // Clear failed attempts and lockout history
+  user.loginSecurity.failedAttempts = 0;
+  user.loginSecurity.lockUntil = null;
+  user.loginSecurity.lockCount = 0;
+  
+  // Update last active
+  user.lastActive = new Date();
+  await user.save({ validateBeforeSave: false });
+  
+  // Award daily login bonus (if hasn't logged in today)
+  const today = new Date().toDateString();
+  const lastLogin = user.lastActive.toDateString();
+  
+  if (lastLogin !== today) {
+    await user.addPoints(1, 'Daily login bonus');
+  }
+  
+  // Start a session
+  const { token, refreshToken } = await createSession(user, req);
+  
+  res.json({
+    success: true,
+    message: deletionCancelled
+      ? 'Login successful. Your account deletion has been cancelled.'
+      : 'Login successful',
+    data: {
+      token,
+      refreshToken,
+      user: user.getPrivateProfile()
+    }
+  });
+};
+
+// Ask for the second factor before starting a session
+const sendTwoFactorChallenge = (user, res) => {
+  const challengeToken = signPurposeToken('2fa-login', { userId: user._id }, '5m');
+  
+  res.json({
+    success: true,
+    message: 'Two-factor authentication required',
+    data: {
+      twoFactorRequired: true,
+      challengeToken
+    }
+  });
+};
+
 // Login user
 const login = async (req, res) => {
   try {
@@ -77,63 +202,590 @@ const login = async (req, res) => {
     // Find user by email
     const user = await User.findOne({ email });
     
-    if (!user || !user.isActive) {
+    // Accounts waiting to be deleted can still log in, which cancels the deletion
+    if (!user || (!user.isActive && !user.isPendingDeletion)) {
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
       });
     }
     
+    if (user.isLocked) {
+      return sendLockedResponse(user, res);
+    }
+    
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     
     if (!isPasswordValid) {
+      return handleFailedLogin(user, res, 'Invalid credentials');
+    }
+    
+    await resetAuthRateLimit(req);
+    
+    // Accounts with 2FA need a second step before a session is created
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(user, res);
+    }
+    
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed'
+    });
+  }
+};
+
+// Complete login with an authenticator or recovery code
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    let decoded;
+    try {
+      decoded = verifyPurposeToken('2fa-login', challengeToken);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+    
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+    
+    if (!user || (!user.isActive && !user.isPendingDeletion) || !user.twoFactor.enabled) {
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
       });
     }
     
-    // Update last active
-    user.lastActive = new Date();
+    if (user.isLocked) {
+      return sendLockedResponse(user, res);
+    }
+    
+    const isValid = code
+      ? user.verifyTwoFactorCode(code)
+      : user.useRecoveryCode(recoveryCode);
+    
+    if (!isValid) {
+      return handleFailedLogin(user, res, 'Invalid verification code');
+    }
+    
     await user.save({ validateBeforeSave: false });
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed'
+    });
+  }
+};
+
+// Text a one-time code for phone login or for verifying a new phone number
+const requestOtp = async (req, res) => {
+  try {
+    const { phoneNumber, purpose = 'login' } = req.body;
+    
+    if (purpose === 'verify_phone') {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Access token is required'
+        });
+      }
+      
+      const existingUser = await User.findOne({ phoneNumber });
+      if (existingUser && !existingUser._id.equals(req.user._id)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Phone number is already in use'
+        });
+      }
+      
+      await throttleOtpRequest({ phoneNumber, purpose });
+      const { expiresInMinutes } = await issueOtp({ phoneNumber, purpose, userId: req.user._id });
+      
+      return res.json({
+        success: true,
+        message: `Verification code sent to ${maskPhoneNumber(phoneNumber)}`,
+        data: { expiresInMinutes }
+      });
+    }
+    
+    // Throttled per number before the lookup, so a 429 doesn't reveal
+    // whether it is registered. Only registered, verified numbers get a login code.
+    await throttleOtpRequest({ phoneNumber, purpose });
+    
+    const user = await User.findOne({ phoneNumber });
+    if (user && (user.isActive || user.isPendingDeletion)) {
+      await issueOtp({ phoneNumber, purpose, userId: user._id });
+    }
+    
+    // Same response either way so we don't reveal which numbers are registered
+    res.json({
+      success: true,
+      message: 'If the number is registered, a login code will be sent'
+    });
+  } catch (error) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+    
+    console.error('OTP request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send code'
+    });
+  }
+};
+
+// Log in with an SMS code, or confirm a new phone number for the current user
+const verifyOtp = async (req, res) => {
+  try {
+    const { phoneNumber, code, purpose = 'login' } = req.body;
+    
+    if (purpose === 'verify_phone') {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Access token is required'
+        });
+      }
+      
+      const otp = await checkOtp({ phoneNumber, purpose, code });
+      if (!otp || !otp.user.equals(req.user._id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid or expired code'
+        });
+      }
+      
+      const user = await User.findById(req.user._id);
+      user.phoneNumber = phoneNumber;
+      user.phoneVerifiedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+      
+      return res.json({
+        success: true,
+        message: 'Phone number verified successfully',
+        data: {
+          user: user.getPrivateProfile()
+        }
+      });
+    }
     
-    // Award daily login bonus (if hasn't logged in today)
-    const today = new Date().toDateString();
-    const lastLogin = user.lastActive.toDateString();
+    const user = await User.findOne({ phoneNumber });
     
-    if (lastLogin !== today) {
-      await user.addPoints(1, 'Daily login bonus');
+    if (!user || (!user.isActive && !user.isPendingDeletion)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired code'
+      });
+    }
+    
+    if (user.isLocked) {
+      return sendLockedResponse(user, res);
+    }
+    
+    const otp = await checkOtp({ phoneNumber, purpose, code });
+    if (!otp || !otp.user.equals(user._id)) {
+      return handleFailedLogin(user, res, 'Invalid or expired code');
+    }
+    
+    await resetAuthRateLimit(req);
+    
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(user, res);
+    }
+    
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('OTP verify error:', error);
+    
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Phone number is already in use'
+      });
     }
     
-    // Generate token
-    const token = generateToken(user._id);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify code'
+    });
+  }
+};
+
+// Summary of a linked sign-in identity shown to the account owner
+const getIdentitySummary = (identity) => ({
+  id: identity._id,
+  provider: identity.provider,
+  email: identity.email,
+  linkedAt: identity.linkedAt,
+  lastUsedAt: identity.lastUsedAt
+});
+
+// Turn an email or name into a free username, e.g. "anu.k@x.com" -> "anu_k" or "anu_k2"
+const suggestUsername = async (base) => {
+  const cleaned = String(base || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 25);
+  const candidate = cleaned.length >= 3 ? cleaned : `traveller_${cleaned}`.slice(0, 25);
+  
+  for (let suffix = 0; suffix < 20; suffix++) {
+    const username = suffix === 0 ? candidate : `${candidate}${suffix + 1}`;
+    const exists = await User.exists({ username });
+    if (!exists && !isReservedUsername(username)) return username;
+  }
+  
+  return `${candidate}${Math.floor(Math.random() * 100000)}`;
+};
+
+// List configured sign-in providers
+const getOidcProviders = async (req, res) => {
+  res.json({
+    success: true,
+    data: getProviders().map(provider => ({
+      id: provider.id,
+      name: provider.name
+    }))
+  });
+};
+
+// Build the provider authorization URL and respond with it
+const sendAuthorizationRequest = async (req, res, options) => {
+  try {
+    const authorization = await createAuthorizationRequest(req.params.provider, options);
     
     res.json({
       success: true,
-      message: 'Login successful',
+      data: authorization
+    });
+  } catch (error) {
+    if (error.message === 'Unknown sign-in provider') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    console.error('OIDC start error:', error);
+    res.status(502).json({
+      success: false,
+      error: 'Sign-in provider is unavailable'
+    });
+  }
+};
+
+// Start sign-in with a provider
+const startOidcLogin = (req, res) => {
+  return sendAuthorizationRequest(req, res, {});
+};
+
+// Start linking a provider account to the current user
+const startOidcLink = (req, res) => {
+  return sendAuthorizationRequest(req, res, { linkUserId: req.user._id });
+};
+
+// Finish sign-in with the code returned by the provider
+const completeOidcLogin = async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { code, state, loginToken } = req.body;
+    
+    let identity;
+    try {
+      identity = await completeAuthorization(provider, { code, state, loginToken });
+    } catch (authError) {
+      if (authError.message === 'Unknown sign-in provider') {
+        return res.status(404).json({
+          success: false,
+          error: authError.message
+        });
+      }
+      
+      console.error('OIDC callback error:', authError);
+      return res.status(401).json({
+        success: false,
+        error: authError.message === 'Sign-in request is invalid or has expired'
+          ? authError.message
+          : 'Sign-in with the provider failed'
+      });
+    }
+    
+    const linkedUser = await User.findByIdentity(identity.provider, identity.subject);
+    
+    // Linking another sign-in method to a signed-in account. The callback has
+    // to come from that same account, not just anyone holding the login token.
+    if (identity.linkUserId) {
+      if (!req.user || !req.user._id.equals(identity.linkUserId)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Sign in to the account you are linking to'
+        });
+      }
+      
+      const user = await User.findById(identity.linkUserId);
+      
+      if (!user || !user.isActive) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid credentials'
+        });
+      }
+      
+      if (linkedUser && !linkedUser._id.equals(user._id)) {
+        return res.status(409).json({
+          success: false,
+          error: 'This provider account is already linked to another user'
+        });
+      }
+      
+      user.linkIdentity(identity);
+      await user.save({ validateBeforeSave: false });
+      
+      return res.json({
+        success: true,
+        message: 'Sign-in method linked successfully',
+        data: {
+          identities: user.identities.map(getIdentitySummary)
+        }
+      });
+    }
+    
+    let user = linkedUser;
+    
+    // Link to an existing account only when the provider vouches for the email
+    if (!user && identity.email && identity.emailVerified) {
+      user = await User.findOne({ email: identity.email });
+      
+      if (user) {
+        user.linkIdentity(identity);
+        if (!user.isEmailVerified) {
+          user.isEmailVerified = true;
+          user.emailVerifiedAt = new Date();
+        }
+      }
+    }
+    
+    // First login: the app has to pick a username before the account is created
+    if (!user) {
+      if (!identity.email || !identity.emailVerified) {
+        return res.status(400).json({
+          success: false,
+          error: 'Your provider account has no verified email address'
+        });
+      }
+      
+      const signupToken = signPurposeToken('oidc-signup', {
+        provider: identity.provider,
+        subject: identity.subject,
+        email: identity.email,
+        name: identity.name,
+        picture: identity.picture
+      }, '15m');
+      
+      return res.json({
+        success: true,
+        message: 'Choose a username to finish signing up',
+        data: {
+          usernameRequired: true,
+          signupToken,
+          suggestedUsername: await suggestUsername(identity.email.split('@')[0])
+        }
+      });
+    }
+    
+    if (!user.isActive && !user.isPendingDeletion) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials'
+      });
+    }
+    
+    if (user.isLocked) {
+      return sendLockedResponse(user, res);
+    }
+    
+    user.findIdentity(identity.provider, identity.subject).lastUsedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+    
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(user, res);
+    }
+    
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed'
+    });
+  }
+};
+
+// Create the account on first provider login once a username is chosen
+const completeOidcSignup = async (req, res) => {
+  try {
+    const { signupToken, username } = req.body;
+    
+    let pending;
+    try {
+      pending = verifyPurposeToken('oidc-signup', signupToken);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        error: 'Sign-up request is invalid or has expired. Please sign in again.'
+      });
+    }
+    
+    const existingUser = await User.findOne({
+      $or: [{ email: pending.email }, { username: username.toLowerCase() }]
+    });
+    
+    if (existingUser) {
+      const field = existingUser.email === pending.email ? 'email' : 'username';
+      return res.status(400).json({
+        success: false,
+        error: `User with this ${field} already exists`
+      });
+    }
+    
+    const user = await User.create({
+      username,
+      email: pending.email,
+      fullName: pending.name || username,
+      profilePicture: pending.picture || null,
+      isEmailVerified: true,
+      emailVerifiedAt: new Date(),
+      identities: [{
+        provider: pending.provider,
+        subject: pending.subject,
+        email: pending.email,
+        linkedAt: new Date(),
+        lastUsedAt: new Date()
+      }]
+    });
+    
+    // Award welcome bonus points
+    await user.addPoints(10, 'Welcome bonus');
+    
+    // Start a session
+    const { token, refreshToken } = await createSession(user, req);
+    
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
       data: {
         token,
+        refreshToken,
         user: user.getPrivateProfile()
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('OIDC signup error:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'This provider account is already linked to another user'
+      });
+    }
+    
     res.status(500).json({
       success: false,
-      error: 'Login failed'
+      error: 'Failed to create user'
+    });
+  }
+};
+
+// List sign-in identities linked to the current user
+const getIdentities = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    res.json({
+      success: true,
+      data: {
+        hasPassword: user.hasPassword,
+        identities: user.identities.map(getIdentitySummary)
+      }
+    });
+  } catch (error) {
+    console.error('Get identities error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get linked accounts'
     });
   }
 };
 
-// Logout user (client-side mainly, but we can track it)
+// Unlink a sign-in identity (the account must keep a way to log in)
+const unlinkIdentity = async (req, res) => {
+  try {
+    const { identityId } = req.params;
+    const user = await User.findById(req.user._id);
+    
+    const identity = user.identities.id(identityId);
+    if (!identity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Linked account not found'
+      });
+    }
+    
+    if (!user.hasPassword && user.identities.length === 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Set a password before unlinking your last sign-in method'
+      });
+    }
+    
+    identity.deleteOne();
+    await user.save({ validateBeforeSave: false });
+    
+    res.json({
+      success: true,
+      message: 'Sign-in method unlinked successfully'
+    });
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unlink account'
+    });
+  }
+};
+
+// Logout user (revokes the current session)
 const logout = async (req, res) => {
   try {
+    await req.authSession.revoke('logout');
+    
     // Update user's last active time
-    if (req.user) {
-      req.user.lastActive = new Date();
-      await req.user.save({ validateBeforeSave: false });
-    }
+    req.user.lastActive = new Date();
+    await req.user.save({ validateBeforeSave: false });
     
     res.json({
       success: true,
@@ -175,18 +827,29 @@ const getCurrentUser = async (req, res) => {
   }
 };
 
-// Refresh token
+// Refresh token (rotates the refresh token on every use)
 const refreshToken = async (req, res) => {
   try {
-    // Generate new token
-    const token = generateToken(req.user._id);
+    const session = await rotateSession(req.body.refreshToken, req);
     
     res.json({
       success: true,
-      data: { token }
+      data: {
+        token: session.token,
+        refreshToken: session.refreshToken
+      }
     });
   } catch (error) {
     console.error('Token refresh error:', error);
+    
+    if (error.message === 'Invalid refresh token' ||
+        error.message === 'Refresh token reuse detected') {
+      return res.status(401).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: 'Failed to refresh token'
@@ -194,25 +857,33 @@ const refreshToken = async (req, res) => {
   }
 };
 
-// Request password reset (placeholder for future implementation)
+// Request password reset
 const requestPasswordReset = async (req, res) => {
   try {
     const { email } = req.body;
     
     const user = await User.findOne({ email });
-    if (!user) {
-      // Don't reveal if email exists or not for security
-      return res.json({
-        success: true,
-        message: 'If the email exists, a reset link will be sent'
-      });
+    if (user && user.isActive) {
+      const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES || '30');
+      const resetToken = user.createPasswordResetToken(expiresInMinutes);
+      await user.save({ validateBeforeSave: false });
+      
+      try {
+        await sendPasswordResetEmail(user, resetToken, expiresInMinutes);
+      } catch (mailError) {
+        // Don't leave a usable token behind if the email never went out, and
+        // answer as usual: an error here would show that the email is registered
+        console.error('Password reset email error:', mailError);
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+      }
     }
     
-    // TODO: Implement email sending logic
-    // For now, just return success
+    // Same response either way so we don't reveal which emails are registered
     res.json({
       success: true,
-      message: 'Password reset link sent to your email'
+      message: 'If the email exists, a reset link will be sent'
     });
   } catch (error) {
     console.error('Password reset request error:', error);
@@ -223,13 +894,86 @@ const requestPasswordReset = async (req, res) => {
   }
 };
 
-// Verify email (placeholder for future implementation)
+// Reset password using a token from the reset email
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    }).select('+passwordResetToken +passwordResetExpires');
+    
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset token is invalid or has expired'
+      });
+    }
+    
+    // Set new password and burn the token so it can't be used again
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    
+    // Sign out everywhere in case the old password was compromised
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset password'
+    });
+  }
+};
+
+// Verify email
 const verifyEmail = async (req, res) => {
   try {
     const { token } = req.params;
     
-    // TODO: Implement email verification logic
-    // For now, just return success
+    let decoded;
+    try {
+      decoded = verifyPurposeToken('email-verification', token);
+    } catch (tokenError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired'
+      });
+    }
+    
+    const user = await User.findById(decoded.userId);
+    
+    // Token must match the address it was issued for
+    if (!user || !user.isActive || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired'
+      });
+    }
+    
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+    }
+    
     res.json({
       success: true,
       message: 'Email verified successfully'
@@ -243,12 +987,190 @@ const verifyEmail = async (req, res) => {
   }
 };
 
+// Send a fresh unlock link for a locked account
+const requestAccountUnlock = async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    const user = await User.findOne({ email });
+    if (user && user.isActive && user.isLocked) {
+      await sendUnlockEmail(user);
+    }
+    
+    // Same response either way so we don't reveal which accounts exist or are locked
+    res.json({
+      success: true,
+      message: 'If the account is locked, an unlock link will be sent'
+    });
+  } catch (error) {
+    console.error('Account unlock request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process unlock request'
+    });
+  }
+};
+
+// Unlock an account using the link from the lockout email
+const unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.params;
+    
+    let decoded;
+    try {
+      decoded = verifyPurposeToken('account-unlock', token);
+    } catch (tokenError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unlock link is invalid or has expired'
+      });
+    }
+    
+    const user = await User.findById(decoded.userId);
+    const lockUntil = user && user.loginSecurity.lockUntil;
+    
+    // Token must belong to the current lockout
+    if (!user || !user.isActive || !lockUntil || lockUntil.getTime() !== decoded.lockUntil) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unlock link is invalid or has expired'
+      });
+    }
+    
+    await user.resetLoginFailures({ resetLockCount: true });
+    
+    res.json({
+      success: true,
+      message: 'Account unlocked. You can log in again.'
+    });
+  } catch (error) {
+    console.error('Account unlock error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unlock account'
+    });
+  }
+};
+
+// Resend verification email
+const resendVerificationEmail = async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already verified'
+      });
+    }
+    
+    await sendEmailVerification(req.user);
+    
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send verification email'
+    });
+  }
+};
+
+// Get active sessions (devices) for current user
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+    
+    res.json({
+      success: true,
+      data: sessions.map(session => session.getSummary(req.authSession._id))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get sessions'
+    });
+  }
+};
+
+// Revoke a single session
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    const session = await Session.findOne({
+      _id: sessionId,
+      user: req.user._id
+    });
+    
+    if (!session || !session.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+    
+    await session.revoke('user_revoked');
+    
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session'
+    });
+  }
+};
+
+// Revoke all sessions except the current one
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'user_revoked', req.authSession._id);
+    
+    res.json({
+      success: true,
+      message: `Signed out of ${result.modifiedCount} other session(s)`,
+      data: {
+        revokedCount: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions'
+    });
+  }
+};
+
 module.exports = {
   signup,
   login,
+  verifyTwoFactorLogin,
+  requestOtp,
+  verifyOtp,
+  getOidcProviders,
+  startOidcLogin,
+  startOidcLink,
+  completeOidcLogin,
+  completeOidcSignup,
+  getIdentities,
+  unlinkIdentity,
   logout,
   getCurrentUser,
   refreshToken,
   requestPasswordReset,
-  verifyEmail
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  requestAccountUnlock,
+  unlockAccount,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
 };
\ No newline at end of file
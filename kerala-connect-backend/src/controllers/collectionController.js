@@ -0,0 +1,304 @@
+const Collection = require('../models/Collection');
+const SavedPost = require('../models/SavedPost');
+const User = require('../models/User');
+const { getPaginationOptions } = require('../utils/pagination');
+const { savePost, listSavedPosts } = require('../services/savedPosts');
+
+// Add the number of saved posts in each collection
+const withPostCounts = async (collections) => {
+  const counts = await SavedPost.aggregate([
+    { $match: { collections: { $in: collections.map(collection => collection._id) } } },
+    { $unwind: '$collections' },
+    { $group: { _id: '$collections', count: { $sum: 1 } } }
+  ]);
+
+  return collections.map(collection => ({
+    ...collection.toObject(),
+    postsCount: (counts.find(count => count._id.equals(collection._id)) || { count: 0 }).count
+  }));
+};
+
+// Find a collection owned by the current user
+const findOwnCollection = async (req, res) => {
+  const collection = await Collection.findById(req.params.id);
+
+  if (!collection || collection.owner.toString() !== req.user._id.toString()) {
+    res.status(404).json({
+      success: false,
+      error: 'Collection not found'
+    });
+    return null;
+  }
+
+  return collection;
+};
+
+// Get current user's collections
+const getMyCollections = async (req, res) => {
+  try {
+    const collections = await Collection.find({ owner: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: await withPostCounts(collections)
+    });
+  } catch (error) {
+    console.error('Get collections error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get collections'
+    });
+  }
+};
+
+// Get a user's shared collections
+const getUserCollections = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const collections = await Collection.find({ owner: userId, visibility: 'shared' }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: await withPostCounts(collections)
+    });
+  } catch (error) {
+    console.error('Get user collections error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get collections'
+    });
+  }
+};
+
+// Create collection
+const createCollection = async (req, res) => {
+  try {
+    const { name, description, visibility } = req.body;
+
+    const collection = await Collection.create({
+      owner: req.user._id,
+      name,
+      description,
+      visibility
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: collection
+    });
+  } catch (error) {
+    console.error('Create collection error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already have a collection with this name'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create collection'
+    });
+  }
+};
+
+// Get collection with its posts (owner, or anyone if shared)
+const getCollection = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const pagination = getPaginationOptions(req.query);
+
+    const collection = await Collection.findById(id)
+      .populate('owner', 'username fullName profilePicture');
+
+    if (!collection || !collection.owner || !collection.isViewableBy(req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collection not found'
+      });
+    }
+
+    const { data: posts, pagination: pageInfo } = await listSavedPosts(
+      { user: collection.owner._id, collections: collection._id },
+      pagination,
+      req.user
+    );
+
+    res.json({
+      success: true,
+      data: {
+        collection,
+        posts
+      },
+      pagination: pageInfo
+    });
+  } catch (error) {
+    console.error('Get collection error:', error);
+
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get collection'
+    });
+  }
+};
+
+// Update collection (owner only)
+const updateCollection = async (req, res) => {
+  try {
+    const { name, description, visibility } = req.body;
+
+    const collection = await findOwnCollection(req, res);
+    if (!collection) return;
+
+    if (name !== undefined) collection.name = name;
+    if (description !== undefined) collection.description = description;
+    if (visibility !== undefined) collection.visibility = visibility;
+
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: collection
+    });
+  } catch (error) {
+    console.error('Update collection error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already have a collection with this name'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update collection'
+    });
+  }
+};
+
+// Delete collection (owner only). Its posts stay saved.
+const deleteCollection = async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req, res);
+    if (!collection) return;
+
+    await SavedPost.updateMany(
+      { user: req.user._id, collections: collection._id },
+      { $pull: { collections: collection._id } }
+    );
+    await collection.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete collection'
+    });
+  }
+};
+
+// Add post to collection (saves the post if needed)
+const addPostToCollection = async (req, res) => {
+  try {
+    const { postId } = req.body;
+
+    const collection = await findOwnCollection(req, res);
+    if (!collection) return;
+
+    await savePost(req.user, postId, [collection._id]);
+
+    res.json({
+      success: true,
+      message: 'Post added to collection'
+    });
+  } catch (error) {
+    console.error('Add post to collection error:', error);
+
+    if (error.message === 'Post not found') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message === 'Post already saved') {
+      return res.status(400).json({
+        success: false,
+        error: 'Post is already in this collection'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add post to collection'
+    });
+  }
+};
+
+// Remove post from collection (it stays saved)
+const removePostFromCollection = async (req, res) => {
+  try {
+    const { postId } = req.params;
+
+    const collection = await findOwnCollection(req, res);
+    if (!collection) return;
+
+    const result = await SavedPost.updateOne(
+      { user: req.user._id, post: postId, collections: collection._id },
+      { $pull: { collections: collection._id } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Post is not in this collection'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Post removed from collection'
+    });
+  } catch (error) {
+    console.error('Remove post from collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove post from collection'
+    });
+  }
+};
+
+module.exports = {
+  getMyCollections,
+  getUserCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  addPostToCollection,
+  removePostFromCollection
+};
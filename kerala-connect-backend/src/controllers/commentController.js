@@ -1,16 +1,18 @@
 const Comment = require('../models/Comment');
 const Post = require('../models/Post');
+const { notifyMentions } = require('../services/notificationService');
+const { canViewPost } = require('../services/postVisibility');
+const { getPaginationOptions, applyCursor, buildPage } = require('../utils/pagination');
 
 // Get comments for a post
 const getPostComments = async (req, res) => {
   try {
     const { postId } = req.params;
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const pagination = getPaginationOptions(req.query, { defaultLimit: 20 });
 
     // Check if post exists
     const post = await Post.findById(postId);
-    if (!post || !post.isActive) {
+    if (!post || !post.isActive || !post.isPublished || !(await canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         error: 'Post not found'
@@ -18,22 +20,27 @@ const getPostComments = async (req, res) => {
     }
 
     // Get top-level comments (no parent)
-    const comments = await Comment.find({
+    const filter = applyCursor({
       post: postId,
       parentComment: null,
       isActive: true
-    })
+    }, pagination);
+
+    const results = await Comment.find(filter)
     .populate('author', 'username fullName profilePicture')
+    .populate('mentions', 'username')
     .populate({
       path: 'replies',
-      populate: {
-        path: 'author',
-        select: 'username fullName profilePicture'
-      }
+      populate: [
+        { path: 'author', select: 'username fullName profilePicture' },
+        { path: 'mentions', select: 'username' }
+      ]
     })
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(parseInt(limit));
+    .sort(pagination.sort)
+    .skip(pagination.skip)
+    .limit(pagination.limit + 1);
+
+    const { data: comments, pagination: pageInfo } = buildPage(results, pagination);
 
     // Add isLiked field if user is authenticated
     let commentsWithLikeStatus = comments;
@@ -57,14 +64,18 @@ const getPostComments = async (req, res) => {
     res.json({
       success: true,
       data: commentsWithLikeStatus,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        hasMore: comments.length === parseInt(limit)
-      }
+      pagination: pageInfo
     });
   } catch (error) {
     console.error('Get post comments error:', error);
+
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to get comments'
@@ -81,7 +92,7 @@ const addComment = async (req, res) => {
 
     // Check if post exists
     const post = await Post.findById(postId);
-    if (!post || !post.isActive) {
+    if (!post || !post.isActive || !post.isPublished || !(await canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         error: 'Post not found'
@@ -113,8 +124,11 @@ const addComment = async (req, res) => {
       await parent.addReply(comment._id);
     }
 
+    await notifyMentions(comment);
+
     // Populate author info
     await comment.populate('author', 'username fullName profilePicture');
+    await comment.populate('mentions', 'username');
 
     res.status(201).json({
       success: true,
@@ -165,10 +179,14 @@ const updateComment = async (req, res) => {
     }
 
     // Update content
+    const previousMentions = [...comment.mentions];
     comment.content = content;
     await comment.save();
 
+    await notifyMentions(comment, { previousMentions });
+
     await comment.populate('author', 'username fullName profilePicture');
+    await comment.populate('mentions', 'username');
 
     res.json({
       success: true,
@@ -199,8 +217,9 @@ const deleteComment = async (req, res) => {
       });
     }
 
-    // Check if user owns the comment
-    if (comment.author.toString() !== userId.toString()) {
+    // The author and moderators can delete a comment
+    const isAuthor = comment.author.toString() === userId.toString();
+    if (!isAuthor && !req.user.hasPermission('comments:moderate')) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to delete this comment'
@@ -316,8 +335,9 @@ const getCommentReplies = async (req, res) => {
     const skip = (page - 1) * limit;
 
     // Check if parent comment exists
-    const parentComment = await Comment.findById(id);
-    if (!parentComment || !parentComment.isActive) {
+    const parentComment = await Comment.findById(id).populate('post');
+    if (!parentComment || !parentComment.isActive || !parentComment.post ||
+        !(await canViewPost(parentComment.post, req.user))) {
       return res.status(404).json({
         success: false,
         error: 'Comment not found'
@@ -330,6 +350,7 @@ const getCommentReplies = async (req, res) => {
       isActive: true
     })
     .populate('author', 'username fullName profilePicture')
+    .populate('mentions', 'username')
     .sort({ createdAt: 1 }) // Oldest first for replies
     .skip(skip)
     .limit(parseInt(limit));
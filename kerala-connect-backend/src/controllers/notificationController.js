@@ -0,0 +1,131 @@
+const Notification = require('../models/Notification');
+const { getPaginationOptions, applyCursor, buildPage } = require('../utils/pagination');
+const { getAudience, isVisibleTo } = require('../services/postVisibility');
+
+// Posts can be deleted or become hidden from the recipient after the
+// notification was sent; leave out the post (and comment) then
+const presentNotifications = async (notifications, viewer) => {
+  const posts = notifications.map(notification => notification.post).filter(Boolean);
+  const audience = await getAudience(viewer, { authors: posts.map(post => post.author) });
+
+  return notifications.map(notification => {
+    const notificationObj = notification.toObject();
+    const { post } = notification;
+
+    if (post) {
+      const isVisible = post.isActive && post.isPublished && isVisibleTo(post, audience);
+
+      notificationObj.post = isVisible ? { _id: post._id, content: post.content, images: post.images } : null;
+      if (!isVisible) notificationObj.comment = null;
+    }
+
+    return notificationObj;
+  });
+};
+
+// Get current user's notifications (?unread=true for unread only)
+const getNotifications = async (req, res) => {
+  try {
+    const pagination = getPaginationOptions(req.query, { defaultLimit: 20 });
+    const userId = req.user._id;
+
+    const baseFilter = { recipient: userId };
+    if (req.query.unread === 'true') baseFilter.readAt = null;
+
+    const results = await Notification.find(applyCursor(baseFilter, pagination))
+    .populate('actor', 'username fullName profilePicture')
+    .populate('post', 'content images author visibility isActive status')
+    .populate('comment', 'content')
+    .sort(pagination.sort)
+    .skip(pagination.skip)
+    .limit(pagination.limit + 1);
+
+    const { data: page, pagination: pageInfo } = buildPage(results, pagination);
+    const notifications = await presentNotifications(page, req.user);
+    const unreadCount = await Notification.countDocuments({ recipient: userId, readAt: null });
+
+    res.json({
+      success: true,
+      data: notifications,
+      unreadCount,
+      pagination: pageInfo
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get notifications'
+    });
+  }
+};
+
+// Mark one notification as read
+const markNotificationRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const notification = await Notification.findOne({ _id: id, recipient: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: notification
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notification as read'
+    });
+  }
+};
+
+// Mark all of current user's notifications as read
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: {
+        updated: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notifications as read'
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
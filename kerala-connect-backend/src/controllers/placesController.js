@@ -1,5 +1,14 @@
 const Place = require('../models/Place');
 const Post = require('../models/Post');
+const SavedPost = require('../models/SavedPost');
+const User = require('../models/User');
+const CheckIn = require('../models/CheckIn');
+const { getPaginationOptions, applyCursor, buildPage } = require('../utils/pagination');
+const { calculateDistance } = require('../utils/geo');
+const { presentPolls } = require('../services/polls');
+const { getAudience, withVisibility } = require('../services/postVisibility');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 // Get all places with filters
 const getPlaces = async (req, res) => {
@@ -8,14 +17,10 @@ const getPlaces = async (req, res) => {
       category,
       district,
       minRating,
-      page = 1,
-      limit = 10,
       sortBy = 'rating',
       search
     } = req.query;
     
-    const skip = (page - 1) * limit;
-    
     let query = { isActive: true };
     
     // Apply filters
@@ -23,54 +28,75 @@ const getPlaces = async (req, res) => {
     if (district) query['location.district'] = new RegExp(district, 'i');
     if (minRating) query['rating.average'] = { $gte: parseFloat(minRating) };
     
-    let places;
+    // Sort options (_id last so every position is unique for cursors)
+    let sortOptions = {};
+    switch (sortBy) {
+      case 'rating':
+        sortOptions = { 'rating.average': -1, 'rating.count': -1, _id: -1 };
+        break;
+      case 'popular':
+        sortOptions = { 'stats.views': -1, 'stats.postsCount': -1, _id: -1 };
+        break;
+      case 'newest':
+        sortOptions = { createdAt: -1, _id: -1 };
+        break;
+      case 'alphabetical':
+        sortOptions = { name: 1, _id: 1 };
+        break;
+      default:
+        sortOptions = { 'rating.average': -1, _id: -1 };
+    }
+    
+    const pagination = getPaginationOptions(req.query, { sort: sortOptions });
+    let results;
     
     if (search) {
-      places = await Place.searchPlaces(search, {
+      // Search results are ordered by relevance, so they only support page-based pagination
+      const page = pagination.page || 1;
+      results = await Place.searchPlaces(search, {
         category,
         district,
         minRating: parseFloat(minRating) || 0,
-        limit: parseInt(limit),
-        skip
+        limit: pagination.limit + 1,
+        skip: (page - 1) * pagination.limit
       });
-    } else {
-      // Sort options
-      let sortOptions = {};
-      switch (sortBy) {
-        case 'rating':
-          sortOptions = { 'rating.average': -1, 'rating.count': -1 };
-          break;
-        case 'popular':
-          sortOptions = { 'stats.views': -1, 'stats.postsCount': -1 };
-          break;
-        case 'newest':
-          sortOptions = { createdAt: -1 };
-          break;
-        case 'alphabetical':
-          sortOptions = { name: 1 };
-          break;
-        default:
-          sortOptions = { 'rating.average': -1 };
-      }
       
-      places = await Place.find(query)
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(parseInt(limit))
-        .populate('verifiedBy', 'username fullName');
+      const hasMore = results.length > pagination.limit;
+      return res.json({
+        success: true,
+        data: results.slice(0, pagination.limit),
+        pagination: {
+          page,
+          limit: pagination.limit,
+          hasMore,
+          nextCursor: null
+        }
+      });
     }
     
+    results = await Place.find(applyCursor(query, pagination))
+      .sort(pagination.sort)
+      .skip(pagination.skip)
+      .limit(pagination.limit + 1)
+      .populate('verifiedBy', 'username fullName');
+    
+    const { data: places, pagination: pageInfo } = buildPage(results, pagination);
+    
     res.json({
       success: true,
       data: places,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        hasMore: places.length === parseInt(limit)
-      }
+      pagination: pageInfo
     });
   } catch (error) {
     console.error('Get places error:', error);
+    
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: 'Failed to get places'
@@ -186,6 +212,45 @@ const getNearbyPlaces = async (req, res) => {
   }
 };
 
+// Suggest places to tag a post with, closest first
+const suggestPlaces = async (req, res) => {
+  try {
+    const { latitude, longitude, radius = 5000, q, limit = 10 } = req.query;
+
+    const query = Place.findNearby(parseFloat(longitude), parseFloat(latitude), parseInt(radius))
+      .select('name category location images stats.postsCount')
+      .limit(parseInt(limit));
+
+    if (q) {
+      query.where('name', new RegExp(escapeRegex(q.trim()), 'i'));
+    }
+
+    const places = await query;
+
+    const suggestions = places.map(place => {
+      const placeObj = place.toObject();
+      placeObj.distance = calculateDistance(
+        parseFloat(latitude),
+        parseFloat(longitude),
+        place.location.coordinates.coordinates[1],
+        place.location.coordinates.coordinates[0]
+      );
+      return placeObj;
+    });
+
+    res.json({
+      success: true,
+      data: suggestions
+    });
+  } catch (error) {
+    console.error('Suggest places error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to suggest places'
+    });
+  }
+};
+
 // Get place categories
 const getPlaceCategories = async (req, res) => {
   try {
@@ -246,8 +311,7 @@ const getPlaceDistricts = async (req, res) => {
 const getPlacePosts = async (req, res) => {
   try {
     const { id } = req.params;
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
+    const pagination = getPaginationOptions(req.query);
     
     // Verify place exists
     const place = await Place.findById(id);
@@ -258,37 +322,49 @@ const getPlacePosts = async (req, res) => {
       });
     }
     
-    // Find posts that mention this place
-    const posts = await Post.find({
-      'location.name': new RegExp(place.name, 'i'),
+    // Find posts tagged at this place
+    const filter = applyCursor(withVisibility(Post.publishedFilter({
+      place: place._id,
       isActive: true
-    })
+    }), await getAudience(req.user)), pagination);
+    
+    const results = await Post.find(filter)
     .populate('author', 'username fullName profilePicture')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(parseInt(limit));
+    .sort(pagination.sort)
+    .skip(pagination.skip)
+    .limit(pagination.limit + 1);
     
-    // Add isLiked field if user is authenticated
+    const { data: posts, pagination: pageInfo } = buildPage(results, pagination);
+    await Post.populateReferences(posts);
+    
+    // Add isLiked and isSaved fields if user is authenticated
     let postsWithLikeStatus = posts;
     if (req.user) {
+      const savedIds = await SavedPost.getSavedPostIds(req.user._id, posts.map(post => post._id));
       postsWithLikeStatus = posts.map(post => {
         const postObj = post.toObject();
         postObj.isLiked = post.isLikedBy(req.user._id);
+        postObj.isSaved = savedIds.has(post._id.toString());
         return postObj;
       });
     }
+    postsWithLikeStatus = await presentPolls(postsWithLikeStatus, req.user);
     
     res.json({
       success: true,
       data: postsWithLikeStatus,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        hasMore: posts.length === parseInt(limit)
-      }
+      pagination: pageInfo
     });
   } catch (error) {
     console.error('Get place posts error:', error);
+    
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: 'Failed to get place posts'
@@ -296,6 +372,130 @@ const getPlacePosts = async (req, res) => {
   }
 };
 
+// Fields place managers can set on a place
+const PLACE_FIELDS = [
+  'name',
+  'description',
+  'category',
+  'location',
+  'images',
+  'features',
+  'bestTimeToVisit',
+  'entryFee',
+  'timings',
+  'contact',
+  'tags'
+];
+
+const sendPlaceValidationError = (res, error) => {
+  const errors = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    details: errors
+  });
+};
+
+// Add a place (place managers)
+const createPlace = async (req, res) => {
+  try {
+    const data = {};
+    PLACE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const place = await Place.create(data);
+
+    res.status(201).json({
+      success: true,
+      message: 'Place created successfully',
+      data: place
+    });
+  } catch (error) {
+    console.error('Create place error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendPlaceValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create place'
+    });
+  }
+};
+
+// Update a place's details (place managers)
+const updatePlace = async (req, res) => {
+  try {
+    const place = await Place.findById(req.params.id);
+
+    if (!place || !place.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Place not found'
+      });
+    }
+
+    PLACE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) place.set(field, req.body[field]);
+    });
+    await place.save();
+
+    res.json({
+      success: true,
+      message: 'Place updated successfully',
+      data: place
+    });
+  } catch (error) {
+    console.error('Update place error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendPlaceValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update place'
+    });
+  }
+};
+
+// Mark a place as verified, or take the mark away with `isVerified: false` (place managers)
+const verifyPlace = async (req, res) => {
+  try {
+    const isVerified = req.body.isVerified !== false;
+
+    const place = await Place.findById(req.params.id);
+
+    if (!place || !place.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Place not found'
+      });
+    }
+
+    place.isVerified = isVerified;
+    place.verifiedBy = isVerified ? req.user._id : undefined;
+    await place.save();
+
+    res.json({
+      success: true,
+      message: isVerified ? 'Place verified' : 'Place is no longer verified',
+      data: {
+        isVerified: place.isVerified,
+        verifiedBy: place.verifiedBy || null
+      }
+    });
+  } catch (error) {
+    console.error('Verify place error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify place'
+    });
+  }
+};
+
 // Rate a place
 const ratePlace = async (req, res) => {
   try {
@@ -362,7 +562,13 @@ const checkInAtPlace = async (req, res) => {
     // Award points for check-in
     await req.user.addPoints(10, `Check-in at ${place.name}`);
     
-    // Increment check-in count
+    // Record the visit and increment check-in count
+    await CheckIn.create({
+      user: userId,
+      place: place._id,
+      pointsEarned: 10
+    });
+    
     place.stats.checkIns += 1;
     await place.save();
     
@@ -439,33 +645,89 @@ const getPopularDestinations = async (req, res) => {
   }
 };
 
-// Helper function to calculate distance between two coordinates
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Radius of the Earth in kilometers
-  const dLat = toRadians(lat2 - lat1);
-  const dLon = toRadians(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  const distance = R * c; // Distance in kilometers
-  return Math.round(distance * 100) / 100; // Round to 2 decimal places
-}
-
-function toRadians(degrees) {
-  return degrees * (Math.PI / 180);
-}
+// Add place to current user's wishlist
+const addToWishlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const place = await Place.findById(id);
+    if (!place || !place.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Place not found'
+      });
+    }
+    
+    const result = await User.updateOne(
+      { _id: req.user._id, 'wishlist.place': { $ne: place._id } },
+      { $push: { wishlist: { place: place._id, addedAt: new Date() } } }
+    );
+    
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Place is already in your wishlist'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Place added to wishlist'
+    });
+  } catch (error) {
+    console.error('Add to wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add place to wishlist'
+    });
+  }
+};
+
+// Remove place from current user's wishlist
+const removeFromWishlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const result = await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { wishlist: { place: id } } }
+    );
+    
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Place is not in your wishlist'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Place removed from wishlist'
+    });
+  } catch (error) {
+    console.error('Remove from wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove place from wishlist'
+    });
+  }
+};
 
 module.exports = {
   getPlaces,
   getTrendingPlaces,
   getPlace,
   getNearbyPlaces,
+  suggestPlaces,
   getPlaceCategories,
   getPlaceDistricts,
   getPlacePosts,
+  createPlace,
+  updatePlace,
+  verifyPlace,
   ratePlace,
   checkInAtPlace,
-  getPopularDestinations
+  getPopularDestinations,
+  addToWishlist,
+  removeFromWishlist
 };
\ No newline at end of file
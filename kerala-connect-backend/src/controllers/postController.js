@@ -1,12 +1,103 @@
 const Post = require('../models/Post');
 const User = require('../models/User');
 const Place = require('../models/Place');
+const PostRevision = require('../models/PostRevision');
+const SavedPost = require('../models/SavedPost');
+const {
+  getPaginationOptions,
+  applyCursor,
+  buildPage,
+  encodeSnapshotCursor,
+  decodeSnapshotCursor
+} = require('../utils/pagination');
+const { getRankedFeed } = require('../services/feedService');
+const { onPostPublished, publishPost } = require('../services/postPublishing');
+const { notifyMentions } = require('../services/notificationService');
+const { savePost: savePostForUser } = require('../services/savedPosts');
+const { presentPolls, castVote } = require('../services/polls');
+const { mediaFromImages, imagesFromMedia, resolveMedia } = require('../services/postMedia');
+const { buildItinerary } = require('../services/itineraries');
+const { getAudience, visibilityFilter, withVisibility, isVisibleTo, canViewPost } = require('../services/postVisibility');
+const { getStore } = require('../services/rateLimitStore');
 
-// Get user feed
+// Each user (or IP address, when signed out) counts as one share of a post per day
+const SHARE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Get user feed (?mode=ranked, the default, or ?mode=latest for followed posts by date)
 const getFeed = async (req, res) => {
+  if (req.query.mode === 'latest') {
+    return getLatestFeed(req, res);
+  }
+
+  try {
+    const userId = req.user._id;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    // Later pages come from a snapshot of the ranking so scores don't shift between requests
+    let snapshotId = null;
+    let offset = 0;
+    let page = null;
+
+    if (req.query.cursor) {
+      const snapshot = decodeSnapshotCursor(req.query.cursor);
+      if (!snapshot) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor'
+        });
+      }
+      ({ snapshotId, offset } = snapshot);
+    } else {
+      page = parseInt(req.query.page) || 1;
+      offset = (page - 1) * limit;
+    }
+
+    const user = await User.findById(userId);
+    const feed = await getRankedFeed(user, { limit, offset, snapshotId });
+    const { items, hasMore } = feed;
+
+    // Add isLiked, isSaved and why each post is in the feed
+    const savedIds = await SavedPost.getSavedPostIds(userId, items.map(({ post }) => post._id));
+    const posts = await presentPolls(items.map(({ post, reasons }) => {
+      const postObj = post.toObject();
+      postObj.isLiked = post.isLikedBy(userId);
+      postObj.isSaved = savedIds.has(post._id.toString());
+      postObj.reasons = reasons;
+      return postObj;
+    }), user);
+
+    res.json({
+      success: true,
+      data: posts,
+      pagination: {
+        ...(page && { page }),
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeSnapshotCursor({ snapshotId: feed.snapshotId, offset: offset + limit }) : null
+      }
+    });
+  } catch (error) {
+    console.error('Get feed error:', error);
+    
+    if (error.message === 'Feed snapshot has expired') {
+      return res.status(400).json({
+        success: false,
+        error: 'Feed has changed, please refresh',
+        code: 'FEED_EXPIRED'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get feed'
+    });
+  }
+};
+
+// Get posts from followed users and hashtags, newest first
+const getLatestFeed = async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
+    const pagination = getPaginationOptions(req.query);
     const userId = req.user._id;
 
     // Get posts from users that current user follows + own posts
@@ -14,36 +105,53 @@ const getFeed = async (req, res) => {
     const followingIds = user.following;
     followingIds.push(userId); // Include own posts
 
-    const posts = await Post.find({
-      author: { $in: followingIds },
-      isActive: true,
-      visibility: { $in: ['public', 'followers'] }
-    })
+    const sources = [{ author: { $in: followingIds } }];
+
+    // Plus public posts using hashtags the user follows
+    if (user.followedTags.length > 0) {
+      sources.push({ tags: { $in: user.followedTags }, visibility: 'public' });
+    }
+
+    const filter = applyCursor(withVisibility(Post.publishedFilter({
+      $or: sources,
+      isActive: true
+    }), await getAudience(user)), pagination);
+
+    const results = await Post.find(filter)
     .populate('author', 'username fullName profilePicture')
     .populate('comments', 'content author createdAt')
     .populate('comments.author', 'username fullName profilePicture')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(parseInt(limit));
+    .sort(pagination.sort)
+    .skip(pagination.skip)
+    .limit(pagination.limit + 1);
 
-    // Add isLiked field for current user
-    const postsWithLikeStatus = posts.map(post => {
+    const { data: posts, pagination: pageInfo } = buildPage(results, pagination);
+    await Post.populateReferences(posts);
+
+    // Add isLiked and isSaved fields for current user
+    const savedIds = await SavedPost.getSavedPostIds(userId, posts.map(post => post._id));
+    const postsWithLikeStatus = await presentPolls(posts.map(post => {
       const postObj = post.toObject();
       postObj.isLiked = post.isLikedBy(userId);
+      postObj.isSaved = savedIds.has(post._id.toString());
       return postObj;
-    });
+    }), user);
 
     res.json({
       success: true,
       data: postsWithLikeStatus,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        hasMore: posts.length === parseInt(limit)
-      }
+      pagination: pageInfo
     });
   } catch (error) {
     console.error('Get feed error:', error);
+
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to get feed'
@@ -56,19 +164,26 @@ const getTrendingPosts = async (req, res) => {
   try {
     const { limit = 10, timeframe = 24 } = req.query;
     
-    const trendingPosts = await Post.getTrendingPosts(parseInt(limit), parseInt(timeframe));
+    // Trending posts are public, but blocked authors still have to be left out
+    const audience = await getAudience(req.user);
+    const trendingPosts = (await Post.getTrendingPosts(parseInt(limit), parseInt(timeframe)))
+      .filter(post => isVisibleTo(post, audience));
+    await Post.populateReferences(trendingPosts);
     
-    // Add isLiked field if user is authenticated
+    // Add isLiked and isSaved fields if user is authenticated
     let postsWithLikeStatus = trendingPosts;
     if (req.user) {
+      const savedIds = await SavedPost.getSavedPostIds(req.user._id, trendingPosts.map(post => post._id));
       postsWithLikeStatus = trendingPosts.map(post => {
         const postObj = { ...post };
         postObj.isLiked = post.likes.some(like => 
           like.user.toString() === req.user._id.toString()
         );
+        postObj.isSaved = savedIds.has(post._id.toString());
         return postObj;
       });
     }
+    postsWithLikeStatus = await presentPolls(postsWithLikeStatus, req.user);
 
     res.json({
       success: true,
@@ -98,12 +213,14 @@ const getPostsByLocation = async (req, res) => {
     const posts = await Post.getPostsByLocation(
       parseFloat(latitude), 
       parseFloat(longitude), 
-      parseInt(radius)
+      parseInt(radius),
+      visibilityFilter(await getAudience(req.user))
     );
+    await Post.populateReferences(posts);
 
     res.json({
       success: true,
-      data: posts
+      data: await presentPolls(posts, req.user)
     });
   } catch (error) {
     console.error('Get posts by location error:', error);
@@ -123,13 +240,15 @@ const getPost = async (req, res) => {
       .populate('author', 'username fullName profilePicture')
       .populate({
         path: 'comments',
-        populate: {
-          path: 'author',
-          select: 'username fullName profilePicture'
-        }
+        populate: [
+          { path: 'author', select: 'username fullName profilePicture' },
+          { path: 'mentions', select: 'username' }
+        ]
       });
 
-    if (!post || !post.isActive) {
+    // Drafts and scheduled posts are only visible to their author
+    const isAuthor = req.user && post && post.author._id.equals(req.user._id);
+    if (!post || !post.isActive || (!post.isPublished && !isAuthor) || !(await canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         error: 'Post not found'
@@ -137,17 +256,23 @@ const getPost = async (req, res) => {
     }
 
     // Increment view count
-    await post.incrementViews();
+    if (post.isPublished) {
+      await post.incrementViews();
+    }
 
-    // Add isLiked field if user is authenticated
+    await Post.populateReferences(post);
+
+    // Add isLiked and isSaved fields if user is authenticated
     const postObj = post.toObject();
     if (req.user) {
       postObj.isLiked = post.isLikedBy(req.user._id);
+      postObj.isSaved = Boolean(await SavedPost.exists({ user: req.user._id, post: post._id }));
     }
+    const [postWithPoll] = await presentPolls([postObj], req.user);
 
     res.json({
       success: true,
-      data: postObj
+      data: postWithPoll
     });
   } catch (error) {
     console.error('Get post error:', error);
@@ -161,48 +286,75 @@ const getPost = async (req, res) => {
 // Create new post
 const createPost = async (req, res) => {
   try {
-    const { content, images = [], location } = req.body;
+    const { content, visibility, images = [], media, location, placeId, poll, itinerary, publishAt } = req.body;
     const userId = req.user._id;
 
-    // Create post
+    // `media` mixes photos and videos; posts sending only `images` get one photo item per URL
+    const postMedia = media ? await resolveMedia(media, userId) : mediaFromImages(images);
+
+    // Stops get their coordinates and the distances between them here
+    const postItinerary = itinerary ? await buildItinerary(itinerary, userId) : undefined;
+
+    // Tagging a place fills in the location unless one was given
+    let place = null;
+    if (placeId) {
+      place = await Place.findById(placeId);
+      if (!place || !place.isActive) {
+        return res.status(404).json({
+          success: false,
+          error: 'Place not found'
+        });
+      }
+    }
+
+    // A publishAt date schedules the post unless it is saved as a draft
+    let status = req.body.status || 'published';
+    if (publishAt && status === 'published') {
+      status = 'scheduled';
+    }
+
+    // Create post (with a poll, the content is its question)
     const post = await Post.create({
       author: userId,
+      type: poll ? 'poll' : itinerary ? 'itinerary' : 'post',
       content,
-      images,
-      location
-    });
-
-    // Award points to user for creating post
-    await req.user.addPoints(5, 'Post created');
-
-    // If post has location, increment place's post count
-    if (location && location.name) {
-      // Try to find existing place by name and coordinates
-      const place = await Place.findOne({
-        name: new RegExp(location.name, 'i'),
-        'location.coordinates.coordinates': {
-          $near: {
-            $geometry: {
-              type: 'Point',
-              coordinates: [location.coordinates.longitude, location.coordinates.latitude]
-            },
-            $maxDistance: 1000 // Within 1km
-          }
-        }
-      });
+      visibility,
+      poll: poll ? {
+        options: poll.options.map(text => ({ text })),
+        allowMultiple: Boolean(poll.allowMultiple),
+        endsAt: poll.endsAt
+      } : undefined,
+      itinerary: postItinerary,
+      images: media ? imagesFromMedia(postMedia) : images,
+      media: postMedia,
+      location: location || (place ? place.toPostLocation() : undefined),
+      place: place ? place._id : null,
+      status,
+      publishAt: status === 'published' ? undefined : publishAt,
+      publishedAt: status === 'published' ? new Date() : undefined
+    });
 
-      if (place) {
-        await place.incrementPostsCount();
-      }
+    // Points, place counts and mention notifications only happen once the post is live
+    if (post.isPublished) {
+      await onPostPublished(post);
     }
 
     // Populate author info
     await post.populate('author', 'username fullName profilePicture');
+    await Post.populateReferences(post);
+
+    const messages = {
+      draft: 'Draft saved successfully',
+      scheduled: 'Post scheduled successfully',
+      published: 'Post created successfully'
+    };
+
+    const [postWithPoll] = await presentPolls([post], req.user);
 
     res.status(201).json({
       success: true,
-      message: 'Post created successfully',
-      data: post
+      message: messages[post.status],
+      data: postWithPoll
     });
   } catch (error) {
     console.error('Create post error:', error);
@@ -216,6 +368,20 @@ const createPost = async (req, res) => {
       });
     }
 
+    if (['Video not found', 'Upload not found', 'Place not found'].includes(error.message)) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (['Video is still processing', 'Video could not be processed'].includes(error.message)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to create post'
@@ -227,10 +393,10 @@ const createPost = async (req, res) => {
 const updatePost = async (req, res) => {
   try {
     const { id } = req.params;
-    const { content, visibility } = req.body;
+    const { content, visibility, images, media, location, placeId, itinerary, status, publishAt } = req.body;
     const userId = req.user._id;
 
-    const post = await Post.findById(id);
+    let post = await Post.findById(id);
 
     if (!post || !post.isActive) {
       return res.status(404).json({
@@ -247,21 +413,134 @@ const updatePost = async (req, res) => {
       });
     }
 
+    if (post.type === 'repost') {
+      return res.status(400).json({
+        success: false,
+        error: 'Reposts cannot be edited'
+      });
+    }
+
+    // Keep the current version so an edit of a published post can be logged
+    const previous = {
+      content: post.content,
+      visibility: post.visibility,
+      tags: [...post.tags],
+      mentions: [...post.mentions]
+    };
+
     // Update fields
     if (content !== undefined) post.content = content;
     if (visibility !== undefined) post.visibility = visibility;
 
+    // Drafts and scheduled posts can also change media, location, place, itinerary and schedule
+    if (!post.isPublished) {
+      if (itinerary !== undefined) {
+        if (!['post', 'itinerary'].includes(post.type)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Only posts can have an itinerary'
+          });
+        }
+
+        post.itinerary = await buildItinerary(itinerary, userId);
+        post.type = 'itinerary';
+      }
+
+      if (media !== undefined) {
+        post.media = await resolveMedia(media, userId);
+        post.images = imagesFromMedia(post.media);
+      } else if (images !== undefined) {
+        // Older clients only send photos; keep any videos already attached
+        post.images = images;
+        post.media = [...mediaFromImages(images), ...post.media.filter(item => item.type === 'video')];
+      }
+      if (location !== undefined) post.location = location;
+
+      if (placeId === null) {
+        post.place = null;
+      } else if (placeId !== undefined) {
+        const place = await Place.findById(placeId);
+        if (!place || !place.isActive) {
+          return res.status(404).json({
+            success: false,
+            error: 'Place not found'
+          });
+        }
+
+        post.place = place._id;
+        if (location === undefined) post.location = place.toPostLocation();
+      }
+
+      if (publishAt !== undefined) post.publishAt = publishAt || undefined;
+      if (status === 'draft' || status === 'scheduled') post.status = status;
+
+      if (post.status === 'scheduled' && !post.publishAt) {
+        return res.status(400).json({
+          success: false,
+          error: 'publishAt is required to schedule a post'
+        });
+      }
+    } else if (status !== undefined && status !== 'published') {
+      return res.status(400).json({
+        success: false,
+        error: 'Published posts cannot be moved back to drafts'
+      });
+    } else if (itinerary !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'The itinerary of a published post cannot be changed'
+      });
+    }
+
+    const isRevision = post.isPublished && (post.isModified('content') || post.isModified('visibility'));
+
     await post.save();
 
+    if (isRevision) {
+      await PostRevision.record(post, previous);
+      await notifyMentions(post, { previousMentions: previous.mentions });
+    }
+
+    // Going live goes through publishPost so points are awarded once
+    if (status === 'published' && !post.isPublished) {
+      post = (await publishPost(post._id)) || await Post.findById(post._id);
+    }
+
     await post.populate('author', 'username fullName profilePicture');
+    await Post.populateReferences(post);
+    const [postWithPoll] = await presentPolls([post], req.user);
 
     res.json({
       success: true,
       message: 'Post updated successfully',
-      data: post
+      data: postWithPoll
     });
   } catch (error) {
     console.error('Update post error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    if (['Video not found', 'Upload not found', 'Place not found'].includes(error.message)) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (['Video is still processing', 'Video could not be processed'].includes(error.message)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to update post'
@@ -269,6 +548,158 @@ const updatePost = async (req, res) => {
   }
 };
 
+// Get a post's edit history (author and moderators only)
+const getPostRevisions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const pagination = getPaginationOptions(req.query, { defaultLimit: 20 });
+
+    const post = await Post.findById(id);
+
+    if (!post || !post.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    const isAuthor = post.author.toString() === req.user._id.toString();
+    if (!isAuthor && !req.user.hasPermission('posts:moderate')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this post\'s revisions'
+      });
+    }
+
+    const filter = applyCursor({ post: post._id }, pagination);
+
+    const results = await PostRevision.find(filter)
+    .sort(pagination.sort)
+    .skip(pagination.skip)
+    .limit(pagination.limit + 1);
+
+    const { data: revisions, pagination: pageInfo } = buildPage(results, pagination);
+
+    res.json({
+      success: true,
+      data: {
+        current: {
+          content: post.content,
+          visibility: post.visibility,
+          tags: post.tags,
+          isEdited: post.isEdited,
+          editedAt: post.editedAt
+        },
+        revisions
+      },
+      pagination: pageInfo
+    });
+  } catch (error) {
+    console.error('Get post revisions error:', error);
+
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get post revisions'
+    });
+  }
+};
+
+// Get current user's drafts and scheduled posts
+const getDrafts = async (req, res) => {
+  try {
+    const pagination = getPaginationOptions(req.query);
+    const { status } = req.query;
+
+    const filter = applyCursor({
+      author: req.user._id,
+      isActive: true,
+      status: status || { $in: ['draft', 'scheduled'] }
+    }, pagination);
+
+    const results = await Post.find(filter)
+    .populate('author', 'username fullName profilePicture')
+    .sort(pagination.sort)
+    .skip(pagination.skip)
+    .limit(pagination.limit + 1);
+
+    const { data: drafts, pagination: pageInfo } = buildPage(results, pagination);
+
+    res.json({
+      success: true,
+      data: await presentPolls(drafts, req.user),
+      pagination: pageInfo
+    });
+  } catch (error) {
+    console.error('Get drafts error:', error);
+
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get drafts'
+    });
+  }
+};
+
+// Publish a draft or scheduled post now
+const publishDraft = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const post = await Post.findById(id);
+
+    if (!post || !post.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    // Check if user owns the post
+    if (post.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to publish this post'
+      });
+    }
+
+    const published = post.isPublished ? null : await publishPost(post._id);
+
+    if (!published) {
+      return res.status(400).json({
+        success: false,
+        error: 'Post is already published'
+      });
+    }
+
+    await published.populate('author', 'username fullName profilePicture');
+
+    res.json({
+      success: true,
+      message: 'Post published successfully',
+      data: published
+    });
+  } catch (error) {
+    console.error('Publish post error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to publish post'
+    });
+  }
+};
+
 // Delete post
 const deletePost = async (req, res) => {
   try {
@@ -292,10 +723,23 @@ const deletePost = async (req, res) => {
       });
     }
 
+    // Only a live post counts towards its place
+    const countedAtPlace = post.isActive && post.isPublished && post.place;
+
     // Soft delete - set isActive to false
     post.isActive = false;
     await post.save();
 
+    if (countedAtPlace) {
+      await Place.adjustPostsCount(post.place, -1);
+    }
+
+    // Plain reposts disappear with the original; quotes stay and show it as unavailable
+    await Post.updateMany(
+      { originalPost: post._id, type: 'repost', isActive: true },
+      { $set: { isActive: false } }
+    );
+
     res.json({
       success: true,
       message: 'Post deleted successfully'
@@ -309,6 +753,43 @@ const deletePost = async (req, res) => {
   }
 };
 
+// Vote on a poll post
+const votePoll = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { options } = req.body;
+
+    const poll = await castVote(id, req.user, options);
+
+    res.json({
+      success: true,
+      message: 'Vote recorded',
+      data: poll
+    });
+  } catch (error) {
+    console.error('Vote poll error:', error);
+
+    if (error.message === 'Poll not found') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (['Poll has ended', 'Invalid poll option', 'This poll allows only one choice', 'Already voted on this poll'].includes(error.message)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record vote'
+    });
+  }
+};
+
 // Like post
 const likePost = async (req, res) => {
   try {
@@ -317,7 +798,7 @@ const likePost = async (req, res) => {
 
     const post = await Post.findById(id);
 
-    if (!post || !post.isActive) {
+    if (!post || !post.isActive || !post.isPublished || !(await canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         error: 'Post not found'
@@ -359,7 +840,7 @@ const unlikePost = async (req, res) => {
 
     const post = await Post.findById(id);
 
-    if (!post || !post.isActive) {
+    if (!post || !post.isActive || !post.isPublished || !(await canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         error: 'Post not found'
@@ -393,12 +874,253 @@ const unlikePost = async (req, res) => {
   }
 };
 
+// Repost, or quote-repost when content is given
+const repostPost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content } = req.body;
+    const userId = req.user._id;
+
+    const target = await Post.findById(id);
+
+    if (!target || !target.isActive || !target.isPublished) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    // Reposting a plain repost shares the post it points at
+    const original = target.type === 'repost' ? await Post.findById(target.originalPost) : target;
+
+    if (!original || !original.isActive || !(await canViewPost(original, req.user))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    if (original.visibility !== 'public') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only public posts can be reposted'
+      });
+    }
+
+    const isQuote = Boolean(content);
+
+    if (!isQuote) {
+      const existing = await Post.exists({
+        author: userId,
+        originalPost: original._id,
+        type: 'repost',
+        isActive: true
+      });
+
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          error: 'Post already reposted'
+        });
+      }
+    }
+
+    // Reposts don't earn creation points, otherwise sharing could be farmed
+    const repost = await Post.create({
+      author: userId,
+      type: isQuote ? 'quote' : 'repost',
+      originalPost: original._id,
+      content: isQuote ? content : '',
+      publishedAt: new Date()
+    });
+
+    await Post.updateOne({ _id: original._id }, { $inc: { 'engagement.shares': 1 } });
+
+    await repost.populate('author', 'username fullName profilePicture');
+    await Post.populateReferences(repost);
+
+    res.status(201).json({
+      success: true,
+      message: isQuote ? 'Post quoted successfully' : 'Post reposted successfully',
+      data: repost
+    });
+  } catch (error) {
+    console.error('Repost error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to repost'
+    });
+  }
+};
+
+// Undo a plain repost of a post
+const undoRepost = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const repost = await Post.findOneAndUpdate(
+      { author: req.user._id, originalPost: id, type: 'repost', isActive: true },
+      { $set: { isActive: false } }
+    );
+
+    if (!repost) {
+      return res.status(400).json({
+        success: false,
+        error: 'Post not reposted by user'
+      });
+    }
+
+    await Post.updateOne(
+      { _id: repost.originalPost, 'engagement.shares': { $gt: 0 } },
+      { $inc: { 'engagement.shares': -1 } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Repost removed successfully'
+    });
+  } catch (error) {
+    console.error('Undo repost error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove repost'
+    });
+  }
+};
+
+// Track a share outside the app (share sheet, copied link)
+const sharePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const target = await Post.findOne(Post.publishedFilter({ _id: id, isActive: true }));
+
+    if (!target || !(await canViewPost(target, req.user))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    // Repeat shares by the same person are accepted but not counted again
+    const sharer = req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+    let isFirstShare = true;
+    try {
+      const { count } = await getStore().hit(`share:${target._id}:${sharer}`, SHARE_WINDOW_MS);
+      isFirstShare = count === 1;
+    } catch (storeError) {
+      console.error('Rate limit store error:', storeError);
+    }
+
+    const post = isFirstShare
+      ? await Post.findByIdAndUpdate(
+        target._id,
+        { $inc: { 'engagement.shares': 1 } },
+        { new: true }
+      ).select('engagement')
+      : target;
+
+    res.json({
+      success: true,
+      message: 'Share recorded',
+      data: {
+        sharesCount: post.engagement.shares
+      }
+    });
+  } catch (error) {
+    console.error('Share post error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record share'
+    });
+  }
+};
+
+// Save (bookmark) post, optionally into collections
+const savePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { collectionIds = [] } = req.body;
+
+    const saved = await savePostForUser(req.user, id, collectionIds);
+
+    res.json({
+      success: true,
+      message: 'Post saved successfully',
+      data: {
+        isSaved: true,
+        collections: saved.collections
+      }
+    });
+  } catch (error) {
+    console.error('Save post error:', error);
+
+    if (error.message === 'Post not found' || error.message === 'Collection not found') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message === 'Post already saved') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save post'
+    });
+  }
+};
+
+// Unsave post (also removes it from every collection)
+const unsavePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await SavedPost.deleteOne({ user: req.user._id, post: id });
+
+    if (result.deletedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Post not saved by user'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Post unsaved successfully',
+      data: {
+        isSaved: false
+      }
+    });
+  } catch (error) {
+    console.error('Unsave post error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unsave post'
+    });
+  }
+};
+
 // Get user's posts
 const getUserPosts = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
+    const pagination = getPaginationOptions(req.query);
 
     // Check if user exists
     const user = await User.findById(userId);
@@ -409,37 +1131,48 @@ const getUserPosts = async (req, res) => {
       });
     }
 
-    const posts = await Post.find({
+    const filter = applyCursor(withVisibility(Post.publishedFilter({
       author: userId,
-      isActive: true,
-      visibility: { $ne: 'private' } // Don't show private posts to others
-    })
+      isActive: true
+    }), await getAudience(req.user, { authors: [user._id] })), pagination);
+
+    const results = await Post.find(filter)
     .populate('author', 'username fullName profilePicture')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(parseInt(limit));
+    .sort(pagination.sort)
+    .skip(pagination.skip)
+    .limit(pagination.limit + 1);
 
-    // Add isLiked field if current user is authenticated
+    const { data: posts, pagination: pageInfo } = buildPage(results, pagination);
+    await Post.populateReferences(posts);
+
+    // Add isLiked and isSaved fields if current user is authenticated
     let postsWithLikeStatus = posts;
     if (req.user) {
+      const savedIds = await SavedPost.getSavedPostIds(req.user._id, posts.map(post => post._id));
       postsWithLikeStatus = posts.map(post => {
         const postObj = post.toObject();
         postObj.isLiked = post.isLikedBy(req.user._id);
+        postObj.isSaved = savedIds.has(post._id.toString());
         return postObj;
       });
     }
+    postsWithLikeStatus = await presentPolls(postsWithLikeStatus, req.user);
 
     res.json({
       success: true,
       data: postsWithLikeStatus,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        hasMore: posts.length === parseInt(limit)
-      }
+      pagination: pageInfo
     });
   } catch (error) {
     console.error('Get user posts error:', error);
+
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to get user posts'
@@ -454,8 +1187,17 @@ module.exports = {
   getPost,
   createPost,
   updatePost,
+  getPostRevisions,
+  getDrafts,
+  publishDraft,
   deletePost,
   likePost,
   unlikePost,
+  votePoll,
+  repostPost,
+  undoRepost,
+  sharePost,
+  savePost,
+  unsavePost,
   getUserPosts
 };
\ No newline at end of file
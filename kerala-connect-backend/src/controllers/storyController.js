@@ -0,0 +1,303 @@
+const Story = require('../models/Story');
+const StoryView = require('../models/StoryView');
+const User = require('../models/User');
+const Place = require('../models/Place');
+const { getPaginationOptions, applyCursor, buildPage } = require('../utils/pagination');
+
+const MAX_FEED_STORIES = 500;
+
+// Add isSeen to each story for the current user
+const withSeenState = async (stories, userId) => {
+  const seenIds = await StoryView.getSeenStoryIds(userId, stories.map(story => story._id));
+
+  return stories.map(story => {
+    const storyObj = story.toObject();
+    storyObj.isSeen = story.author._id.equals(userId) || seenIds.has(story._id.toString());
+    return storyObj;
+  });
+};
+
+// Create story
+const createStory = async (req, res) => {
+  try {
+    const { image, caption, placeId } = req.body;
+
+    let place = null;
+    if (placeId) {
+      place = await Place.findById(placeId);
+      if (!place || !place.isActive) {
+        return res.status(404).json({
+          success: false,
+          error: 'Place not found'
+        });
+      }
+    }
+
+    const story = await Story.create({
+      author: req.user._id,
+      image,
+      caption,
+      place: place ? place._id : null
+    });
+
+    await story.populate([
+      { path: 'author', select: 'username fullName profilePicture' },
+      { path: 'place', select: 'name category location.district' }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Story posted successfully',
+      data: story
+    });
+  } catch (error) {
+    console.error('Create story error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create story'
+    });
+  }
+};
+
+// Get active stories from followed users and your own, grouped by author.
+// Your own come first, then authors with stories you haven't seen, most recent first.
+const getStoryFeed = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const user = await User.findById(userId);
+
+    // Newest first so the limit drops the oldest stories, then oldest first within each group
+    const stories = await Story.find(Story.activeFilter({
+      author: { $in: [...user.following, userId] }
+    }))
+    .populate('author', 'username fullName profilePicture')
+    .populate('place', 'name category location.district')
+    .sort({ createdAt: -1 })
+    .limit(MAX_FEED_STORIES);
+    stories.reverse();
+
+    const storiesWithSeenState = await withSeenState(stories.filter(story => story.author), userId);
+
+    const groups = new Map();
+    storiesWithSeenState.forEach(story => {
+      const key = story.author._id.toString();
+      const group = groups.get(key) || { author: story.author, stories: [], hasUnseen: false, latestAt: null };
+
+      group.stories.push(story);
+      group.hasUnseen = group.hasUnseen || !story.isSeen;
+      group.latestAt = story.createdAt;
+      groups.set(key, group);
+    });
+
+    const isOwn = group => group.author._id.equals(userId);
+    const feed = Array.from(groups.values()).sort((a, b) =>
+      isOwn(b) - isOwn(a) || b.hasUnseen - a.hasUnseen || b.latestAt - a.latestAt
+    );
+
+    res.json({
+      success: true,
+      data: feed
+    });
+  } catch (error) {
+    console.error('Get story feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get stories'
+    });
+  }
+};
+
+// Get a user's active stories
+const getUserStories = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const [author, currentUser] = await Promise.all([
+      User.findById(userId),
+      User.findById(req.user._id)
+    ]);
+
+    if (!author || !author.isActive || currentUser.isBlockedWith(author)) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const stories = await Story.find(Story.activeFilter({ author: author._id }))
+      .populate('author', 'username fullName profilePicture')
+      .populate('place', 'name category location.district')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: await withSeenState(stories, req.user._id)
+    });
+  } catch (error) {
+    console.error('Get user stories error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get stories'
+    });
+  }
+};
+
+// Mark story as seen by the current user
+const viewStory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const story = await Story.findOne(Story.activeFilter({ _id: id })).populate('author', 'blockedUsers');
+
+    if (!story || !story.author) {
+      return res.status(404).json({
+        success: false,
+        error: 'Story not found'
+      });
+    }
+
+    // Authors don't show up in their own viewer list
+    if (!story.author._id.equals(userId)) {
+      const currentUser = await User.findById(userId);
+      if (currentUser.isBlockedWith(story.author)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Story not found'
+        });
+      }
+
+      try {
+        await StoryView.create({ story: story._id, viewer: userId, expiresAt: story.expiresAt });
+        await Story.updateOne({ _id: story._id }, { $inc: { viewsCount: 1 } });
+      } catch (error) {
+        // Already seen
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Story marked as seen'
+    });
+  } catch (error) {
+    console.error('View story error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark story as seen'
+    });
+  }
+};
+
+// Get who has seen a story, most recent first (author only)
+const getStoryViewers = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const pagination = getPaginationOptions(req.query, { defaultLimit: 20 });
+
+    const story = await Story.findOne(Story.activeFilter({ _id: id }));
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        error: 'Story not found'
+      });
+    }
+
+    if (!story.author.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this story\'s viewers'
+      });
+    }
+
+    const results = await StoryView.find(applyCursor({ story: story._id }, pagination))
+    .populate('viewer', 'username fullName profilePicture')
+    .sort(pagination.sort)
+    .skip(pagination.skip)
+    .limit(pagination.limit + 1);
+
+    const { data: views, pagination: pageInfo } = buildPage(results, pagination);
+
+    res.json({
+      success: true,
+      data: {
+        viewsCount: story.viewsCount,
+        viewers: views
+          .filter(view => view.viewer)
+          .map(view => ({ user: view.viewer, viewedAt: view.createdAt }))
+      },
+      pagination: pageInfo
+    });
+  } catch (error) {
+    console.error('Get story viewers error:', error);
+
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get story viewers'
+    });
+  }
+};
+
+// Delete story (author only)
+const deleteStory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const story = await Story.findById(id);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        error: 'Story not found'
+      });
+    }
+
+    if (!story.author.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to delete this story'
+      });
+    }
+
+    await StoryView.deleteMany({ story: story._id });
+    await story.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Story deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete story error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete story'
+    });
+  }
+};
+
+module.exports = {
+  createStory,
+  getStoryFeed,
+  getUserStories,
+  viewStory,
+  getStoryViewers,
+  deleteStory
+};
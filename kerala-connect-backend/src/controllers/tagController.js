@@ -0,0 +1,212 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const SavedPost = require('../models/SavedPost');
+const { getPaginationOptions, applyCursor, buildPage } = require('../utils/pagination');
+const { presentPolls } = require('../services/polls');
+const { getAudience, withVisibility } = require('../services/postVisibility');
+
+const MAX_FOLLOWED_TAGS = parseInt(process.env.MAX_FOLLOWED_TAGS || '100');
+
+// Whether the current user follows a tag
+const isFollowingTag = (user, tag) => Boolean(user) && (user.followedTags || []).includes(tag);
+
+// Get trending hashtags
+const getTrendingTags = async (req, res) => {
+  try {
+    const { limit = 10, timeframe = 24 } = req.query;
+
+    const tags = await Post.getTrendingTags(parseInt(limit), parseInt(timeframe));
+
+    res.json({
+      success: true,
+      data: tags.map(tag => ({
+        ...tag,
+        ...(req.user && { isFollowing: isFollowingTag(req.user, tag.tag) })
+      }))
+    });
+  } catch (error) {
+    console.error('Get trending tags error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get trending tags'
+    });
+  }
+};
+
+// Suggest hashtags starting with what the user has typed
+const autocompleteTags = async (req, res) => {
+  try {
+    const { q, limit = 10 } = req.query;
+
+    const tags = await Post.searchTags(q, parseInt(limit));
+
+    res.json({
+      success: true,
+      data: tags
+    });
+  } catch (error) {
+    console.error('Autocomplete tags error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search tags'
+    });
+  }
+};
+
+// Get public posts using a hashtag, newest first
+const getTagPosts = async (req, res) => {
+  try {
+    const { tag } = req.params;
+    const pagination = getPaginationOptions(req.query);
+
+    // Tag pages only list public posts; the policy also drops blocked authors
+    const tagFilter = withVisibility(Post.publishedFilter({
+      tags: tag,
+      isActive: true,
+      visibility: 'public'
+    }), await getAudience(req.user));
+
+    const results = await Post.find(applyCursor(tagFilter, pagination))
+    .populate('author', 'username fullName profilePicture')
+    .sort(pagination.sort)
+    .skip(pagination.skip)
+    .limit(pagination.limit + 1);
+
+    const { data: posts, pagination: pageInfo } = buildPage(results, pagination);
+    await Post.populateReferences(posts);
+
+    // Add isLiked and isSaved fields if user is authenticated
+    let postsWithLikeStatus = posts;
+    if (req.user) {
+      const savedIds = await SavedPost.getSavedPostIds(req.user._id, posts.map(post => post._id));
+      postsWithLikeStatus = posts.map(post => {
+        const postObj = post.toObject();
+        postObj.isLiked = post.isLikedBy(req.user._id);
+        postObj.isSaved = savedIds.has(post._id.toString());
+        return postObj;
+      });
+    }
+    postsWithLikeStatus = await presentPolls(postsWithLikeStatus, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        tag: {
+          name: tag,
+          postsCount: await Post.countDocuments(tagFilter),
+          ...(req.user && { isFollowing: isFollowingTag(req.user, tag) })
+        },
+        posts: postsWithLikeStatus
+      },
+      pagination: pageInfo
+    });
+  } catch (error) {
+    console.error('Get tag posts error:', error);
+
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get tag posts'
+    });
+  }
+};
+
+// Follow a hashtag
+const followTag = async (req, res) => {
+  try {
+    const { tag } = req.params;
+
+    const user = await User.findById(req.user._id);
+
+    if (user.followedTags.includes(tag)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Already following this tag'
+      });
+    }
+
+    if (user.followedTags.length >= MAX_FOLLOWED_TAGS) {
+      return res.status(400).json({
+        success: false,
+        error: `You can follow up to ${MAX_FOLLOWED_TAGS} tags`
+      });
+    }
+
+    user.followedTags.push(tag);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `Following #${tag}`
+    });
+  } catch (error) {
+    console.error('Follow tag error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to follow tag'
+    });
+  }
+};
+
+// Unfollow a hashtag
+const unfollowTag = async (req, res) => {
+  try {
+    const { tag } = req.params;
+
+    const result = await User.updateOne(
+      { _id: req.user._id, followedTags: tag },
+      { $pull: { followedTags: tag } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Not following this tag'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Unfollowed #${tag}`
+    });
+  } catch (error) {
+    console.error('Unfollow tag error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unfollow tag'
+    });
+  }
+};
+
+// Get the hashtags the current user follows
+const getFollowedTags = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('followedTags');
+
+    res.json({
+      success: true,
+      data: user.followedTags
+    });
+  } catch (error) {
+    console.error('Get followed tags error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get followed tags'
+    });
+  }
+};
+
+module.exports = {
+  getTrendingTags,
+  autocompleteTags,
+  getTagPosts,
+  followTag,
+  unfollowTag,
+  getFollowedTags
+};
@@ -0,0 +1,163 @@
+const TripPlan = require('../models/TripPlan');
+const { getPaginationOptions, applyCursor, buildPage } = require('../utils/pagination');
+const { cloneItinerary: cloneItineraryToTripPlan } = require('../services/itineraries');
+
+// Find a trip plan owned by the current user
+const findOwnTripPlan = async (req, res) => {
+  const tripPlan = await TripPlan.findById(req.params.id);
+
+  if (!tripPlan || !tripPlan.owner.equals(req.user._id)) {
+    res.status(404).json({
+      success: false,
+      error: 'Trip plan not found'
+    });
+    return null;
+  }
+
+  return tripPlan;
+};
+
+// Copy an itinerary post into the current user's trip plans
+const cloneItinerary = async (req, res) => {
+  try {
+    const tripPlan = await cloneItineraryToTripPlan(req.params.id, req.user, { title: req.body.title });
+
+    res.status(201).json({
+      success: true,
+      message: 'Itinerary added to your trips',
+      data: tripPlan
+    });
+  } catch (error) {
+    console.error('Clone itinerary error:', error);
+
+    if (error.message === 'Itinerary not found') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clone itinerary'
+    });
+  }
+};
+
+// Get current user's trip plans, newest first (without stops)
+const getMyTripPlans = async (req, res) => {
+  try {
+    const pagination = getPaginationOptions(req.query, { defaultLimit: 20 });
+
+    const results = await TripPlan.find(applyCursor({ owner: req.user._id }, pagination))
+      .select('-stops')
+      .sort(pagination.sort)
+      .skip(pagination.skip)
+      .limit(pagination.limit + 1);
+
+    const { data: tripPlans, pagination: pageInfo } = buildPage(results, pagination);
+
+    res.json({
+      success: true,
+      data: tripPlans,
+      pagination: pageInfo
+    });
+  } catch (error) {
+    console.error('Get trip plans error:', error);
+
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get trip plans'
+    });
+  }
+};
+
+// Get a trip plan with its stops (owner only)
+const getTripPlan = async (req, res) => {
+  try {
+    const tripPlan = await findOwnTripPlan(req, res);
+    if (!tripPlan) return;
+
+    await tripPlan.populate([
+      { path: 'stops.place', select: 'name category location.district' },
+      {
+        path: 'sourcePost',
+        match: { isActive: true },
+        select: 'author content createdAt',
+        populate: { path: 'author', select: 'username fullName profilePicture' }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: tripPlan
+    });
+  } catch (error) {
+    console.error('Get trip plan error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get trip plan'
+    });
+  }
+};
+
+// Rename a trip plan (owner only)
+const updateTripPlan = async (req, res) => {
+  try {
+    const { title } = req.body;
+
+    const tripPlan = await findOwnTripPlan(req, res);
+    if (!tripPlan) return;
+
+    if (title !== undefined) tripPlan.title = title;
+    await tripPlan.save();
+
+    res.json({
+      success: true,
+      message: 'Trip plan updated successfully',
+      data: tripPlan
+    });
+  } catch (error) {
+    console.error('Update trip plan error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update trip plan'
+    });
+  }
+};
+
+// Delete a trip plan (owner only)
+const deleteTripPlan = async (req, res) => {
+  try {
+    const tripPlan = await findOwnTripPlan(req, res);
+    if (!tripPlan) return;
+
+    await tripPlan.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Trip plan deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete trip plan error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete trip plan'
+    });
+  }
+};
+
+module.exports = {
+  cloneItinerary,
+  getMyTripPlans,
+  getTripPlan,
+  updateTripPlan,
+  deleteTripPlan
+};
@@ -2,6 +2,9 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { promisify } = require('util');
+const MediaUpload = require('../models/MediaUpload');
+
+const MAX_VIDEO_SIZE_MB = parseInt(process.env.MAX_VIDEO_SIZE_MB || '50');
 
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, '../../uploads');
@@ -9,9 +12,17 @@ if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
+// Subdirectory for each upload type
+const uploadDirs = {
+  profile: 'profiles',
+  post: 'posts',
+  place: 'places',
+  story: 'stories',
+  temp: 'temp'
+};
+
 // Create subdirectories
-const subdirs = ['profiles', 'posts', 'places', 'temp'];
-subdirs.forEach(subdir => {
+Object.values(uploadDirs).forEach(subdir => {
   const subdirPath = path.join(uploadsDir, subdir);
   if (!fs.existsSync(subdirPath)) {
     fs.mkdirSync(subdirPath, { recursive: true });
@@ -22,21 +33,7 @@ subdirs.forEach(subdir => {
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     const { type } = req.params;
-    let uploadPath;
-    
-    switch (type) {
-      case 'profile':
-        uploadPath = path.join(uploadsDir, 'profiles');
-        break;
-      case 'post':
-        uploadPath = path.join(uploadsDir, 'posts');
-        break;
-      case 'place':
-        uploadPath = path.join(uploadsDir, 'places');
-        break;
-      default:
-        uploadPath = path.join(uploadsDir, 'temp');
-    }
+    const uploadPath = path.join(uploadsDir, uploadDirs[type] || uploadDirs.temp);
     
     cb(null, uploadPath);
   },
@@ -71,11 +68,46 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+// Videos are uploaded one at a time and processed in the background
+const videoUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_VIDEO_SIZE_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (['video/mp4', 'video/webm'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only MP4 and WebM videos are allowed.'), false);
+    }
+  }
+});
+
+// Photos uploaded for posts are recorded so post media items can refer to
+// them by uploadId. Returns the upload IDs (none for other upload types).
+const recordPostImages = async (req, files, urls) => {
+  if (req.params.type !== 'post') return [];
+  
+  const uploads = await MediaUpload.insertMany(files.map((file, index) => ({
+    owner: req.user._id,
+    kind: 'image',
+    filename: file.filename,
+    path: file.path,
+    url: urls[index],
+    mimetype: file.mimetype,
+    size: file.size,
+    status: 'ready'
+  })));
+  
+  return uploads.map(item => item._id);
+};
+
 // Upload single image
 const uploadSingle = (req, res) => {
   const uploadSingleFile = upload.single('image');
   
-  uploadSingleFile(req, res, (err) => {
+  uploadSingleFile(req, res, async (err) => {
     if (err) {
       console.error('Upload error:', err);
       
@@ -107,20 +139,31 @@ const uploadSingle = (req, res) => {
     }
     
     const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const fileUrl = `${baseUrl}/uploads/${req.params.type}s/${req.file.filename}`;
+    const fileUrl = `${baseUrl}/uploads/${uploadDirs[req.params.type]}/${req.file.filename}`;
     
-    res.json({
-      success: true,
-      message: 'File uploaded successfully',
-      data: {
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        mimetype: req.file.mimetype,
-        size: req.file.size,
-        url: fileUrl,
-        path: req.file.path
-      }
-    });
+    try {
+      const [uploadId] = await recordPostImages(req, [req.file], [fileUrl]);
+      
+      res.json({
+        success: true,
+        message: 'File uploaded successfully',
+        data: {
+          uploadId,
+          filename: req.file.filename,
+          originalName: req.file.originalname,
+          mimetype: req.file.mimetype,
+          size: req.file.size,
+          url: fileUrl,
+          path: req.file.path
+        }
+      });
+    } catch (error) {
+      console.error('Record upload error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Upload failed'
+      });
+    }
   });
 };
 
@@ -128,7 +171,7 @@ const uploadSingle = (req, res) => {
 const uploadMultiple = (req, res) => {
   const uploadMultipleFiles = upload.array('images', 5);
   
-  uploadMultipleFiles(req, res, (err) => {
+  uploadMultipleFiles(req, res, async (err) => {
     if (err) {
       console.error('Upload error:', err);
       
@@ -160,21 +203,123 @@ const uploadMultiple = (req, res) => {
     }
     
     const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const uploadedFiles = req.files.map(file => ({
-      filename: file.filename,
-      originalName: file.originalname,
-      mimetype: file.mimetype,
-      size: file.size,
-      url: `${baseUrl}/uploads/${req.params.type}s/${file.filename}`,
-      path: file.path
-    }));
+    const urls = req.files.map(file => `${baseUrl}/uploads/${uploadDirs[req.params.type]}/${file.filename}`);
+    
+    try {
+      const uploadIds = await recordPostImages(req, req.files, urls);
+      
+      const uploadedFiles = req.files.map((file, index) => ({
+        uploadId: uploadIds[index],
+        filename: file.filename,
+        originalName: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size,
+        url: urls[index],
+        path: file.path
+      }));
+      
+      res.json({
+        success: true,
+        message: `${uploadedFiles.length} file(s) uploaded successfully`,
+        data: uploadedFiles
+      });
+    } catch (error) {
+      console.error('Record upload error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Upload failed'
+      });
+    }
+  });
+};
+
+// Upload a video. It is stored as processing and checked by the video
+// processing job; poll GET /api/upload/media/:id until it is ready.
+const uploadVideo = (req, res) => {
+  const uploadVideoFile = videoUpload.single('video');
+  
+  uploadVideoFile(req, res, async (err) => {
+    if (err) {
+      console.error('Upload error:', err);
+      
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+          success: false,
+          error: `File too large. Maximum size is ${MAX_VIDEO_SIZE_MB}MB.`
+        });
+      }
+      
+      if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({
+          success: false,
+          error: 'Unexpected field name. Use "video" as the field name.'
+        });
+      }
+      
+      return res.status(400).json({
+        success: false,
+        error: err.message || 'Upload failed'
+      });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded'
+      });
+    }
+    
+    try {
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+      
+      const upload = await MediaUpload.create({
+        owner: req.user._id,
+        kind: 'video',
+        filename: req.file.filename,
+        path: req.file.path,
+        url: `${baseUrl}/uploads/${uploadDirs[req.params.type]}/${req.file.filename}`,
+        mimetype: req.file.mimetype,
+        size: req.file.size
+      });
+      
+      res.status(202).json({
+        success: true,
+        message: 'Video uploaded, processing',
+        data: upload
+      });
+    } catch (error) {
+      console.error('Upload video error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to upload video'
+      });
+    }
+  });
+};
+
+// Get an upload and, for videos, its processing status (uploader only)
+const getMediaUpload = async (req, res) => {
+  try {
+    const upload = await MediaUpload.findById(req.params.id);
+    
+    if (!upload || !upload.owner.equals(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload not found'
+      });
+    }
     
     res.json({
       success: true,
-      message: `${uploadedFiles.length} file(s) uploaded successfully`,
-      data: uploadedFiles
+      data: upload
     });
-  });
+  } catch (error) {
+    console.error('Get media upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get upload'
+    });
+  }
 };
 
 // Delete uploaded file
@@ -197,7 +342,7 @@ const deleteFile = async (req, res) => {
       });
     }
     
-    const filePath = path.join(uploadsDir, `${type}s`, filename);
+    const filePath = path.join(uploadsDir, uploadDirs[type], filename);
     
     // Check if file exists
     if (!fs.existsSync(filePath)) {
@@ -244,7 +389,14 @@ const getFileInfo = (req, res) => {
       });
     }
     
-    const filePath = path.join(uploadsDir, `${type}s`, filename);
+    if (!uploadDirs[type]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file type'
+      });
+    }
+    
+    const filePath = path.join(uploadsDir, uploadDirs[type], filename);
     
     if (!fs.existsSync(filePath)) {
       return res.status(404).json({
@@ -263,7 +415,7 @@ const getFileInfo = (req, res) => {
         size: stats.size,
         created: stats.birthtime,
         modified: stats.mtime,
-        url: `${baseUrl}/uploads/${type}s/${filename}`,
+        url: `${baseUrl}/uploads/${uploadDirs[type]}/${filename}`,
         path: filePath
       }
     });
@@ -312,6 +464,8 @@ const cleanupTempFiles = async (req, res) => {
 module.exports = {
   uploadSingle,
   uploadMultiple,
+  uploadVideo,
+  getMediaUpload,
   deleteFile,
   getFileInfo,
   cleanupTempFiles
@@ -1,6 +1,17 @@
 const User = require('../models/User');
 const Post = require('../models/Post');
+const SavedPost = require('../models/SavedPost');
 const PointsTransaction = require('../models/PointsTransaction');
+const { scheduleAccountDeletion, getGracePeriodDays } = require('../services/accountDeletion');
+const { buildUserExport, writeExportZip } = require('../services/dataExport');
+const { listSavedPosts } = require('../services/savedPosts');
+const { presentPolls } = require('../services/polls');
+const { getAudience, withVisibility } = require('../services/postVisibility');
+const { getPaginationOptions, applyCursor, buildPage } = require('../utils/pagination');
+const { signPurposeToken, verifyPurposeToken } = require('../utils/tokens');
+const { sendAccountDeletionEmail } = require('../services/mailer');
+
+const DELETION_CONFIRMATION_EXPIRES_MINUTES = 30;
 
 // Get user profile
 const getUserProfile = async (req, res) => {
@@ -128,6 +139,13 @@ const followUser = async (req, res) => {
 
     const currentUser = await User.findById(currentUserId);
 
+    if (currentUser.isBlockedWith(userToFollow)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot follow this user'
+      });
+    }
+
     // Check if already following
     if (currentUser.following.includes(userId)) {
       return res.status(400).json({
@@ -344,8 +362,7 @@ const getUserFollowing = async (req, res) => {
 const getUserPosts = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
+    const pagination = getPaginationOptions(req.query);
 
     // Check if user exists
     const user = await User.findById(userId);
@@ -356,37 +373,49 @@ const getUserPosts = async (req, res) => {
       });
     }
 
-    const posts = await Post.find({
+    const filter = applyCursor(withVisibility(Post.publishedFilter({
       author: userId,
       isActive: true
-    })
+    }), await getAudience(req.user, { authors: [user._id] })), pagination);
+
+    const results = await Post.find(filter)
     .populate('author', 'username fullName profilePicture')
     .populate('location', 'name coordinates')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(parseInt(limit));
+    .sort(pagination.sort)
+    .skip(pagination.skip)
+    .limit(pagination.limit + 1);
 
-    // Add isLiked field if current user is authenticated
+    const { data: posts, pagination: pageInfo } = buildPage(results, pagination);
+    await Post.populateReferences(posts);
+
+    // Add isLiked and isSaved fields if current user is authenticated
     let postsWithLikeStatus = posts;
     if (req.user) {
+      const savedIds = await SavedPost.getSavedPostIds(req.user._id, posts.map(post => post._id));
       postsWithLikeStatus = posts.map(post => {
         const postObj = post.toObject();
         postObj.isLiked = post.isLikedBy(req.user._id);
+        postObj.isSaved = savedIds.has(post._id.toString());
         return postObj;
       });
     }
+    postsWithLikeStatus = await presentPolls(postsWithLikeStatus, req.user);
 
     res.json({
       success: true,
       data: postsWithLikeStatus,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        hasMore: posts.length === parseInt(limit)
-      }
+      pagination: pageInfo
     });
   } catch (error) {
     console.error('Get user posts error:', error);
+
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to get user posts'
@@ -536,6 +565,369 @@ const getLeaderboard = async (req, res) => {
   }
 };
 
+// Block user (also removes follows in both directions)
+const blockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const currentUserId = req.user._id;
+
+    if (userId === currentUserId.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot block yourself'
+      });
+    }
+
+    const userToBlock = await User.findById(userId);
+    if (!userToBlock) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const result = await User.updateOne(
+      { _id: currentUserId, blockedUsers: { $ne: userToBlock._id } },
+      {
+        $push: { blockedUsers: userToBlock._id },
+        $pull: { following: userToBlock._id, followers: userToBlock._id, closeFriends: userToBlock._id }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'User already blocked'
+      });
+    }
+
+    await User.updateOne(
+      { _id: userToBlock._id },
+      { $pull: { following: currentUserId, followers: currentUserId, closeFriends: currentUserId } }
+    );
+
+    res.json({
+      success: true,
+      message: 'User blocked successfully',
+      data: {
+        isBlocked: true
+      }
+    });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to block user'
+    });
+  }
+};
+
+// Unblock user
+const unblockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const result = await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { blockedUsers: userId } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'User is not blocked'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User unblocked successfully',
+      data: {
+        isBlocked: false
+      }
+    });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unblock user'
+    });
+  }
+};
+
+// Get users blocked by current user
+const getBlockedUsers = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('blockedUsers', 'username fullName profilePicture');
+
+    res.json({
+      success: true,
+      data: user.blockedUsers
+    });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get blocked users'
+    });
+  }
+};
+
+// Get current user's close friends
+const getCloseFriends = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('closeFriends', 'username fullName profilePicture');
+
+    res.json({
+      success: true,
+      data: user.closeFriends
+    });
+  } catch (error) {
+    console.error('Get close friends error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get close friends'
+    });
+  }
+};
+
+// Add a user to the current user's close friends (they can then see close_friends posts)
+const addCloseFriend = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const currentUserId = req.user._id;
+
+    if (userId === currentUserId.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot add yourself to close friends'
+      });
+    }
+
+    const [friend, currentUser] = await Promise.all([
+      User.findById(userId),
+      User.findById(currentUserId)
+    ]);
+
+    if (!friend || !friend.isActive || currentUser.isBlockedWith(friend)) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const result = await User.updateOne(
+      { _id: currentUserId, closeFriends: { $ne: friend._id } },
+      { $push: { closeFriends: friend._id } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'User is already a close friend'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Added to close friends',
+      data: {
+        isCloseFriend: true
+      }
+    });
+  } catch (error) {
+    console.error('Add close friend error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add close friend'
+    });
+  }
+};
+
+// Remove a user from the current user's close friends
+const removeCloseFriend = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const result = await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { closeFriends: userId } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'User is not a close friend'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from close friends',
+      data: {
+        isCloseFriend: false
+      }
+    });
+  } catch (error) {
+    console.error('Remove close friend error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove close friend'
+    });
+  }
+};
+
+// Get current user's saved posts (?collection= to list one collection)
+const getMySavedPosts = async (req, res) => {
+  try {
+    const pagination = getPaginationOptions(req.query);
+    const { collection } = req.query;
+
+    const filter = { user: req.user._id };
+    if (collection) filter.collections = collection;
+
+    const { data: posts, pagination: pageInfo } = await listSavedPosts(filter, pagination, req.user);
+
+    res.json({
+      success: true,
+      data: posts,
+      pagination: pageInfo
+    });
+  } catch (error) {
+    console.error('Get saved posts error:', error);
+
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get saved posts'
+    });
+  }
+};
+
+// Get current user's wishlist of places
+const getMyWishlist = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('wishlist.place', 'name category location.district images rating isActive');
+
+    // Skip places that have since been removed
+    const wishlist = user.wishlist
+      .filter(item => item.place && item.place.isActive)
+      .sort((a, b) => b.addedAt - a.addedAt);
+
+    res.json({
+      success: true,
+      data: wishlist
+    });
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get wishlist'
+    });
+  }
+};
+
+// Delete current user account (deactivated now, anonymised after the grace period)
+const deleteMyAccount = async (req, res) => {
+  try {
+    const { password, confirmationToken } = req.body;
+
+    const user = await User.findById(req.user._id);
+
+    if (user.hasPassword) {
+      const isPasswordValid = await user.comparePassword(password || '');
+      if (!isPasswordValid) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid password'
+        });
+      }
+    } else if (!confirmationToken) {
+      // Accounts that only sign in through a provider have no password to
+      // confirm, so they confirm from a link sent to their email instead
+      const token = signPurposeToken(
+        'account-deletion',
+        { userId: user._id },
+        `${DELETION_CONFIRMATION_EXPIRES_MINUTES}m`
+      );
+      await sendAccountDeletionEmail(user, token, DELETION_CONFIRMATION_EXPIRES_MINUTES);
+
+      return res.status(202).json({
+        success: true,
+        message: 'Check your email for a link to confirm deleting your account',
+        data: {
+          confirmationRequired: true
+        }
+      });
+    } else {
+      let decoded;
+      try {
+        decoded = verifyPurposeToken('account-deletion', confirmationToken);
+      } catch (tokenError) {
+        decoded = null;
+      }
+
+      if (!decoded || decoded.userId !== user._id.toString()) {
+        return res.status(401).json({
+          success: false,
+          error: 'Confirmation link is invalid or has expired'
+        });
+      }
+    }
+
+    const scheduledFor = await scheduleAccountDeletion(user);
+
+    res.json({
+      success: true,
+      message: `Your account has been deactivated and will be permanently deleted in ${getGracePeriodDays()} days. Log in again before then to cancel.`,
+      data: {
+        scheduledFor
+      }
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete account'
+    });
+  }
+};
+
+// Export current user's personal data as JSON or a ZIP archive
+const exportMyData = async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    const data = await buildUserExport(req.user._id);
+    const filename = `kerala-connect-export-${req.user.username}-${data.exportedAt.toISOString().slice(0, 10)}`;
+
+    if (format === 'zip') {
+      res.attachment(`${filename}.zip`);
+      return writeExportZip(data, res);
+    }
+
+    res.attachment(`${filename}.json`);
+    res.send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('Export data error:', error);
+    if (res.headersSent) return;
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export data'
+    });
+  }
+};
+
 module.exports = {
   getUserProfile,
   getMyProfile,
@@ -547,5 +939,15 @@ module.exports = {
   getUserPosts,
   searchUsers,
   getUserPoints,
-  getLeaderboard
+  getLeaderboard,
+  getMyWishlist,
+  getMySavedPosts,
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  getCloseFriends,
+  addCloseFriend,
+  removeCloseFriend,
+  deleteMyAccount,
+  exportMyData
 };
\ No newline at end of file
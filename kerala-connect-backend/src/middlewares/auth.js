@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isRestrictedForUnverified } = require('../config/emailVerification');
+const { findActiveSession, touchSession } = require('../services/sessionService');
+const { getStore } = require('../services/rateLimitStore');
+const { normalizePhoneNumber } = require('../utils/phone');
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -17,6 +21,17 @@ const authenticateToken = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Token must belong to a live session. Purpose tokens (email verification etc.)
+    // carry no session, so they can't be used as access tokens.
+    const session = decoded.purpose ? null : await findActiveSession(decoded.sid);
+    
+    if (!session || session.user.toString() !== String(decoded.userId)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has expired or been revoked'
+      });
+    }
+    
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
     
@@ -27,12 +42,22 @@ const authenticateToken = async (req, res, next) => {
       });
     }
     
-    // Update last active timestamp
+    // Reject tokens issued before the last password change
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Password was changed recently. Please log in again.'
+      });
+    }
+    
+    // Update last active timestamps
     user.lastActive = new Date();
     await user.save({ validateBeforeSave: false });
+    await touchSession(session);
     
-    // Attach user to request object
+    // Attach user and session to request object
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -66,10 +91,12 @@ const optionalAuth = async (req, res, next) => {
     
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
+      const session = decoded.purpose ? null : await findActiveSession(decoded.sid);
+      const user = session ? await User.findById(decoded.userId).select('-password') : null;
       
-      if (user && user.isActive) {
+      if (user && user.isActive && !user.changedPasswordAfter(decoded.iat)) {
         req.user = user;
+        req.authSession = session;
         
         // Update last active timestamp
         user.lastActive = new Date();
@@ -84,7 +111,49 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user is admin (assuming admin role exists)
+// Middleware to require one of the given roles (admins always pass)
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+    
+    if (!req.user.hasRole(...roles)) {
+      return res.status(403).json({
+        success: false,
+        error: `Access denied: requires ${roles.join(' or ')} role`
+      });
+    }
+    
+    next();
+  };
+};
+
+// Middleware to require a permission from the role permission map
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+    
+    if (!req.user.hasPermission(permission)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied: insufficient permissions'
+      });
+    }
+    
+    next();
+  };
+};
+
+// Middleware to check if user is admin
 const requireAdmin = (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
@@ -93,7 +162,7 @@ const requireAdmin = (req, res, next) => {
     });
   }
   
-  if (!req.user.isAdmin) {
+  if (!req.user.hasRole('admin')) {
     return res.status(403).json({
       success: false,
       error: 'Admin access required'
@@ -116,7 +185,7 @@ const requireOwnershipOrAdmin = (resourceIdField = 'id') => {
     const resourceId = req.params[resourceIdField];
     
     // Allow if user is admin or owns the resource
-    if (req.user.isAdmin || req.user._id.toString() === resourceId) {
+    if (req.user.hasRole('admin') || req.user._id.toString() === resourceId) {
       return next();
     }
     
@@ -150,7 +219,7 @@ const validateResourceOwnership = (Model, resourceIdField = 'id', ownerField = '
       
       // Check if user owns the resource or is admin
       const isOwner = resource[ownerField].toString() === req.user._id.toString();
-      const isAdmin = req.user.isAdmin;
+      const isAdmin = req.user.hasRole('admin');
       
       if (!isOwner && !isAdmin) {
         return res.status(403).json({
@@ -172,49 +241,106 @@ const validateResourceOwnership = (Model, resourceIdField = 'id', ownerField = '
   };
 };
 
-// Rate limiting middleware for authentication endpoints
+// Middleware to block unverified accounts from actions listed in the verification policy
+const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+    
+    if (!req.user.isEmailVerified && isRestrictedForUnverified(action)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Please verify your email address to do this',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+    
+    next();
+  };
+};
+
+// Rate limiting middleware for authentication endpoints.
+// Hits are counted per IP and, when the request names an account (email or
+// phone number in the body, or the signed-in user), per account too, so spreading attempts across
+// addresses doesn't get around the limit. Counters live in the configured
+// rate limit store (see services/rateLimitStore).
+const getRateLimitKeys = (req) => {
+  const scope = `auth:${req.baseUrl}${req.path}`;
+  const ip = req.ip || req.connection.remoteAddress;
+  const account = req.user
+    ? req.user._id.toString()
+    : (typeof req.body?.email === 'string' && req.body.email.trim().toLowerCase()) ||
+      normalizePhoneNumber(req.body?.phoneNumber);
+  
+  return {
+    ipKey: `${scope}:ip:${ip}`,
+    accountKey: account ? `${scope}:account:${account}` : null
+  };
+};
+
 const authRateLimit = (maxAttempts = 5, windowMinutes = 15) => {
-  const attempts = new Map();
+  const windowMs = windowMinutes * 60 * 1000;
   
-  return (req, res, next) => {
-    const ip = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
-    const windowMs = windowMinutes * 60 * 1000;
-    
-    // Clean old entries
-    attempts.forEach((value, key) => {
-      if (now - value.firstAttempt > windowMs) {
-        attempts.delete(key);
-      }
-    });
+  return async (req, res, next) => {
+    const { ipKey, accountKey } = getRateLimitKeys(req);
     
-    const userAttempts = attempts.get(ip);
+    const keys = [ipKey];
+    if (accountKey) {
+      keys.push(accountKey);
+    }
     
-    if (userAttempts) {
-      if (userAttempts.count >= maxAttempts) {
-        const timeLeft = Math.ceil((windowMs - (now - userAttempts.firstAttempt)) / 1000 / 60);
+    try {
+      const store = getStore();
+      const results = await Promise.all(keys.map(key => store.hit(key, windowMs)));
+      const limited = results.filter(result => result.count > maxAttempts);
+      
+      if (limited.length > 0) {
+        const resetAt = Math.max(...limited.map(result => new Date(result.resetAt).getTime()));
+        const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+        
+        res.set('Retry-After', String(retryAfter));
         return res.status(429).json({
           success: false,
-          error: `Too many attempts. Try again in ${timeLeft} minutes.`
+          error: `Too many attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes.`,
+          retryAfter
         });
       }
-      userAttempts.count++;
-    } else {
-      attempts.set(ip, {
-        count: 1,
-        firstAttempt: now
-      });
+    } catch (error) {
+      // Don't lock everyone out because the store is unavailable
+      console.error('Rate limit store error:', error);
     }
     
     next();
   };
 };
 
+// Clear the account's counter for this endpoint after a successful login, so
+// earlier typos don't count against the owner. The IP counter is kept, since
+// one address may be trying many accounts.
+const resetAuthRateLimit = async (req) => {
+  const { accountKey } = getRateLimitKeys(req);
+  if (!accountKey) return;
+  
+  try {
+    await getStore().reset(accountKey);
+  } catch (error) {
+    console.error('Rate limit store error:', error);
+  }
+};
+
 module.exports = {
   authenticateToken,
   optionalAuth,
+  requireRole,
+  requirePermission,
   requireAdmin,
   requireOwnershipOrAdmin,
   validateResourceOwnership,
-  authRateLimit
+  requireVerifiedEmail,
+  authRateLimit,
+  resetAuthRateLimit
 };
\ No newline at end of file
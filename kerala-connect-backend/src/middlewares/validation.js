@@ -1,4 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { normalizePhoneNumber } = require('../utils/phone');
+const { isReservedUsername } = require('../config/reservedUsernames');
 
 // Middleware to handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -28,7 +30,9 @@ const validateSignup = [
     .isLength({ min: 3, max: 30 })
     .withMessage('Username must be between 3 and 30 characters')
     .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username can only contain letters, numbers, and underscores'),
+    .withMessage('Username can only contain letters, numbers, and underscores')
+    .custom(value => !isReservedUsername(value))
+    .withMessage('This username is not available'),
   
   body('email')
     .trim()
@@ -66,6 +70,152 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+const validatePasswordResetRequest = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+];
+
+const validateResetPassword = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  
+  handleValidationErrors
+];
+
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  
+  handleValidationErrors
+];
+
+// Two-factor validation rules
+const twoFactorCodeRules = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .isLength({ min: 11, max: 11 })
+    .withMessage('Invalid recovery code format'),
+  
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('Authenticator code or recovery code is required')
+];
+
+const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  
+  ...twoFactorCodeRules,
+  
+  handleValidationErrors
+];
+
+const validateDisableTwoFactor = [
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  
+  ...twoFactorCodeRules,
+  
+  handleValidationErrors
+];
+
+const otpRequestRules = [
+  body('phoneNumber')
+    .customSanitizer(normalizePhoneNumber)
+    .custom(value => value !== null)
+    .withMessage('Please provide a valid phone number'),
+  
+  body('purpose')
+    .optional()
+    .isIn(['login', 'verify_phone'])
+    .withMessage('Purpose must be login or verify_phone')
+];
+
+const validateOtpRequest = [
+  ...otpRequestRules,
+  
+  handleValidationErrors
+];
+
+const validateOtpVerify = [
+  ...otpRequestRules,
+  
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  
+  handleValidationErrors
+];
+
+const validateOidcCallback = [
+  body('code')
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  
+  body('state')
+    .notEmpty()
+    .withMessage('State is required'),
+  
+  body('loginToken')
+    .notEmpty()
+    .withMessage('Login token is required'),
+  
+  handleValidationErrors
+];
+
+const validateOidcSignup = [
+  body('signupToken')
+    .notEmpty()
+    .withMessage('Signup token is required'),
+  
+  body('username')
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores')
+    .custom(value => !isReservedUsername(value))
+    .withMessage('This username is not available'),
+  
+  handleValidationErrors
+];
+
 const validateUpdateProfile = [
   body('username')
     .optional()
@@ -73,7 +223,9 @@ const validateUpdateProfile = [
     .isLength({ min: 3, max: 30 })
     .withMessage('Username must be between 3 and 30 characters')
     .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username can only contain letters, numbers, and underscores'),
+    .withMessage('Username can only contain letters, numbers, and underscores')
+    .custom(value => !isReservedUsername(value))
+    .withMessage('This username is not available'),
   
   body('fullName')
     .optional()
@@ -90,6 +242,111 @@ const validateUpdateProfile = [
   handleValidationErrors
 ];
 
+const validateDeleteAccount = [
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  
+  body('confirmationToken')
+    .optional()
+    .isString()
+    .withMessage('Confirmation token must be a string'),
+  
+  handleValidationErrors
+];
+
+const validateDataExport = [
+  query('format')
+    .optional()
+    .isIn(['json', 'zip'])
+    .withMessage('Format must be json or zip'),
+  
+  handleValidationErrors
+];
+
+// Itinerary validation rules (new posts and drafts)
+const itineraryRules = [
+  body('itinerary')
+    .optional()
+    .isObject()
+    .withMessage('Itinerary must be an object'),
+  
+  body('itinerary.title')
+    .if(body('itinerary').exists())
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Itinerary title must be between 1 and 100 characters'),
+  
+  body('itinerary.stops')
+    .if(body('itinerary').exists())
+    .isArray({ min: 2, max: 30 })
+    .withMessage('An itinerary must have between 2 and 30 stops')
+    .custom(stops => stops.every((stop, index) => index === 0 || Number(stop.day) >= Number(stops[index - 1].day)))
+    .withMessage('Stops must be in day order'),
+  
+  body('itinerary.stops.*')
+    .if(body('itinerary').exists())
+    .custom(stop => Boolean(stop) && (Boolean(stop.placeId) || (Boolean(stop.name) && Boolean(stop.coordinates))))
+    .withMessage('Each stop needs a placeId, or a name and coordinates'),
+  
+  body('itinerary.stops.*.placeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Place ID must be a valid ID'),
+  
+  body('itinerary.stops.*.name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Stop name must be between 1 and 100 characters'),
+  
+  body('itinerary.stops.*.coordinates.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  
+  body('itinerary.stops.*.coordinates.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  
+  body('itinerary.stops.*.day')
+    .if(body('itinerary').exists())
+    .isInt({ min: 1, max: 30 })
+    .withMessage('Day must be between 1 and 30'),
+  
+  body('itinerary.stops.*.notes')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Stop notes cannot exceed 500 characters'),
+  
+  body('itinerary.stops.*.photos')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Maximum 5 photos per stop'),
+  
+  body('itinerary.stops.*.photos.*')
+    .custom(photo => Boolean(photo) && (photo.uploadId !== undefined || /^https?:\/\/\S+$/.test(photo.url)))
+    .withMessage('Each stop photo needs a url or uploadId'),
+  
+  body('itinerary.stops.*.photos.*.uploadId')
+    .optional()
+    .isMongoId()
+    .withMessage('Upload ID must be a valid ID'),
+  
+  body('itinerary.stops.*.photos.*.altText')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 250 })
+    .withMessage('Alt text cannot exceed 250 characters')
+];
+
 // Post validation rules
 const validateCreatePost = [
   body('content')
@@ -97,6 +354,11 @@ const validateCreatePost = [
     .isLength({ min: 1, max: 1000 })
     .withMessage('Content must be between 1 and 1000 characters'),
   
+  body('visibility')
+    .optional()
+    .isIn(['public', 'followers', 'close_friends', 'private'])
+    .withMessage('Visibility must be public, followers, close_friends, or private'),
+  
   body('images')
     .optional()
     .isArray({ max: 5 })
@@ -107,6 +369,52 @@ const validateCreatePost = [
     .isURL()
     .withMessage('Each image must be a valid URL'),
   
+  body('media')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Maximum 5 photos and videos allowed'),
+  
+  body('media.*')
+    .optional()
+    .custom(item => Boolean(item) && ['image', 'video'].includes(item.type) &&
+      (item.uploadId !== undefined || (item.type === 'image' && /^https?:\/\/\S+$/.test(item.url))))
+    .withMessage('Each media item must be an image with a url or uploadId, or a video with an uploadId'),
+  
+  body('media.*.uploadId')
+    .optional()
+    .isMongoId()
+    .withMessage('Upload ID must be a valid ID'),
+  
+  body('media.*.width')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Media width must be a positive integer'),
+  
+  body('media.*.height')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Media height must be a positive integer'),
+  
+  body('media.*.altText')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 250 })
+    .withMessage('Alt text cannot exceed 250 characters'),
+  
+  body('media.*.caption')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Caption cannot exceed 200 characters'),
+  
+  body('media.*.blurhash')
+    .optional()
+    .isString()
+    .isLength({ min: 6, max: 100 })
+    .withMessage('Blurhash must be between 6 and 100 characters'),
+  
   body('location.name')
     .optional()
     .trim()
@@ -123,6 +431,64 @@ const validateCreatePost = [
     .isFloat({ min: -180, max: 180 })
     .withMessage('Longitude must be between -180 and 180'),
   
+  body('placeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Place ID must be a valid ID'),
+  
+  body('status')
+    .optional()
+    .isIn(['draft', 'scheduled', 'published'])
+    .withMessage('Status must be draft, scheduled, or published'),
+  
+  body('publishAt')
+    .optional()
+    .isISO8601()
+    .withMessage('publishAt must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('publishAt must be in the future'),
+  
+  body()
+    .custom(value => value.status !== 'scheduled' || Boolean(value.publishAt))
+    .withMessage('publishAt is required to schedule a post'),
+  
+  body('poll')
+    .optional()
+    .isObject()
+    .withMessage('Poll must be an object'),
+  
+  body('poll.options')
+    .if(body('poll').exists())
+    .isArray({ min: 2, max: 4 })
+    .withMessage('A poll must have between 2 and 4 options')
+    .custom(options => new Set(options.map(option => String(option).trim().toLowerCase())).size === options.length)
+    .withMessage('Poll options must be different'),
+  
+  body('poll.options.*')
+    .if(body('poll').exists())
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 80 })
+    .withMessage('Each poll option must be between 1 and 80 characters'),
+  
+  body('poll.allowMultiple')
+    .optional()
+    .isBoolean()
+    .withMessage('allowMultiple must be a boolean'),
+  
+  body('poll.endsAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Poll end must be a valid date')
+    .custom((value, { req }) => new Date(value) > new Date(req.body.publishAt || Date.now()))
+    .withMessage('Poll must end in the future and after the post is published'),
+  
+  body()
+    .custom(value => !(value.poll && value.itinerary))
+    .withMessage('A post cannot have both a poll and an itinerary'),
+  
+  ...itineraryRules,
+  
   handleValidationErrors
 ];
 
@@ -135,8 +501,277 @@ const validateUpdatePost = [
   
   body('visibility')
     .optional()
-    .isIn(['public', 'followers', 'private'])
-    .withMessage('Visibility must be public, followers, or private'),
+    .isIn(['public', 'followers', 'close_friends', 'private'])
+    .withMessage('Visibility must be public, followers, close_friends, or private'),
+  
+  // The fields below only apply to drafts and scheduled posts
+  body('images')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Maximum 5 images allowed'),
+  
+  body('images.*')
+    .optional()
+    .isURL()
+    .withMessage('Each image must be a valid URL'),
+  
+  body('media')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Maximum 5 photos and videos allowed'),
+  
+  body('media.*')
+    .optional()
+    .custom(item => Boolean(item) && ['image', 'video'].includes(item.type) &&
+      (item.uploadId !== undefined || (item.type === 'image' && /^https?:\/\/\S+$/.test(item.url))))
+    .withMessage('Each media item must be an image with a url or uploadId, or a video with an uploadId'),
+  
+  body('media.*.uploadId')
+    .optional()
+    .isMongoId()
+    .withMessage('Upload ID must be a valid ID'),
+  
+  body('media.*.width')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Media width must be a positive integer'),
+  
+  body('media.*.height')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Media height must be a positive integer'),
+  
+  body('media.*.altText')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 250 })
+    .withMessage('Alt text cannot exceed 250 characters'),
+  
+  body('media.*.caption')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Caption cannot exceed 200 characters'),
+  
+  body('media.*.blurhash')
+    .optional()
+    .isString()
+    .isLength({ min: 6, max: 100 })
+    .withMessage('Blurhash must be between 6 and 100 characters'),
+  
+  body('location.name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Location name cannot exceed 100 characters'),
+  
+  body('location.coordinates.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  
+  body('location.coordinates.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  
+  body('placeId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Place ID must be a valid ID'),
+  
+  body('status')
+    .optional()
+    .isIn(['draft', 'scheduled', 'published'])
+    .withMessage('Status must be draft, scheduled, or published'),
+  
+  body('publishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('publishAt must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('publishAt must be in the future'),
+  
+  ...itineraryRules,
+  
+  handleValidationErrors
+];
+
+const validateDraftsQuery = [
+  query('status')
+    .optional()
+    .isIn(['draft', 'scheduled'])
+    .withMessage('Status must be draft or scheduled'),
+  
+  handleValidationErrors
+];
+
+const validateRepost = [
+  body('content')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Content cannot exceed 1000 characters'),
+  
+  handleValidationErrors
+];
+
+const validatePollVote = [
+  body('options')
+    .isArray({ min: 1, max: 4 })
+    .withMessage('Choose between 1 and 4 options'),
+  
+  body('options.*')
+    .isInt({ min: 0, max: 3 })
+    .withMessage('Each option must be an option index'),
+  
+  handleValidationErrors
+];
+
+const validateTripPlan = [
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  
+  handleValidationErrors
+];
+
+const validateSavePost = [
+  body('collectionIds')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('collectionIds must be an array of up to 20 IDs'),
+  
+  body('collectionIds.*')
+    .isMongoId()
+    .withMessage('Each collection ID must be a valid ID'),
+  
+  handleValidationErrors
+];
+
+const validateSavedPostsQuery = [
+  query('collection')
+    .optional()
+    .isMongoId()
+    .withMessage('Collection must be a valid ID'),
+  
+  handleValidationErrors
+];
+
+// Collection validation rules
+const validateCreateCollection = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Collection name must be between 1 and 50 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  
+  body('visibility')
+    .optional()
+    .isIn(['private', 'shared'])
+    .withMessage('Visibility must be private or shared'),
+  
+  handleValidationErrors
+];
+
+const validateUpdateCollection = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Collection name must be between 1 and 50 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  
+  body('visibility')
+    .optional()
+    .isIn(['private', 'shared'])
+    .withMessage('Visibility must be private or shared'),
+  
+  handleValidationErrors
+];
+
+const validateCollectionPost = [
+  body('postId')
+    .isMongoId()
+    .withMessage('Post ID must be a valid ID'),
+  
+  handleValidationErrors
+];
+
+// Hashtag validation rules. Tags are accepted with or without the leading #
+// and compared lowercase, the same way they are stored on posts.
+const normalizeTag = value => String(value).replace(/^#/, '').toLowerCase();
+
+const validateTag = [
+  param('tag')
+    .trim()
+    .customSanitizer(normalizeTag)
+    .matches(/^\w{1,30}$/)
+    .withMessage('Tag must be 1-30 letters, numbers or underscores'),
+  
+  handleValidationErrors
+];
+
+const validateTagAutocomplete = [
+  query('q')
+    .trim()
+    .customSanitizer(normalizeTag)
+    .matches(/^\w{1,30}$/)
+    .withMessage('Search must be 1-30 letters, numbers or underscores'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20'),
+  
+  handleValidationErrors
+];
+
+const validateTrendingTagsQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  
+  query('timeframe')
+    .optional()
+    .isInt({ min: 1, max: 168 })
+    .withMessage('Timeframe must be between 1 and 168 hours'),
+  
+  handleValidationErrors
+];
+
+// Story validation rules
+const validateCreateStory = [
+  body('image')
+    .isURL()
+    .withMessage('Image must be a valid URL'),
+  
+  body('caption')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Caption cannot exceed 200 characters'),
+  
+  body('placeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Place ID must be a valid ID'),
   
   handleValidationErrors
 ];
@@ -206,6 +841,64 @@ const validateCreatePlace = [
   handleValidationErrors
 ];
 
+// Every field is optional, but a new location replaces the whole location
+const validateUpdatePlace = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Place name must be between 2 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Description must be between 10 and 1000 characters'),
+  
+  body('category')
+    .optional()
+    .isIn(['Beach', 'Mountains', 'Backwaters', 'Wildlife', 'Heritage', 'Adventure', 'Religious', 'Cultural', 'Nature', 'Urban'])
+    .withMessage('Invalid category'),
+  
+  body('location.coordinates.coordinates')
+    .if(body('location').exists())
+    .isArray({ min: 2, max: 2 })
+    .withMessage('Coordinates must be [longitude, latitude]'),
+  
+  body('location.coordinates.coordinates.0')
+    .if(body('location').exists())
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  
+  body('location.coordinates.coordinates.1')
+    .if(body('location').exists())
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  
+  body('location.address')
+    .if(body('location').exists())
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Address must be between 5 and 200 characters'),
+  
+  body('location.district')
+    .if(body('location').exists())
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('District must be between 2 and 50 characters'),
+  
+  handleValidationErrors
+];
+
+const validatePlaceVerification = [
+  body('isVerified')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('isVerified must be true or false'),
+  
+  handleValidationErrors
+];
+
 // Coupon validation rules
 const validateCreateCoupon = [
   body('title')
@@ -283,6 +976,21 @@ const validatePagination = [
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100'),
   
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Invalid cursor'),
+  
+  handleValidationErrors
+];
+
+const validateFeedQuery = [
+  query('mode')
+    .optional()
+    .isIn(['ranked', 'latest'])
+    .withMessage('Mode must be ranked or latest'),
+  
   handleValidationErrors
 ];
 
@@ -305,6 +1013,34 @@ const validateLocationQuery = [
   handleValidationErrors
 ];
 
+const validatePlaceSuggestQuery = [
+  query('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  
+  query('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  
+  query('radius')
+    .optional()
+    .isInt({ min: 1, max: 50000 })
+    .withMessage('Radius must be between 1 and 50000 meters'),
+  
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search query must be between 1 and 100 characters'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20'),
+  
+  handleValidationErrors
+];
+
 const validateSearchQuery = [
   query('q')
     .optional()
@@ -354,16 +1090,45 @@ module.exports = {
   handleValidationErrors,
   validateSignup,
   validateLogin,
+  validatePasswordResetRequest,
+  validateResetPassword,
+  validateRefreshToken,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateDisableTwoFactor,
+  validateOtpRequest,
+  validateOtpVerify,
+  validateOidcCallback,
+  validateOidcSignup,
   validateUpdateProfile,
+  validateDeleteAccount,
+  validateDataExport,
   validateCreatePost,
   validateUpdatePost,
+  validateDraftsQuery,
+  validateRepost,
+  validatePollVote,
+  validateTripPlan,
+  validateSavePost,
+  validateSavedPostsQuery,
+  validateCreateCollection,
+  validateUpdateCollection,
+  validateCollectionPost,
+  validateTag,
+  validateTagAutocomplete,
+  validateTrendingTagsQuery,
+  validateCreateStory,
   validateCreateComment,
   validateUpdateComment,
   validateCreatePlace,
+  validateUpdatePlace,
+  validatePlaceVerification,
   validateCreateCoupon,
   validateObjectId,
   validatePagination,
+  validateFeedQuery,
   validateLocationQuery,
+  validatePlaceSuggestQuery,
   validateSearchQuery,
   validateRating,
   validateRedemptionUsage
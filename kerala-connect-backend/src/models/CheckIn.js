@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A user's check-in at a place (kept per visit, Place.stats.checkIns is the running total)
+const checkInSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  place: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Place',
+    required: [true, 'Place reference is required']
+  },
+  pointsEarned: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+checkInSchema.index({ user: 1, createdAt: -1 });
+checkInSchema.index({ place: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CheckIn', checkInSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A named group of saved posts ("Munnar trip", "Food"). Private collections are
+// only visible to their owner; shared ones can be viewed by anyone with the link.
+const collectionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [50, 'Collection name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  visibility: {
+    type: String,
+    enum: ['private', 'shared'],
+    default: 'private'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+collectionSchema.index({ owner: 1, name: 1 }, { unique: true });
+collectionSchema.index({ owner: 1, createdAt: -1 });
+
+// Method to check if a user may view the collection
+collectionSchema.methods.isViewableBy = function(user) {
+  const ownerId = this.owner._id || this.owner;
+  return this.visibility === 'shared' || Boolean(user && ownerId.toString() === user._id.toString());
+};
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { extractMentions } = require('../utils/mentions');
 
 const commentSchema = new mongoose.Schema({
   content: {
@@ -26,6 +27,11 @@ const commentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment'
   }],
+  // Users @mentioned in the content (resolved on save)
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   likes: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -121,12 +127,16 @@ commentSchema.methods.addReply = async function(replyId) {
 };
 
 // Pre-save middleware
-commentSchema.pre('save', function(next) {
-  if (this.isModified('content') && !this.isNew) {
-    this.isEdited = true;
-    this.editedAt = new Date();
+commentSchema.pre('save', async function() {
+  if (this.isModified('content')) {
+    const User = mongoose.model('User');
+    this.mentions = await User.resolveMentions(extractMentions(this.content), this.author);
+
+    if (!this.isNew) {
+      this.isEdited = true;
+      this.editedAt = new Date();
+    }
   }
-  next();
 });
 
 // Post-save middleware to award points and update post
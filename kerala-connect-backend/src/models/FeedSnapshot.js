@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// The ranked home feed as it was when the user loaded its first page. Later
+// pages are read from this list, so likes and new posts arriving in between
+// can't reorder it and make pages repeat or skip posts.
+const feedSnapshotSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  entries: [{
+    _id: false,
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true
+    },
+    score: Number,
+    reasons: [mongoose.Schema.Types.Mixed]
+  }],
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+feedSnapshotSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB drop old snapshots
+
+module.exports = mongoose.model('FeedSnapshot', feedSnapshotSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// A photo or video uploaded for posts, referenced by media items' uploadId.
+// Photos are ready straight away. Videos are checked and given a poster frame
+// by the video processing job (services/videoProcessing.js) and can only be
+// used once they are ready.
+const mediaUploadSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'video'],
+    default: 'video'
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  // Where the file is on disk, for the processing job
+  path: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  mimetype: {
+    type: String,
+    enum: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'video/mp4', 'video/webm'],
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'ready', 'failed'],
+    default: 'processing'
+  },
+  // Why processing failed, shown to the uploader
+  error: String,
+  poster: String,
+  metadata: {
+    duration: Number, // seconds
+    width: Number,
+    height: Number,
+    codec: String
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+mediaUploadSchema.index({ status: 1, createdAt: 1 });
+mediaUploadSchema.index({ owner: 1, createdAt: -1 });
+
+// Method to turn a ready upload into a post media item. Dimensions are only
+// included when known (videos, once processed).
+mediaUploadSchema.methods.toMediaItem = function() {
+  const item = { type: this.kind, url: this.url, uploadId: this._id };
+
+  if (this.kind === 'video') {
+    item.poster = this.poster;
+    item.duration = this.metadata.duration;
+  }
+
+  if (this.metadata.width && this.metadata.height) {
+    item.width = this.metadata.width;
+    item.height = this.metadata.height;
+  }
+
+  return item;
+};
+
+module.exports = mongoose.model('MediaUpload', mediaUploadSchema);
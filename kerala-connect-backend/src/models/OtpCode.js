@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One-time SMS code. Only a keyed hash of the code is stored.
+const otpCodeSchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String,
+    required: [true, 'Phone number is required']
+  },
+  purpose: {
+    type: String,
+    enum: ['login', 'verify_phone'],
+    required: [true, 'OTP purpose is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  codeHash: {
+    type: String,
+    required: [true, 'Code hash is required'],
+    select: false
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required']
+  },
+  consumedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+otpCodeSchema.index({ phoneNumber: 1, purpose: 1, createdAt: -1 });
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB drop expired codes
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
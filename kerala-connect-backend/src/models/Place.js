@@ -298,6 +298,26 @@ placeSchema.methods.incrementPostsCount = async function() {
   return this;
 };
 
+// Static method to change a place's post count without loading it (never below zero)
+placeSchema.statics.adjustPostsCount = function(placeId, delta) {
+  const filter = delta < 0
+    ? { _id: placeId, 'stats.postsCount': { $gte: -delta } }
+    : { _id: placeId };
+
+  return this.updateOne(filter, { $inc: { 'stats.postsCount': delta } });
+};
+
+// Method to get the location block stored on posts tagged at this place
+placeSchema.methods.toPostLocation = function() {
+  const [longitude, latitude] = this.location.coordinates.coordinates;
+
+  return {
+    name: this.name,
+    coordinates: { latitude, longitude },
+    address: this.location.address
+  };
+};
+
 // Static method to get places near location
 placeSchema.statics.findNearby = function(longitude, latitude, maxDistance = 50000) {
   return this.find({
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A user's vote on a poll post. One per user per poll; the chosen options are
+// stored as indexes into the post's poll.options.
+const pollVoteSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post reference is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  options: {
+    type: [Number],
+    validate: {
+      validator: function(options) {
+        return options.length > 0;
+      },
+      message: 'At least one option must be chosen'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+pollVoteSchema.index({ post: 1, user: 1 }, { unique: true });
+pollVoteSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PollVote', pollVoteSchema);
@@ -1,4 +1,185 @@
 const mongoose = require('mongoose');
+const { extractMentions } = require('../utils/mentions');
+
+// Poll carried by a post of type poll. Votes live in PollVote; the counts here
+// are kept in step with them.
+const pollSchema = new mongoose.Schema({
+  options: {
+    type: [{
+      text: {
+        type: String,
+        required: [true, 'Poll option text is required'],
+        trim: true,
+        maxlength: [80, 'Poll option cannot exceed 80 characters']
+      },
+      votesCount: {
+        type: Number,
+        default: 0
+      }
+    }],
+    validate: {
+      validator: function(options) {
+        return options.length >= 2 && options.length <= 4;
+      },
+      message: 'A poll must have between 2 and 4 options'
+    }
+  },
+  allowMultiple: {
+    type: Boolean,
+    default: false
+  },
+  endsAt: Date,
+  votersCount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Media URLs only need to be http(s); CDN URLs often have no file extension
+// or carry a query string.
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// One photo or video in a post. Videos come from a processed MediaUpload and
+// carry its poster frame and metadata; photos uploaded here link theirs too.
+const mediaItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['image', 'video'],
+    required: [true, 'Media type is required']
+  },
+  url: {
+    type: String,
+    required: [true, 'Media URL is required'],
+    validate: {
+      validator: isHttpUrl,
+      message: 'Invalid media URL format'
+    }
+  },
+  width: {
+    type: Number,
+    min: [1, 'Media width must be positive']
+  },
+  height: {
+    type: Number,
+    min: [1, 'Media height must be positive']
+  },
+  // Read out by screen readers in place of the photo
+  altText: {
+    type: String,
+    trim: true,
+    maxlength: [250, 'Alt text cannot exceed 250 characters']
+  },
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Caption cannot exceed 200 characters']
+  },
+  // Compact placeholder shown while the photo loads (https://blurha.sh)
+  blurhash: {
+    type: String,
+    maxlength: [100, 'Blurhash cannot exceed 100 characters']
+  },
+  uploadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MediaUpload'
+  },
+  poster: String, // videos only
+  duration: Number // seconds, videos only
+}, { _id: false });
+
+// One stop of an itinerary: a Place, or a named spot given by coordinates.
+// Coordinates are always filled in (from the place if there is one) so the
+// distance between stops can be worked out. Trip plans use the same stops.
+const itineraryStopSchema = new mongoose.Schema({
+  place: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Place',
+    default: null
+  },
+  name: {
+    type: String,
+    required: [true, 'Stop name is required'],
+    trim: true,
+    maxlength: [100, 'Stop name cannot exceed 100 characters']
+  },
+  coordinates: {
+    latitude: {
+      type: Number,
+      required: [true, 'Stop latitude is required'],
+      min: [-90, 'Latitude must be between -90 and 90'],
+      max: [90, 'Latitude must be between -90 and 90']
+    },
+    longitude: {
+      type: Number,
+      required: [true, 'Stop longitude is required'],
+      min: [-180, 'Longitude must be between -180 and 180'],
+      max: [180, 'Longitude must be between -180 and 180']
+    }
+  },
+  day: {
+    type: Number,
+    required: [true, 'Stop day is required'],
+    min: [1, 'Day must be between 1 and 30'],
+    max: [30, 'Day must be between 1 and 30']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Stop notes cannot exceed 500 characters']
+  },
+  photos: {
+    type: [mediaItemSchema],
+    validate: {
+      validator: function(photos) {
+        return photos.length <= 5;
+      },
+      message: 'A stop can have at most 5 photos'
+    }
+  },
+  // Straight-line distance from the previous stop
+  distanceFromPreviousKm: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Itinerary carried by a post of type itinerary, stops in travel order
+const itinerarySchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Itinerary title is required'],
+    trim: true,
+    maxlength: [100, 'Itinerary title cannot exceed 100 characters']
+  },
+  stops: {
+    type: [itineraryStopSchema],
+    validate: {
+      validator: function(stops) {
+        return stops.length >= 2 && stops.length <= 30;
+      },
+      message: 'An itinerary must have between 2 and 30 stops'
+    }
+  },
+  days: {
+    type: Number,
+    default: 1
+  },
+  totalDistanceKm: {
+    type: Number,
+    default: 0
+  },
+  // Times other users copied it into their trip plans
+  clonesCount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
 
 const postSchema = new mongoose.Schema({
   author: {
@@ -8,19 +189,50 @@ const postSchema = new mongoose.Schema({
   },
   content: {
     type: String,
-    required: [true, 'Content is required'],
+    // Plain reposts carry no text of their own
+    required: [function() { return this.type !== 'repost'; }, 'Content is required'],
     maxlength: [1000, 'Content cannot exceed 1000 characters'],
     trim: true
   },
+  // repost: plain share of originalPost, quote: originalPost with the author's own text,
+  // poll: content is the question and poll holds the options,
+  // itinerary: content describes the trip and itinerary holds its stops
+  type: {
+    type: String,
+    enum: ['post', 'repost', 'quote', 'poll', 'itinerary'],
+    default: 'post'
+  },
+  originalPost: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  poll: {
+    type: pollSchema,
+    required: [function() { return this.type === 'poll'; }, 'Poll is required']
+  },
+  itinerary: {
+    type: itinerarySchema,
+    required: [function() { return this.type === 'itinerary'; }, 'Itinerary is required']
+  },
   images: [{
     type: String, // URLs to uploaded images
     validate: {
-      validator: function(v) {
-        return /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)$/i.test(v);
-      },
+      validator: isHttpUrl,
       message: 'Invalid image URL format'
     }
   }],
+  // Photos and videos in display order. `images` keeps the photo URLs for
+  // older clients; posts from before media items are converted by
+  // `npm run migrate-post-media`.
+  media: {
+    type: [mediaItemSchema],
+    validate: {
+      validator: function(media) {
+        return media.length <= 5;
+      },
+      message: 'A post can have at most 5 photos and videos'
+    }
+  },
   location: {
     name: {
       type: String,
@@ -45,6 +257,12 @@ const postSchema = new mongoose.Schema({
       maxlength: [200, 'Address cannot exceed 200 characters']
     }
   },
+  // Place the post is tagged at; counts towards its stats.postsCount while published
+  place: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Place',
+    default: null
+  },
   likes: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -66,15 +284,37 @@ const postSchema = new mongoose.Schema({
     lowercase: true,
     maxlength: [30, 'Tag cannot exceed 30 characters']
   }],
+  // Users @mentioned in the content (resolved on save)
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Who can see the post; the rules live in services/postVisibility.js
   visibility: {
     type: String,
-    enum: ['public', 'followers', 'private'],
+    enum: ['public', 'followers', 'close_friends', 'private'],
     default: 'public'
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Drafts and scheduled posts are only visible to their author until published
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'published'],
+    default: 'published'
+  },
+  publishAt: Date,
+  publishedAt: Date,
+  // Set when a published post's content changes; earlier versions are in PostRevision
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date
+  },
   engagement: {
     views: {
       type: Number,
@@ -100,10 +340,15 @@ postSchema.virtual('commentsCount').get(function() {
   return this.comments.length;
 });
 
+// Posts created before drafts existed have no status and count as published
+postSchema.virtual('isPublished').get(function() {
+  return !this.status || this.status === 'published';
+});
+
 // Calculate engagement score for trending
 postSchema.virtual('engagementScore').get(function() {
   const hoursOld = (Date.now() - this.createdAt) / (1000 * 60 * 60);
-  const baseScore = this.likesCount * 2 + this.commentsCount * 3 + this.engagement.views * 0.1;
+  const baseScore = this.likesCount * 2 + this.commentsCount * 3 + this.engagement.shares * 4 + this.engagement.views * 0.1;
   
   // Decay engagement score over time
   const decayFactor = Math.max(0.1, 1 - (hoursOld / 168)); // Decay over 1 week
@@ -115,8 +360,13 @@ postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ createdAt: -1 });
 postSchema.index({ 'location.coordinates': '2dsphere' }); // Geospatial index
 postSchema.index({ tags: 1 });
+postSchema.index({ place: 1, createdAt: -1 });
+postSchema.index({ mentions: 1 });
 postSchema.index({ visibility: 1 });
 postSchema.index({ isActive: 1 });
+postSchema.index({ author: 1, status: 1, createdAt: -1 });
+postSchema.index({ originalPost: 1, type: 1 });
+postSchema.index({ status: 1, publishAt: 1 });
 
 // Compound index for feed queries
 postSchema.index({ 
@@ -125,6 +375,32 @@ postSchema.index({
   createdAt: -1 
 });
 
+// Add the published condition to a query filter
+postSchema.statics.publishedFilter = function(filter = {}) {
+  return { ...filter, status: { $in: ['published', null] } };
+};
+
+// Populate what a post refers to for display: mentioned users (so clients can
+// link @username) and the post a repost or quote points at. Deleted originals
+// come back as null so clients can show them as unavailable.
+postSchema.statics.populateReferences = function(docs) {
+  return this.populate(docs, [
+    { path: 'mentions', select: 'username' },
+    { path: 'place', select: 'name category location.district' },
+    { path: 'itinerary.stops.place', select: 'name category location.district' },
+    {
+      path: 'originalPost',
+      match: { isActive: true, visibility: 'public' }, // Originals made non-public since show as unavailable
+      select: 'author content images media itinerary location type visibility engagement mentions createdAt',
+      populate: [
+        { path: 'author', select: 'username fullName profilePicture' },
+        { path: 'mentions', select: 'username' },
+        { path: 'itinerary.stops.place', select: 'name category location.district' }
+      ]
+    }
+  ]);
+};
+
 // Method to check if user has liked the post
 postSchema.methods.isLikedBy = function(userId) {
   return this.likes.some(like => like.user.toString() === userId.toString());
@@ -214,7 +490,9 @@ postSchema.statics.getTrendingPosts = function(limit = 10, timeframe = 24) {
       $match: {
         createdAt: { $gte: startDate },
         isActive: true,
-        visibility: 'public'
+        visibility: 'public',
+        status: { $in: ['published', null] },
+        type: { $ne: 'repost' } // The original trends, not each repost of it
       }
     },
     {
@@ -237,6 +515,7 @@ postSchema.statics.getTrendingPosts = function(limit = 10, timeframe = 24) {
               $add: [
                 { $multiply: ['$likesCount', 2] },
                 { $multiply: ['$commentsCount', 3] },
+                { $multiply: ['$engagement.shares', 4] },
                 { $multiply: ['$engagement.views', 0.1] }
               ]
             },
@@ -267,9 +546,79 @@ postSchema.statics.getTrendingPosts = function(limit = 10, timeframe = 24) {
   ]);
 };
 
-// Static method to get posts by location
-postSchema.statics.getPostsByLocation = function(latitude, longitude, radius = 10000) {
-  return this.find({
+// Static method to get trending hashtags.
+// Each post using a tag counts once, fading with age the same way trending posts do.
+postSchema.statics.getTrendingTags = function(limit = 10, timeframe = 24) {
+  const startDate = new Date();
+  startDate.setHours(startDate.getHours() - timeframe);
+
+  return this.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: startDate },
+        isActive: true,
+        visibility: 'public',
+        status: { $in: ['published', null] },
+        type: { $ne: 'repost' },
+        'tags.0': { $exists: true }
+      }
+    },
+    {
+      $addFields: {
+        decay: {
+          $max: [
+            0.1,
+            {
+              $subtract: [
+                1,
+                { $divide: [{ $subtract: [new Date(), '$createdAt'] }, 3600000 * 168] }
+              ]
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$tags' },
+    {
+      $group: {
+        _id: '$tags',
+        score: { $sum: '$decay' },
+        postsCount: { $sum: 1 },
+        lastUsedAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { score: -1, postsCount: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, tag: '$_id', score: 1, postsCount: 1, lastUsedAt: 1 } }
+  ]);
+};
+
+// Static method to autocomplete hashtags by prefix, most used first.
+// The prefix must already be a normalised tag (word characters only).
+postSchema.statics.searchTags = function(prefix, limit = 10) {
+  const pattern = new RegExp(`^${prefix}`);
+
+  return this.aggregate([
+    {
+      $match: this.publishedFilter({
+        tags: pattern,
+        isActive: true,
+        visibility: 'public'
+      })
+    },
+    { $unwind: '$tags' },
+    { $match: { tags: pattern } },
+    { $group: { _id: '$tags', postsCount: { $sum: 1 } } },
+    { $sort: { postsCount: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, tag: '$_id', postsCount: 1 } }
+  ]);
+};
+
+// Static method to get posts by location.
+// visibility is a condition from services/postVisibility.js (public posts by default).
+postSchema.statics.getPostsByLocation = function(latitude, longitude, radius = 10000, visibility = { visibility: 'public' }) {
+  return this.find(this.publishedFilter({
     'location.coordinates': {
       $near: {
         $geometry: {
@@ -280,22 +629,27 @@ postSchema.statics.getPostsByLocation = function(latitude, longitude, radius = 1
       }
     },
     isActive: true,
-    visibility: 'public'
-  })
-  .populate('author', '-password -email')
+    $and: [visibility]
+  }))
+  .populate('author', 'username fullName profilePicture')
   .sort({ createdAt: -1 });
 };
 
 // Pre-save middleware
-postSchema.pre('save', function(next) {
-  // Auto-generate tags from content
+postSchema.pre('save', async function() {
+  // Auto-generate tags and mentions from content (re-derived on every edit, so removed ones drop off)
   if (this.isModified('content')) {
-    const hashtags = this.content.match(/#[\w]+/g);
-    if (hashtags) {
-      this.tags = hashtags.map(tag => tag.slice(1).toLowerCase());
+    const hashtags = this.content.match(/#[\w]+/g) || [];
+    this.tags = [...new Set(hashtags.map(tag => tag.slice(1).toLowerCase()))];
+
+    const User = mongoose.model('User');
+    this.mentions = await User.resolveMentions(extractMentions(this.content), this.author);
+
+    if (!this.isNew && this.isPublished) {
+      this.isEdited = true;
+      this.editedAt = new Date();
     }
   }
-  next();
 });
 
 module.exports = mongoose.model('Post', postSchema);
\ No newline at end of file
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A previous version of a published post, saved each time its content or visibility is edited
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post reference is required']
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  visibility: {
+    type: String,
+    enum: ['public', 'followers', 'close_friends', 'private']
+  },
+  // Hashtags as derived from this revision's content
+  tags: [{
+    type: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+postRevisionSchema.index({ post: 1, revision: 1 }, { unique: true });
+postRevisionSchema.index({ post: 1, createdAt: -1 });
+
+// Static method to store a post's state from before an edit as its next revision.
+// Two edits saved at once can pick the same number; the unique index rejects
+// the second, which then retries with the next one.
+postRevisionSchema.statics.record = async function(post, previous, attempts = 5) {
+  const latest = await this.findOne({ post: post._id }).sort({ revision: -1 }).select('revision');
+
+  try {
+    return await this.create({
+      post: post._id,
+      revision: latest ? latest.revision + 1 : 1,
+      content: previous.content,
+      visibility: previous.visibility,
+      tags: previous.tags
+    });
+  } catch (error) {
+    if (error.code === 11000 && attempts > 1) {
+      return this.record(post, previous, attempts - 1);
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
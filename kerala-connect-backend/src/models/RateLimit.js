@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Counter document used by the MongoDB rate limit store
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Rate limit key is required'],
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: [true, 'Reset time is required']
+  }
+});
+
+// Let MongoDB drop counters once their window is over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to count a hit in the current window, starting a new window if the old one ended
+rateLimitSchema.statics.hit = function(key, windowMs) {
+  const now = new Date();
+  const windowOpen = { $gt: ['$resetAt', now] };
+
+  return this.findOneAndUpdate(
+    { key },
+    [
+      {
+        $set: {
+          count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+        }
+      }
+    ],
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
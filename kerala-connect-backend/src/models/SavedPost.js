@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A post bookmarked by a user, optionally filed into some of their collections
+const savedPostSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post reference is required']
+  },
+  collections: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection'
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+savedPostSchema.index({ user: 1, post: 1 }, { unique: true });
+savedPostSchema.index({ user: 1, createdAt: -1 });
+savedPostSchema.index({ collections: 1, createdAt: -1 });
+
+// Static method to find which of the given posts a user has saved (as a Set of ID strings)
+savedPostSchema.statics.getSavedPostIds = async function(userId, postIds) {
+  if (!userId || postIds.length === 0) return new Set();
+
+  const saved = await this.find({ user: userId, post: { $in: postIds } }).select('post');
+  return new Set(saved.map(item => item.post.toString()));
+};
+
+module.exports = mongoose.model('SavedPost', savedPostSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const STORY_LIFETIME_HOURS = parseInt(process.env.STORY_LIFETIME_HOURS || '24');
+
+// A photo story that disappears after STORY_LIFETIME_HOURS.
+// Who has seen it is kept in StoryView, which expires with it.
+const storySchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  image: {
+    type: String,
+    required: [true, 'Image is required'],
+    validate: {
+      validator: function(v) {
+        return /^https?:\/\/.+/.test(v);
+      },
+      message: 'Image must be a valid URL'
+    }
+  },
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Caption cannot exceed 200 characters']
+  },
+  place: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Place',
+    default: null
+  },
+  viewsCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + STORY_LIFETIME_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+storySchema.index({ author: 1, createdAt: -1 });
+storySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB drop expired stories
+
+// Static method to build a filter for stories that haven't expired yet.
+// The TTL monitor only runs about once a minute, so reads check expiresAt too.
+storySchema.statics.activeFilter = function(filter = {}) {
+  return { ...filter, expiresAt: { $gt: new Date() } };
+};
+
+module.exports = mongoose.model('Story', storySchema);
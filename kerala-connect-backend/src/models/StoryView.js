@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A user having seen a story. Expires together with the story.
+const storyViewSchema = new mongoose.Schema({
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: [true, 'Story reference is required']
+  },
+  viewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Viewer is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+storyViewSchema.index({ story: 1, viewer: 1 }, { unique: true });
+storyViewSchema.index({ story: 1, createdAt: -1 });
+storyViewSchema.index({ viewer: 1 });
+storyViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB drop views of expired stories
+
+// Static method to find which of the given stories a user has seen (as a Set of ID strings)
+storyViewSchema.statics.getSeenStoryIds = async function(viewerId, storyIds) {
+  if (!viewerId || storyIds.length === 0) return new Set();
+
+  const views = await this.find({ viewer: viewerId, story: { $in: storyIds } }).select('story');
+  return new Set(views.map(view => view.story.toString()));
+};
+
+module.exports = mongoose.model('StoryView', storyViewSchema);
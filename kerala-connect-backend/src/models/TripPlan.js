@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const Post = require('./Post');
+
+// Stops are the same as in itinerary posts
+const itineraryStopSchema = Post.schema.path('itinerary.stops').schema;
+
+// A user's own plan for a trip, copied from someone's itinerary post.
+// Later changes to the post don't affect the plan.
+const tripPlanSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  stops: [itineraryStopSchema],
+  days: {
+    type: Number,
+    default: 1
+  },
+  totalDistanceKm: {
+    type: Number,
+    default: 0
+  },
+  // The itinerary post it was cloned from (null once the post is gone)
+  sourcePost: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+tripPlanSchema.index({ owner: 1, createdAt: -1 });
+tripPlanSchema.index({ sourcePost: 1 });
+
+module.exports = mongoose.model('TripPlan', tripPlanSchema);
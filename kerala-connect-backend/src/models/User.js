@@ -1,5 +1,29 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { ROLES, rolesHavePermission } = require('../config/permissions');
+const { verifyCode } = require('../utils/totp');
+const { maxFailedAttempts, getLockoutMinutes } = require('../config/accountLockout');
+const { E164_REGEX } = require('../utils/phone');
+
+// Remove credentials and secrets from a plain user object before sending it out
+const stripSensitiveFields = (userObject) => {
+  delete userObject.password;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
+  
+  delete userObject.loginSecurity;
+  delete userObject.isLocked;
+  
+  return userObject;
+};
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -19,9 +43,47 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email address']
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  phoneNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+    match: [E164_REGEX, 'Phone number must be in international format, e.g. +919876543210']
+  },
+  phoneVerifiedAt: {
+    type: Date
+  },
+  identities: [{
+    provider: {
+      type: String,
+      required: [true, 'Identity provider is required']
+    },
+    subject: {
+      type: String,
+      required: [true, 'Identity subject is required']
+    },
+    email: {
+      type: String,
+      lowercase: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: {
+      type: Date
+    }
+  }],
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Accounts created through a sign-in provider may not have a password
+    required: [function() { return !this.identities || this.identities.length === 0; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
   fullName: {
@@ -46,15 +108,55 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Users this user has blocked. Blocks work both ways: neither side can follow or mention the other.
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Users who can see this user's close_friends posts
+  closeFriends: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Hashtags the user follows; public posts using them show up in their feed
+  followedTags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Tag cannot exceed 30 characters']
+  }],
+  wishlist: [{
+    place: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Place',
+      required: [true, 'Place reference is required']
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   points: {
     type: Number,
     default: 0,
     min: [0, 'Points cannot be negative']
   },
+  roles: [{
+    type: String,
+    enum: {
+      values: ROLES,
+      message: 'Invalid role: {VALUE}'
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
   },
+  // The placeholder account content from deleted accounts is credited to
+  isTombstone: {
+    type: Boolean,
+    default: false
+  },
   lastActive: {
     type: Date,
     default: Date.now
@@ -62,6 +164,75 @@ const userSchema = new mongoose.Schema({
   joinedAt: {
     type: Date,
     default: Date.now
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: {
+          type: Date,
+          default: null
+        }
+      }],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockUntil: {
+      type: Date,
+      default: null
+    },
+    lockCount: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: {
+      type: Date
+    }
+  },
+  deletion: {
+    requestedAt: {
+      type: Date,
+      default: null
+    },
+    scheduledFor: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true,
@@ -78,6 +249,23 @@ userSchema.virtual('followingCount').get(function() {
   return this.following.length;
 });
 
+userSchema.virtual('isAdmin').get(function() {
+  return (this.roles || []).includes('admin');
+});
+
+userSchema.virtual('hasPassword').get(function() {
+  return !!this.password;
+});
+
+userSchema.virtual('isLocked').get(function() {
+  const lockUntil = this.loginSecurity && this.loginSecurity.lockUntil;
+  return !!lockUntil && lockUntil > new Date();
+});
+
+userSchema.virtual('isPendingDeletion').get(function() {
+  return !this.isActive && !!(this.deletion && this.deletion.scheduledFor);
+});
+
 userSchema.virtual('postsCount', {
   ref: 'Post',
   localField: '_id',
@@ -90,6 +278,14 @@ userSchema.index({ username: 1 });
 userSchema.index({ email: 1 });
 userSchema.index({ points: -1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ followers: 1 }); // Post visibility looks up whose followers a viewer is
+userSchema.index({ closeFriends: 1 });
+userSchema.index({ blockedUsers: 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -106,11 +302,198 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Pre-save middleware to record when the password was changed
+userSchema.pre('save', function(next) {
+  if (!this.isModified('password') || this.isNew) return next();
+  
+  // Back-date by a second so a token issued right after the change stays valid
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+  next();
+});
+
 // Method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check if the password was changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  
+  const changedAtSeconds = Math.floor(this.passwordChangedAt.getTime() / 1000);
+  return tokenIssuedAt < changedAtSeconds;
+};
+
+// Method to create a single-use password reset token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function(expiresInMinutes = 30) {
+  const resetToken = generateRandomToken();
+  
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  
+  return resetToken;
+};
+
+// Method to create one-time 2FA recovery codes (only hashes are stored)
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = [];
+  
+  for (let i = 0; i < count; i++) {
+    const raw = generateRandomToken(5);
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  
+  this.twoFactor.recoveryCodes = codes.map(code => ({
+    hash: hashToken(code),
+    usedAt: null
+  }));
+  
+  return codes;
+};
+
+// Method to check an authenticator code against the active 2FA secret
+// (requires +twoFactor.secret +twoFactor.lastUsedStep). Each code works once.
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactor.enabled || !this.twoFactor.secret) return false;
+  
+  const step = verifyCode(this.twoFactor.secret, code, {
+    lastUsedStep: this.twoFactor.lastUsedStep ?? null
+  });
+  
+  if (step === null) return false;
+  
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to consume a 2FA recovery code (requires +twoFactor.recoveryCodes)
+userSchema.methods.useRecoveryCode = function(code) {
+  const normalized = String(code || '').trim().toLowerCase();
+  const recoveryCode = (this.twoFactor.recoveryCodes || []).find(rc =>
+    !rc.usedAt && rc.hash === hashToken(normalized)
+  );
+  
+  if (!recoveryCode) return false;
+  
+  recoveryCode.usedAt = new Date();
+  return true;
+};
+
+// Method to record a failed login. Returns true when this attempt locked the account.
+// Counted with $inc so parallel attempts can't overwrite each other's failures.
+userSchema.methods.registerFailedLogin = async function() {
+  const User = this.constructor;
+  
+  let updated = await User.findOneAndUpdate(
+    { _id: this._id },
+    {
+      $inc: { 'loginSecurity.failedAttempts': 1 },
+      $set: { 'loginSecurity.lastFailedAt': new Date() }
+    },
+    { new: true }
+  ).select('loginSecurity');
+  
+  if (!updated) return false;
+  
+  let locked = false;
+  if (updated.loginSecurity.failedAttempts >= maxFailedAttempts) {
+    const lockUntil = new Date(Date.now() + getLockoutMinutes(updated.loginSecurity.lockCount) * 60 * 1000);
+    
+    // Only the attempt that still sees the count over the limit applies the lock
+    const lockedUser = await User.findOneAndUpdate(
+      { _id: this._id, 'loginSecurity.failedAttempts': { $gte: maxFailedAttempts } },
+      {
+        $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockUntil': lockUntil },
+        $inc: { 'loginSecurity.lockCount': 1 }
+      },
+      { new: true }
+    ).select('loginSecurity');
+    
+    if (lockedUser) {
+      updated = lockedUser;
+      locked = true;
+    }
+  }
+  
+  this.loginSecurity = updated.loginSecurity.toObject();
+  return locked;
+};
+
+// Method to clear failed login state (after a successful login or unlock)
+userSchema.methods.resetLoginFailures = async function({ resetLockCount = false } = {}) {
+  const security = this.loginSecurity;
+  
+  if (!security.failedAttempts && !security.lockUntil && !(resetLockCount && security.lockCount)) {
+    return;
+  }
+  
+  security.failedAttempts = 0;
+  security.lockUntil = null;
+  if (resetLockCount) {
+    security.lockCount = 0;
+  }
+  
+  await this.save({ validateBeforeSave: false });
+};
+
+// Method to find a linked sign-in identity
+userSchema.methods.findIdentity = function(provider, subject) {
+  return (this.identities || []).find(identity =>
+    identity.provider === provider && identity.subject === subject
+  );
+};
+
+// Method to link a sign-in identity (no-op if already linked)
+userSchema.methods.linkIdentity = function({ provider, subject, email }) {
+  let identity = this.findIdentity(provider, subject);
+  
+  if (!identity) {
+    this.identities.push({ provider, subject, email, linkedAt: new Date() });
+    identity = this.identities[this.identities.length - 1];
+  }
+  
+  return identity;
+};
+
+// Method to check if user has any of the given roles (admins pass every check)
+userSchema.methods.hasRole = function(...roles) {
+  const userRoles = this.roles || [];
+  return userRoles.includes('admin') || roles.some(role => userRoles.includes(role));
+};
+
+// Method to check if any of the user's roles grants a permission
+userSchema.methods.hasPermission = function(permission) {
+  return rolesHavePermission(this.roles || [], permission);
+};
+
+// Method to check if either user has blocked the other
+userSchema.methods.isBlockedWith = function(otherUser) {
+  const blocked = (this.blockedUsers || []).some(id => id.toString() === otherUser._id.toString());
+  const blockedBy = (otherUser.blockedUsers || []).some(id => id.toString() === this._id.toString());
+  return blocked || blockedBy;
+};
+
+// Static method to turn mentioned usernames into user IDs.
+// Skips the author, inactive accounts and anyone blocked either way with the author.
+userSchema.statics.resolveMentions = async function(usernames, authorId) {
+  if (usernames.length === 0) return [];
+
+  const author = await this.findById(authorId).select('blockedUsers');
+  const blockedByAuthor = author ? author.blockedUsers.map(id => id.toString()) : [];
+
+  const users = await this.find({
+    username: { $in: usernames },
+    isActive: true,
+    _id: { $ne: authorId },
+    blockedUsers: { $ne: authorId }
+  }).select('_id');
+
+  return users
+    .map(user => user._id)
+    .filter(id => !blockedByAuthor.includes(id.toString()));
+};
+
 // Method to add points
 userSchema.methods.addPoints = async function(points, reason = 'Activity') {
   this.points += points;
@@ -153,17 +536,29 @@ userSchema.methods.deductPoints = async function(points, reason = 'Redemption')
 
 // Method to get user profile data (exclude sensitive info)
 userSchema.methods.getPublicProfile = function() {
-  const userObject = this.toObject();
-  delete userObject.password;
+  const userObject = stripSensitiveFields(this.toObject());
   delete userObject.email;
+  delete userObject.phoneNumber;
+  delete userObject.phoneVerifiedAt;
+  delete userObject.identities;
+  delete userObject.hasPassword;
+  delete userObject.wishlist;
+  delete userObject.blockedUsers;
+  delete userObject.followedTags;
+  delete userObject.closeFriends;
   return userObject;
 };
 
 // Method to get user's own profile data
 userSchema.methods.getPrivateProfile = function() {
-  const userObject = this.toObject();
-  delete userObject.password;
-  return userObject;
+  return stripSensitiveFields(this.toObject());
+};
+
+// Static method to find the user a sign-in identity is linked to
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({
+    identities: { $elemMatch: { provider, subject } }
+  });
 };
 
 // Static method to find users by search query
@@ -5,18 +5,53 @@ const router = express.Router();
 const {
   signup,
   login,
+  verifyTwoFactorLogin,
+  requestOtp,
+  verifyOtp,
+  getOidcProviders,
+  startOidcLogin,
+  startOidcLink,
+  completeOidcLogin,
+  completeOidcSignup,
+  getIdentities,
+  unlinkIdentity,
   logout,
   getCurrentUser,
   refreshToken,
   requestPasswordReset,
-  verifyEmail
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  requestAccountUnlock,
+  unlockAccount,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
 } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
 
 // Middlewares
-const { authenticateToken, authRateLimit } = require('../middlewares/auth');
+const { authenticateToken, optionalAuth, authRateLimit } = require('../middlewares/auth');
 const {
   validateSignup,
-  validateLogin
+  validateLogin,
+  validatePasswordResetRequest,
+  validateResetPassword,
+  validateRefreshToken,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateDisableTwoFactor,
+  validateOtpRequest,
+  validateOtpVerify,
+  validateOidcCallback,
+  validateOidcSignup,
+  validateObjectId
 } = require('../middlewares/validation');
 
 /**
@@ -33,9 +68,58 @@ router.post('/signup', authRateLimit(5, 15), validateSignup, signup);
  */
 router.post('/login', authRateLimit(10, 15), validateLogin, login);
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete login with an authenticator or recovery code
+ * @access  Public (requires challenge token from /login)
+ */
+router.post('/login/2fa', authRateLimit(10, 15), validateTwoFactorLogin, verifyTwoFactorLogin);
+
+/**
+ * @route   POST /api/auth/otp/request
+ * @desc    Text a one-time code for phone login (or purpose=verify_phone to add a number)
+ * @access  Public (verify_phone requires auth)
+ */
+router.post('/otp/request', optionalAuth, authRateLimit(5, 60), validateOtpRequest, requestOtp);
+
+/**
+ * @route   POST /api/auth/otp/verify
+ * @desc    Log in with a phone code (or purpose=verify_phone to confirm a number)
+ * @access  Public (verify_phone requires auth)
+ */
+router.post('/otp/verify', optionalAuth, authRateLimit(10, 15), validateOtpVerify, verifyOtp);
+
+/**
+ * @route   GET /api/auth/oidc/providers
+ * @desc    List configured sign-in providers
+ * @access  Public
+ */
+router.get('/oidc/providers', getOidcProviders);
+
+/**
+ * @route   GET /api/auth/oidc/:provider/authorize
+ * @desc    Get the provider authorization URL and a login token
+ * @access  Public
+ */
+router.get('/oidc/:provider/authorize', authRateLimit(30, 15), startOidcLogin);
+
+/**
+ * @route   POST /api/auth/oidc/:provider/callback
+ * @desc    Finish provider sign-in with the authorization code
+ * @access  Public (requires login token from /authorize; linking also requires the signed-in user)
+ */
+router.post('/oidc/:provider/callback', optionalAuth, authRateLimit(30, 15), validateOidcCallback, completeOidcLogin);
+
+/**
+ * @route   POST /api/auth/oidc/signup
+ * @desc    Choose a username and create the account on first provider login
+ * @access  Public (requires signup token from /callback)
+ */
+router.post('/oidc/signup', authRateLimit(10, 15), validateOidcSignup, completeOidcSignup);
+
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    Logout user (revoke current session)
  * @access  Private
  */
 router.post('/logout', authenticateToken, logout);
@@ -49,17 +133,24 @@ router.get('/me', authenticateToken, getCurrentUser);
 
 /**
  * @route   POST /api/auth/refresh-token
- * @desc    Refresh JWT token
- * @access  Private
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public (requires refresh token)
  */
-router.post('/refresh-token', authenticateToken, refreshToken);
+router.post('/refresh-token', authRateLimit(30, 15), validateRefreshToken, refreshToken);
 
 /**
  * @route   POST /api/auth/request-password-reset
  * @desc    Request password reset
  * @access  Public
  */
-router.post('/request-password-reset', authRateLimit(3, 60), requestPasswordReset);
+router.post('/request-password-reset', authRateLimit(3, 60), validatePasswordResetRequest, requestPasswordReset);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ */
+router.post('/reset-password', authRateLimit(5, 60), validateResetPassword, resetPassword);
 
 /**
  * @route   GET /api/auth/verify-email/:token
@@ -68,4 +159,102 @@ router.post('/request-password-reset', authRateLimit(3, 60), requestPasswordRese
  */
 router.get('/verify-email/:token', verifyEmail);
 
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Resend email verification link
+ * @access  Private
+ */
+router.post('/resend-verification', authenticateToken, authRateLimit(3, 60), resendVerificationEmail);
+
+/**
+ * @route   POST /api/auth/request-unlock
+ * @desc    Resend the unlock link for an account locked after failed logins
+ * @access  Public
+ */
+router.post('/request-unlock', authRateLimit(3, 60), validatePasswordResetRequest, requestAccountUnlock);
+
+/**
+ * @route   GET /api/auth/unlock/:token
+ * @desc    Unlock an account locked after failed logins
+ * @access  Public
+ */
+router.get('/unlock/:token', authRateLimit(10, 15), unlockAccount);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (devices) for current user
+ * @access  Private
+ */
+router.get('/sessions', authenticateToken, getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Revoke all sessions except the current one
+ * @access  Private
+ */
+router.delete('/sessions', authenticateToken, revokeOtherSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke a specific session
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', authenticateToken, validateObjectId('sessionId'), revokeSession);
+
+/**
+ * @route   GET /api/auth/identities
+ * @desc    List sign-in provider accounts linked to current user
+ * @access  Private
+ */
+router.get('/identities', authenticateToken, getIdentities);
+
+/**
+ * @route   GET /api/auth/identities/:provider/link
+ * @desc    Get the provider authorization URL to link another sign-in method
+ * @access  Private
+ */
+router.get('/identities/:provider/link', authenticateToken, startOidcLink);
+
+/**
+ * @route   DELETE /api/auth/identities/:identityId
+ * @desc    Unlink a sign-in provider account
+ * @access  Private
+ */
+router.delete('/identities/:identityId', authenticateToken, validateObjectId('identityId'), unlinkIdentity);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa', authenticateToken, getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment (returns otpauth URI and QR code)
+ * @access  Private
+ */
+router.post('/2fa/setup', authenticateToken, setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm 2FA enrollment with a code and get recovery codes
+ * @access  Private
+ */
+router.post('/2fa/enable', authenticateToken, authRateLimit(10, 15), validateTwoFactorCode, enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable 2FA (requires a code, and the password if the account has one)
+ * @access  Private
+ */
+router.post('/2fa/disable', authenticateToken, authRateLimit(5, 15), validateDisableTwoFactor, disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerate 2FA recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', authenticateToken, authRateLimit(5, 15), validateTwoFactorCode, regenerateRecoveryCodes);
+
 module.exports = router;
\ No newline at end of file
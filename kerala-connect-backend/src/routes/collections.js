@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getMyCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  addPostToCollection,
+  removePostFromCollection
+} = require('../controllers/collectionController');
+
+// Middlewares
+const { authenticateToken, optionalAuth } = require('../middlewares/auth');
+const {
+  validateCreateCollection,
+  validateUpdateCollection,
+  validateCollectionPost,
+  validateObjectId,
+  validatePagination
+} = require('../middlewares/validation');
+
+/**
+ * @route   GET /api/collections
+ * @desc    Get current user's collections
+ * @access  Private
+ */
+router.get('/', authenticateToken, getMyCollections);
+
+/**
+ * @route   POST /api/collections
+ * @desc    Create a collection
+ * @access  Private
+ */
+router.post('/', authenticateToken, validateCreateCollection, createCollection);
+
+/**
+ * @route   GET /api/collections/:id
+ * @desc    Get collection with its posts
+ * @access  Public for shared collections, otherwise owner only
+ */
+router.get('/:id', optionalAuth, validateObjectId('id'), validatePagination, getCollection);
+
+/**
+ * @route   PUT /api/collections/:id
+ * @desc    Update collection name, description or visibility
+ * @access  Private (Owner only)
+ */
+router.put('/:id', authenticateToken, validateObjectId('id'), validateUpdateCollection, updateCollection);
+
+/**
+ * @route   DELETE /api/collections/:id
+ * @desc    Delete collection (its posts stay saved)
+ * @access  Private (Owner only)
+ */
+router.delete('/:id', authenticateToken, validateObjectId('id'), deleteCollection);
+
+/**
+ * @route   POST /api/collections/:id/posts
+ * @desc    Add a post to collection (saves it if needed)
+ * @access  Private (Owner only)
+ */
+router.post('/:id/posts', authenticateToken, validateObjectId('id'), validateCollectionPost, addPostToCollection);
+
+/**
+ * @route   DELETE /api/collections/:id/posts/:postId
+ * @desc    Remove a post from collection
+ * @access  Private (Owner only)
+ */
+router.delete('/:id/posts/:postId', authenticateToken, validateObjectId('id'), validateObjectId('postId'), removePostFromCollection);
+
+module.exports = router;
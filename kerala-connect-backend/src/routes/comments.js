@@ -13,7 +13,7 @@ const {
 } = require('../controllers/commentController');
 
 // Middlewares
-const { authenticateToken, optionalAuth } = require('../middlewares/auth');
+const { authenticateToken, optionalAuth, requireVerifiedEmail } = require('../middlewares/auth');
 const {
   validateCreateComment,
   validateUpdateComment,
@@ -33,7 +33,7 @@ router.get('/post/:postId', optionalAuth, validateObjectId('postId'), validatePa
  * @desc    Add comment to a post
  * @access  Private
  */
-router.post('/post/:postId', authenticateToken, validateObjectId('postId'), validateCreateComment, addComment);
+router.post('/post/:postId', authenticateToken, requireVerifiedEmail('createComment'), validateObjectId('postId'), validateCreateComment, addComment);
 
 /**
  * @route   GET /api/comments/:id/replies
@@ -52,7 +52,7 @@ router.put('/:id', authenticateToken, validateObjectId('id'), validateUpdateComm
 /**
  * @route   DELETE /api/comments/:id
  * @desc    Delete comment
- * @access  Private (Owner only)
+ * @access  Private (Owner and moderators)
  */
 router.delete('/:id', authenticateToken, validateObjectId('id'), deleteComment);
 
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notificationController');
+
+// Middlewares
+const { authenticateToken } = require('../middlewares/auth');
+const { validateObjectId, validatePagination } = require('../middlewares/validation');
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get current user's notifications (?unread=true for unread only)
+ * @access  Private
+ */
+router.get('/', authenticateToken, validatePagination, getNotifications);
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.put('/read-all', authenticateToken, markAllNotificationsRead);
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.put('/:id/read', authenticateToken, validateObjectId('id'), markNotificationRead);
+
+module.exports = router;
@@ -7,20 +7,30 @@ const {
   getTrendingPlaces,
   getPlace,
   getNearbyPlaces,
+  suggestPlaces,
   getPlaceCategories,
   getPlaceDistricts,
   getPlacePosts,
+  createPlace,
+  updatePlace,
+  verifyPlace,
   ratePlace,
   checkInAtPlace,
+  addToWishlist,
+  removeFromWishlist,
   getPopularDestinations
 } = require('../controllers/placesController');
 
 // Middlewares
-const { authenticateToken, optionalAuth } = require('../middlewares/auth');
+const { authenticateToken, optionalAuth, requirePermission } = require('../middlewares/auth');
 const {
   validateObjectId,
   validatePagination,
   validateLocationQuery,
+  validatePlaceSuggestQuery,
+  validateCreatePlace,
+  validateUpdatePlace,
+  validatePlaceVerification,
   validateRating
 } = require('../middlewares/validation');
 
@@ -31,6 +41,13 @@ const {
  */
 router.get('/', validatePagination, getPlaces);
 
+/**
+ * @route   POST /api/places
+ * @desc    Create a place
+ * @access  Private (places:create)
+ */
+router.post('/', authenticateToken, requirePermission('places:create'), validateCreatePlace, createPlace);
+
 /**
  * @route   GET /api/places/trending
  * @desc    Get trending places
@@ -52,6 +69,13 @@ router.get('/popular', getPopularDestinations);
  */
 router.get('/nearby', validateLocationQuery, getNearbyPlaces);
 
+/**
+ * @route   GET /api/places/suggest
+ * @desc    Suggest nearby places to tag a post with
+ * @access  Public
+ */
+router.get('/suggest', validatePlaceSuggestQuery, suggestPlaces);
+
 /**
  * @route   GET /api/places/categories
  * @desc    Get place categories with count
@@ -73,6 +97,20 @@ router.get('/districts', getPlaceDistricts);
  */
 router.get('/:id', validateObjectId('id'), getPlace);
 
+/**
+ * @route   PUT /api/places/:id
+ * @desc    Update a place
+ * @access  Private (places:update)
+ */
+router.put('/:id', authenticateToken, requirePermission('places:update'), validateObjectId('id'), validateUpdatePlace, updatePlace);
+
+/**
+ * @route   PATCH /api/places/:id/verify
+ * @desc    Verify a place, or remove the verification
+ * @access  Private (places:verify)
+ */
+router.patch('/:id/verify', authenticateToken, requirePermission('places:verify'), validateObjectId('id'), validatePlaceVerification, verifyPlace);
+
 /**
  * @route   GET /api/places/:id/posts
  * @desc    Get posts for a specific place
@@ -94,4 +132,18 @@ router.post('/:id/rate', authenticateToken, validateObjectId('id'), validateRati
  */
 router.post('/:id/checkin', authenticateToken, validateObjectId('id'), checkInAtPlace);
 
+/**
+ * @route   POST /api/places/:id/wishlist
+ * @desc    Add a place to current user's wishlist
+ * @access  Private
+ */
+router.post('/:id/wishlist', authenticateToken, validateObjectId('id'), addToWishlist);
+
+/**
+ * @route   DELETE /api/places/:id/wishlist
+ * @desc    Remove a place from current user's wishlist
+ * @access  Private
+ */
+router.delete('/:id/wishlist', authenticateToken, validateObjectId('id'), removeFromWishlist);
+
 module.exports = router;
\ No newline at end of file
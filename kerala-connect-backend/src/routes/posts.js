@@ -9,28 +9,44 @@ const {
   getPost,
   createPost,
   updatePost,
+  getPostRevisions,
+  getDrafts,
+  publishDraft,
   deletePost,
   likePost,
   unlikePost,
+  votePoll,
+  repostPost,
+  undoRepost,
+  sharePost,
+  savePost,
+  unsavePost,
   getUserPosts
 } = require('../controllers/postController');
+const { cloneItinerary } = require('../controllers/tripController');
 
 // Middlewares
-const { authenticateToken, optionalAuth } = require('../middlewares/auth');
+const { authenticateToken, optionalAuth, requireVerifiedEmail } = require('../middlewares/auth');
 const {
   validateCreatePost,
   validateUpdatePost,
+  validateDraftsQuery,
+  validateSavePost,
+  validateRepost,
+  validatePollVote,
+  validateTripPlan,
   validateObjectId,
   validatePagination,
+  validateFeedQuery,
   validateLocationQuery
 } = require('../middlewares/validation');
 
 /**
  * @route   GET /api/posts/feed
- * @desc    Get user's personalized feed
+ * @desc    Get user's personalized feed (?mode=ranked|latest)
  * @access  Private
  */
-router.get('/feed', authenticateToken, validatePagination, getFeed);
+router.get('/feed', authenticateToken, validatePagination, validateFeedQuery, getFeed);
 
 /**
  * @route   GET /api/posts/trending
@@ -44,14 +60,21 @@ router.get('/trending', optionalAuth, getTrendingPosts);
  * @desc    Get posts by location
  * @access  Public
  */
-router.get('/location', validateLocationQuery, getPostsByLocation);
+router.get('/location', optionalAuth, validateLocationQuery, getPostsByLocation);
+
+/**
+ * @route   GET /api/posts/drafts
+ * @desc    Get current user's drafts and scheduled posts
+ * @access  Private
+ */
+router.get('/drafts', authenticateToken, validatePagination, validateDraftsQuery, getDrafts);
 
 /**
  * @route   POST /api/posts
- * @desc    Create a new post
+ * @desc    Create a new post (or save a draft / schedule it with publishAt)
  * @access  Private
  */
-router.post('/', authenticateToken, validateCreatePost, createPost);
+router.post('/', authenticateToken, requireVerifiedEmail('createPost'), validateCreatePost, createPost);
 
 /**
  * @route   GET /api/posts/:id
@@ -67,6 +90,20 @@ router.get('/:id', optionalAuth, validateObjectId('id'), getPost);
  */
 router.put('/:id', authenticateToken, validateObjectId('id'), validateUpdatePost, updatePost);
 
+/**
+ * @route   GET /api/posts/:id/revisions
+ * @desc    Get post edit history
+ * @access  Private (Owner and moderators)
+ */
+router.get('/:id/revisions', authenticateToken, validateObjectId('id'), validatePagination, getPostRevisions);
+
+/**
+ * @route   POST /api/posts/:id/publish
+ * @desc    Publish a draft or scheduled post now
+ * @access  Private (Owner only)
+ */
+router.post('/:id/publish', authenticateToken, validateObjectId('id'), publishDraft);
+
 /**
  * @route   DELETE /api/posts/:id
  * @desc    Delete post
@@ -88,6 +125,55 @@ router.post('/:id/like', authenticateToken, validateObjectId('id'), likePost);
  */
 router.delete('/:id/like', authenticateToken, validateObjectId('id'), unlikePost);
 
+/**
+ * @route   POST /api/posts/:id/vote
+ * @desc    Vote on a poll
+ * @access  Private
+ */
+router.post('/:id/vote', authenticateToken, validateObjectId('id'), validatePollVote, votePoll);
+
+/**
+ * @route   POST /api/posts/:id/clone
+ * @desc    Copy an itinerary into your trip plans
+ * @access  Private
+ */
+router.post('/:id/clone', authenticateToken, validateObjectId('id'), validateTripPlan, cloneItinerary);
+
+/**
+ * @route   POST /api/posts/:id/repost
+ * @desc    Repost a post, or quote it when content is given
+ * @access  Private
+ */
+router.post('/:id/repost', authenticateToken, validateObjectId('id'), validateRepost, repostPost);
+
+/**
+ * @route   DELETE /api/posts/:id/repost
+ * @desc    Undo a plain repost
+ * @access  Private
+ */
+router.delete('/:id/repost', authenticateToken, validateObjectId('id'), undoRepost);
+
+/**
+ * @route   POST /api/posts/:id/share
+ * @desc    Record a share outside the app
+ * @access  Public (but enhanced with auth)
+ */
+router.post('/:id/share', optionalAuth, validateObjectId('id'), sharePost);
+
+/**
+ * @route   POST /api/posts/:id/save
+ * @desc    Save a post, optionally into collections
+ * @access  Private
+ */
+router.post('/:id/save', authenticateToken, validateObjectId('id'), validateSavePost, savePost);
+
+/**
+ * @route   DELETE /api/posts/:id/save
+ * @desc    Unsave a post
+ * @access  Private
+ */
+router.delete('/:id/save', authenticateToken, validateObjectId('id'), unsavePost);
+
 /**
  * @route   GET /api/posts/user/:userId
  * @desc    Get posts by specific user
@@ -15,7 +15,7 @@ const {
 } = require('../controllers/rewardsController');
 
 // Middlewares
-const { authenticateToken, optionalAuth } = require('../middlewares/auth');
+const { authenticateToken, optionalAuth, requireVerifiedEmail, requirePermission } = require('../middlewares/auth');
 const {
   validateObjectId,
   validatePagination,
@@ -53,9 +53,9 @@ router.get('/coupons/:id', authenticateToken, validateObjectId('id'), getCoupon)
 /**
  * @route   POST /api/rewards/coupons/:id/redeem
  * @desc    Redeem a coupon
- * @access  Private
+ * @access  Private (verified email required by default)
  */
-router.post('/coupons/:id/redeem', authenticateToken, validateObjectId('id'), redeemCoupon);
+router.post('/coupons/:id/redeem', authenticateToken, requireVerifiedEmail('redeemCoupon'), validateObjectId('id'), redeemCoupon);
 
 /**
  * @route   GET /api/rewards/my-redemptions
@@ -74,9 +74,9 @@ router.get('/redemptions/:code', authenticateToken, getRedemptionByCode);
 /**
  * @route   PATCH /api/rewards/redemptions/:code/use
  * @desc    Mark redemption as used (for partners)
- * @access  Private
+ * @access  Private (Partner or Admin)
  */
-router.patch('/redemptions/:code/use', authenticateToken, validateRedemptionUsage, markRedemptionAsUsed);
+router.patch('/redemptions/:code/use', authenticateToken, requirePermission('redemptions:use'), validateRedemptionUsage, markRedemptionAsUsed);
 
 /**
  * @route   GET /api/rewards/points/opportunities
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  createStory,
+  getStoryFeed,
+  getUserStories,
+  viewStory,
+  getStoryViewers,
+  deleteStory
+} = require('../controllers/storyController');
+
+// Middlewares
+const { authenticateToken } = require('../middlewares/auth');
+const {
+  validateCreateStory,
+  validateObjectId,
+  validatePagination
+} = require('../middlewares/validation');
+
+/**
+ * @route   POST /api/stories
+ * @desc    Post a story (expires after 24 hours)
+ * @access  Private
+ */
+router.post('/', authenticateToken, validateCreateStory, createStory);
+
+/**
+ * @route   GET /api/stories/feed
+ * @desc    Get active stories from followed users, grouped by author
+ * @access  Private
+ */
+router.get('/feed', authenticateToken, getStoryFeed);
+
+/**
+ * @route   GET /api/stories/user/:userId
+ * @desc    Get a user's active stories
+ * @access  Private
+ */
+router.get('/user/:userId', authenticateToken, validateObjectId('userId'), getUserStories);
+
+/**
+ * @route   POST /api/stories/:id/view
+ * @desc    Mark a story as seen
+ * @access  Private
+ */
+router.post('/:id/view', authenticateToken, validateObjectId('id'), viewStory);
+
+/**
+ * @route   GET /api/stories/:id/viewers
+ * @desc    Get who has seen a story
+ * @access  Private (Author only)
+ */
+router.get('/:id/viewers', authenticateToken, validateObjectId('id'), validatePagination, getStoryViewers);
+
+/**
+ * @route   DELETE /api/stories/:id
+ * @desc    Delete a story
+ * @access  Private (Author only)
+ */
+router.delete('/:id', authenticateToken, validateObjectId('id'), deleteStory);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getTrendingTags,
+  autocompleteTags,
+  getTagPosts,
+  followTag,
+  unfollowTag
+} = require('../controllers/tagController');
+
+// Middlewares
+const { authenticateToken, optionalAuth } = require('../middlewares/auth');
+const {
+  validateTag,
+  validateTagAutocomplete,
+  validateTrendingTagsQuery,
+  validatePagination
+} = require('../middlewares/validation');
+
+/**
+ * @route   GET /api/tags/trending
+ * @desc    Get trending hashtags
+ * @access  Public
+ */
+router.get('/trending', optionalAuth, validateTrendingTagsQuery, getTrendingTags);
+
+/**
+ * @route   GET /api/tags/autocomplete
+ * @desc    Suggest hashtags by prefix
+ * @access  Public
+ */
+router.get('/autocomplete', validateTagAutocomplete, autocompleteTags);
+
+/**
+ * @route   GET /api/tags/:tag/posts
+ * @desc    Get public posts using a hashtag
+ * @access  Public
+ */
+router.get('/:tag/posts', optionalAuth, validateTag, validatePagination, getTagPosts);
+
+/**
+ * @route   POST /api/tags/:tag/follow
+ * @desc    Follow a hashtag
+ * @access  Private
+ */
+router.post('/:tag/follow', authenticateToken, validateTag, followTag);
+
+/**
+ * @route   DELETE /api/tags/:tag/follow
+ * @desc    Unfollow a hashtag
+ * @access  Private
+ */
+router.delete('/:tag/follow', authenticateToken, validateTag, unfollowTag);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getMyTripPlans,
+  getTripPlan,
+  updateTripPlan,
+  deleteTripPlan
+} = require('../controllers/tripController');
+
+// Middlewares
+const { authenticateToken } = require('../middlewares/auth');
+const {
+  validateTripPlan,
+  validateObjectId,
+  validatePagination
+} = require('../middlewares/validation');
+
+/**
+ * @route   GET /api/trips
+ * @desc    Get current user's trip plans
+ * @access  Private
+ */
+router.get('/', authenticateToken, validatePagination, getMyTripPlans);
+
+/**
+ * @route   GET /api/trips/:id
+ * @desc    Get trip plan with its stops
+ * @access  Private (Owner only)
+ */
+router.get('/:id', authenticateToken, validateObjectId('id'), getTripPlan);
+
+/**
+ * @route   PUT /api/trips/:id
+ * @desc    Rename trip plan
+ * @access  Private (Owner only)
+ */
+router.put('/:id', authenticateToken, validateObjectId('id'), validateTripPlan, updateTripPlan);
+
+/**
+ * @route   DELETE /api/trips/:id
+ * @desc    Delete trip plan
+ * @access  Private (Owner only)
+ */
+router.delete('/:id', authenticateToken, validateObjectId('id'), deleteTripPlan);
+
+module.exports = router;
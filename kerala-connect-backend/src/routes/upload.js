@@ -5,28 +5,31 @@ const router = express.Router();
 const {
   uploadSingle,
   uploadMultiple,
+  uploadVideo,
+  getMediaUpload,
   deleteFile,
   getFileInfo,
   cleanupTempFiles
 } = require('../controllers/uploadController');
 
 // Middlewares
-const { authenticateToken } = require('../middlewares/auth');
+const { authenticateToken, requireRole } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validation');
 
 /**
  * @route   POST /api/upload/:type/single
  * @desc    Upload a single image file
  * @access  Private
- * @param   {string} type - Type of upload (profile, post, place)
+ * @param   {string} type - Type of upload (profile, post, place, story)
  */
 router.post('/:type/single', authenticateToken, (req, res, next) => {
   const { type } = req.params;
-  const allowedTypes = ['profile', 'post', 'place'];
+  const allowedTypes = ['profile', 'post', 'place', 'story'];
   
   if (!allowedTypes.includes(type)) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid upload type. Allowed types: profile, post, place'
+      error: 'Invalid upload type. Allowed types: profile, post, place, story'
     });
   }
   
@@ -37,22 +40,48 @@ router.post('/:type/single', authenticateToken, (req, res, next) => {
  * @route   POST /api/upload/:type/multiple
  * @desc    Upload multiple image files
  * @access  Private
- * @param   {string} type - Type of upload (profile, post, place)
+ * @param   {string} type - Type of upload (profile, post, place, story)
  */
 router.post('/:type/multiple', authenticateToken, (req, res, next) => {
   const { type } = req.params;
-  const allowedTypes = ['profile', 'post', 'place'];
+  const allowedTypes = ['profile', 'post', 'place', 'story'];
   
   if (!allowedTypes.includes(type)) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid upload type. Allowed types: profile, post, place'
+      error: 'Invalid upload type. Allowed types: profile, post, place, story'
     });
   }
   
   next();
 }, uploadMultiple);
 
+/**
+ * @route   POST /api/upload/:type/video
+ * @desc    Upload a video (MP4 or WebM) to be processed in the background
+ * @access  Private
+ * @param   {string} type - Type of upload (post)
+ */
+router.post('/:type/video', authenticateToken, (req, res, next) => {
+  const { type } = req.params;
+  
+  if (type !== 'post') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid upload type. Videos can only be uploaded for posts'
+    });
+  }
+  
+  next();
+}, uploadVideo);
+
+/**
+ * @route   GET /api/upload/media/:id
+ * @desc    Get an uploaded video and its processing status
+ * @access  Private
+ */
+router.get('/media/:id', authenticateToken, validateObjectId('id'), getMediaUpload);
+
 /**
  * @route   GET /api/upload/:type/:filename/info
  * @desc    Get file information
@@ -67,7 +96,7 @@ router.get('/:type/:filename/info', authenticateToken, getFileInfo);
  */
 router.delete('/:type/:filename', authenticateToken, (req, res, next) => {
   const { type } = req.params;
-  const allowedTypes = ['profile', 'post', 'place', 'temp'];
+  const allowedTypes = ['profile', 'post', 'place', 'story', 'temp'];
   
   if (!allowedTypes.includes(type)) {
     return res.status(400).json({
@@ -82,8 +111,8 @@ router.delete('/:type/:filename', authenticateToken, (req, res, next) => {
 /**
  * @route   POST /api/upload/cleanup
  * @desc    Clean up temporary files
- * @access  Private (admin only - could be enhanced with role check)
+ * @access  Private (Admin only)
  */
-router.post('/cleanup', authenticateToken, cleanupTempFiles);
+router.post('/cleanup', authenticateToken, requireRole('admin'), cleanupTempFiles);
 
 module.exports = router;
\ No newline at end of file
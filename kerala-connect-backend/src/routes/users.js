@@ -13,16 +13,31 @@ const {
   getUserPosts,
   searchUsers,
   getUserPoints,
-  getLeaderboard
+  getLeaderboard,
+  getMyWishlist,
+  getMySavedPosts,
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  getCloseFriends,
+  addCloseFriend,
+  removeCloseFriend,
+  deleteMyAccount,
+  exportMyData
 } = require('../controllers/userController');
+const { getUserCollections } = require('../controllers/collectionController');
+const { getFollowedTags } = require('../controllers/tagController');
 
 // Middlewares
-const { authenticateToken, optionalAuth } = require('../middlewares/auth');
+const { authenticateToken, optionalAuth, authRateLimit } = require('../middlewares/auth');
 const {
   validateUpdateProfile,
+  validateDeleteAccount,
+  validateDataExport,
   validateObjectId,
   validatePagination,
-  validateSearchQuery
+  validateSearchQuery,
+  validateSavedPostsQuery
 } = require('../middlewares/validation');
 
 /**
@@ -39,6 +54,69 @@ router.get('/me', authenticateToken, getMyProfile);
  */
 router.put('/me', authenticateToken, validateUpdateProfile, updateProfile);
 
+/**
+ * @route   GET /api/users/me/wishlist
+ * @desc    Get current user's wishlist of places
+ * @access  Private
+ */
+router.get('/me/wishlist', authenticateToken, getMyWishlist);
+
+/**
+ * @route   GET /api/users/me/saved
+ * @desc    Get current user's saved posts (?collection= for one collection)
+ * @access  Private
+ */
+router.get('/me/saved', authenticateToken, validatePagination, validateSavedPostsQuery, getMySavedPosts);
+
+/**
+ * @route   GET /api/users/me/blocked
+ * @desc    Get users blocked by current user
+ * @access  Private
+ */
+router.get('/me/blocked', authenticateToken, getBlockedUsers);
+
+/**
+ * @route   GET /api/users/me/close-friends
+ * @desc    Get current user's close friends
+ * @access  Private
+ */
+router.get('/me/close-friends', authenticateToken, getCloseFriends);
+
+/**
+ * @route   POST /api/users/me/close-friends/:userId
+ * @desc    Add a user to close friends
+ * @access  Private
+ */
+router.post('/me/close-friends/:userId', authenticateToken, validateObjectId('userId'), addCloseFriend);
+
+/**
+ * @route   DELETE /api/users/me/close-friends/:userId
+ * @desc    Remove a user from close friends
+ * @access  Private
+ */
+router.delete('/me/close-friends/:userId', authenticateToken, validateObjectId('userId'), removeCloseFriend);
+
+/**
+ * @route   GET /api/users/me/tags
+ * @desc    Get hashtags followed by current user
+ * @access  Private
+ */
+router.get('/me/tags', authenticateToken, getFollowedTags);
+
+/**
+ * @route   DELETE /api/users/me
+ * @desc    Delete current user account (deactivated now, anonymised after a grace period)
+ * @access  Private
+ */
+router.delete('/me', authenticateToken, authRateLimit(5, 15), validateDeleteAccount, deleteMyAccount);
+
+/**
+ * @route   GET /api/users/me/export
+ * @desc    Download a copy of current user's data (?format=json|zip)
+ * @access  Private
+ */
+router.get('/me/export', authenticateToken, authRateLimit(5, 60), validateDataExport, exportMyData);
+
 /**
  * @route   GET /api/users/me/points
  * @desc    Get current user points and transactions
@@ -74,6 +152,13 @@ router.get('/:userId', optionalAuth, validateObjectId('userId'), getUserProfile)
  */
 router.get('/:userId/posts', optionalAuth, validateObjectId('userId'), validatePagination, getUserPosts);
 
+/**
+ * @route   GET /api/users/:userId/collections
+ * @desc    Get a user's shared collections
+ * @access  Public
+ */
+router.get('/:userId/collections', validateObjectId('userId'), getUserCollections);
+
 /**
  * @route   GET /api/users/:userId/followers
  * @desc    Get user followers
@@ -102,4 +187,18 @@ router.post('/:userId/follow', authenticateToken, validateObjectId('userId'), fo
  */
 router.delete('/:userId/follow', authenticateToken, validateObjectId('userId'), unfollowUser);
 
+/**
+ * @route   POST /api/users/:userId/block
+ * @desc    Block a user
+ * @access  Private
+ */
+router.post('/:userId/block', authenticateToken, validateObjectId('userId'), blockUser);
+
+/**
+ * @route   DELETE /api/users/:userId/block
+ * @desc    Unblock a user
+ * @access  Private
+ */
+router.delete('/:userId/block', authenticateToken, validateObjectId('userId'), unblockUser);
+
 module.exports = router;
\ No newline at end of file
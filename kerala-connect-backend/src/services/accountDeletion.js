@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const PointsTransaction = require('../models/PointsTransaction');
+const CouponRedemption = require('../models/CouponRedemption');
+const CheckIn = require('../models/CheckIn');
+const SavedPost = require('../models/SavedPost');
+const Collection = require('../models/Collection');
+const PollVote = require('../models/PollVote');
+const Story = require('../models/Story');
+const StoryView = require('../models/StoryView');
+const MediaUpload = require('../models/MediaUpload');
+const TripPlan = require('../models/TripPlan');
+const Notification = require('../models/Notification');
+const FeedSnapshot = require('../models/FeedSnapshot');
+const Session = require('../models/Session');
+const OtpCode = require('../models/OtpCode');
+const { generateRandomToken } = require('../utils/tokens');
+const { TOMBSTONE_USERNAME } = require('../config/reservedUsernames');
+
+// Account deletion happens in two steps. Requesting deletion deactivates the
+// account straight away; once the grace period is over a background job
+// anonymises it. Logging in during the grace period cancels the deletion.
+
+const getGracePeriodDays = () => {
+  return parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30');
+};
+
+// Deactivate the account and schedule it for anonymisation
+const scheduleAccountDeletion = async (user) => {
+  const now = new Date();
+
+  user.isActive = false;
+  user.deletion = {
+    requestedAt: now,
+    scheduledFor: new Date(now.getTime() + getGracePeriodDays() * 24 * 60 * 60 * 1000)
+  };
+  await user.save({ validateBeforeSave: false });
+
+  await Session.revokeAllForUser(user._id, 'account_deleted');
+
+  return user.deletion.scheduledFor;
+};
+
+// Reactivate an account that is still in its grace period
+const cancelAccountDeletion = async (user) => {
+  user.isActive = true;
+  user.deletion = { requestedAt: null, scheduledFor: null };
+  await user.save({ validateBeforeSave: false });
+};
+
+// Stable pseudonym for a user ID. Records keyed by it can't be traced back to
+// the account without the secret, but still group together (e.g. the ledger).
+const pseudonymiseId = (userId) => {
+  const secret = process.env.PSEUDONYM_SECRET || process.env.JWT_SECRET;
+  const digest = crypto.createHmac('sha256', secret).update(userId.toString()).digest('hex');
+
+  return new mongoose.Types.ObjectId(digest.slice(0, 24));
+};
+
+// Placeholder author that content from deleted accounts is credited to
+// (found by its flag, since the username alone proves nothing)
+const getTombstoneUser = async () => {
+  const existing = await User.findOne({ isTombstone: true });
+  if (existing) return existing;
+
+  try {
+    return await User.create({
+      username: TOMBSTONE_USERNAME,
+      email: 'deleted-user@users.invalid',
+      password: generateRandomToken(),
+      fullName: 'Deleted user',
+      isActive: false,
+      isTombstone: true
+    });
+  } catch (error) {
+    // Another deletion job created it first
+    const created = error.code === 11000 && await User.findOne({ isTombstone: true });
+    if (created) return created;
+    throw error;
+  }
+};
+
+// Remove everything that identifies the user, keeping shared history intact
+const anonymiseUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return false;
+
+  const tombstone = await getTombstoneUser();
+  const pseudonymId = pseudonymiseId(user._id);
+
+  // Social graph
+  await User.updateMany({ followers: user._id }, { $pull: { followers: user._id } });
+  await User.updateMany({ following: user._id }, { $pull: { following: user._id } });
+  await User.updateMany({ blockedUsers: user._id }, { $pull: { blockedUsers: user._id } });
+  await User.updateMany({ closeFriends: user._id }, { $pull: { closeFriends: user._id } });
+
+  // Posts and comments stay so conversations still make sense, but no longer point at the user
+  await Post.updateMany({ author: user._id }, { $set: { author: tombstone._id } });
+  await Comment.updateMany({ author: user._id }, { $set: { author: tombstone._id } });
+  await Post.updateMany({ 'likes.user': user._id }, { $pull: { likes: { user: user._id } } });
+  await Comment.updateMany({ 'likes.user': user._id }, { $pull: { likes: { user: user._id } } });
+  await Post.updateMany({ mentions: user._id }, { $pull: { mentions: user._id } });
+  await Comment.updateMany({ mentions: user._id }, { $pull: { mentions: user._id } });
+
+  // Ledger and redemptions are kept for accounting, under the pseudonym
+  await PointsTransaction.updateMany(
+    { user: user._id },
+    {
+      $set: { user: pseudonymId },
+      $unset: { 'metadata.ipAddress': '', 'metadata.userAgent': '' }
+    }
+  );
+  await PointsTransaction.updateMany(
+    { 'relatedEntity.entityType': 'User', 'relatedEntity.entityId': user._id },
+    { $set: { 'relatedEntity.entityId': pseudonymId } }
+  );
+  await CouponRedemption.updateMany({ user: user._id }, { $set: { user: pseudonymId } });
+
+  // Personal records
+  await CheckIn.deleteMany({ user: user._id });
+  await SavedPost.deleteMany({ user: user._id });
+  await Collection.deleteMany({ owner: user._id });
+  // Poll totals keep their votes; only the link to the voter goes
+  await PollVote.deleteMany({ user: user._id });
+  const stories = await Story.find({ author: user._id }).select('_id');
+  await StoryView.deleteMany({ $or: [{ story: { $in: stories.map(story => story._id) } }, { viewer: user._id }] });
+  await Story.deleteMany({ author: user._id });
+  // Posts keep their own copy of video details
+  await MediaUpload.deleteMany({ owner: user._id });
+  await TripPlan.deleteMany({ owner: user._id });
+  await Notification.deleteMany({ $or: [{ recipient: user._id }, { actor: user._id }] });
+  await Session.deleteMany({ user: user._id });
+  await FeedSnapshot.deleteMany({ user: user._id });
+  await OtpCode.deleteMany({ user: user._id });
+  await User.deleteOne({ _id: user._id });
+
+  return true;
+};
+
+// Anonymise every account whose grace period is over
+const processDueDeletions = async () => {
+  const dueUsers = await User.find({
+    isActive: false,
+    'deletion.scheduledFor': { $lte: new Date() }
+  }).select('_id');
+
+  for (const { _id } of dueUsers) {
+    try {
+      await anonymiseUser(_id);
+    } catch (error) {
+      console.error(`Account anonymisation error for ${_id}:`, error);
+    }
+  }
+
+  return dueUsers.length;
+};
+
+module.exports = {
+  getGracePeriodDays,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  pseudonymiseId,
+  getTombstoneUser,
+  anonymiseUser,
+  processDueDeletions
+};
@@ -0,0 +1,97 @@
+const archiver = require('archiver');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const Comment = require('../models/Comment');
+const CheckIn = require('../models/CheckIn');
+const SavedPost = require('../models/SavedPost');
+const Collection = require('../models/Collection');
+const PollVote = require('../models/PollVote');
+const Story = require('../models/Story');
+const MediaUpload = require('../models/MediaUpload');
+const TripPlan = require('../models/TripPlan');
+const Notification = require('../models/Notification');
+const PointsTransaction = require('../models/PointsTransaction');
+const CouponRedemption = require('../models/CouponRedemption');
+
+// Collect everything we hold about a user into one plain object
+const buildUserExport = async (userId) => {
+  const [user, posts, comments, checkIns, savedPosts, collections, pollVotes, stories, videoUploads, tripPlans, notifications, pointsHistory, redemptions] = await Promise.all([
+    User.findById(userId)
+      .populate('followers', 'username fullName')
+      .populate('following', 'username fullName')
+      .populate('closeFriends', 'username fullName'),
+    Post.find({ author: userId }).sort({ createdAt: -1 }).lean(),
+    Comment.find({ author: userId }).sort({ createdAt: -1 }).lean(),
+    CheckIn.find({ user: userId })
+      .populate('place', 'name location.district category')
+      .sort({ createdAt: -1 })
+      .lean(),
+    SavedPost.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Collection.find({ owner: userId }).sort({ createdAt: -1 }).lean(),
+    PollVote.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Story.find({ author: userId }).sort({ createdAt: -1 }).lean(),
+    MediaUpload.find({ owner: userId }).select('-path').sort({ createdAt: -1 }).lean(),
+    TripPlan.find({ owner: userId }).sort({ createdAt: -1 }).lean(),
+    Notification.find({ recipient: userId }).sort({ createdAt: -1 }).lean(),
+    PointsTransaction.find({ user: userId }).sort({ timestamp: -1 }).lean(),
+    CouponRedemption.find({ user: userId })
+      .populate('coupon', 'title partner.name pointsCost')
+      .sort({ redeemedAt: -1 })
+      .lean()
+  ]);
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const postRevisions = await PostRevision.find({ post: { $in: posts.map(post => post._id) } })
+    .sort({ post: 1, revision: 1 })
+    .lean();
+
+  return {
+    exportedAt: new Date(),
+    profile: user.getPrivateProfile(),
+    posts,
+    postRevisions,
+    comments,
+    checkIns,
+    savedPosts,
+    collections,
+    pollVotes,
+    stories,
+    videoUploads,
+    tripPlans,
+    notifications,
+    pointsHistory,
+    redemptions
+  };
+};
+
+// Stream the export as a ZIP with one JSON file per section
+const writeExportZip = (data, output) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  archive.on('error', (error) => {
+    console.error('Export archive error:', error);
+    output.destroy(error);
+  });
+
+  archive.pipe(output);
+
+  const { exportedAt, ...sections } = data;
+  Object.entries(sections).forEach(([name, value]) => {
+    archive.append(JSON.stringify(value, null, 2), { name: `${name}.json` });
+  });
+  archive.append(
+    `Kerala Connect data export\nCreated: ${exportedAt.toISOString()}\n\nEach JSON file holds one section of your account data.\n`,
+    { name: 'README.txt' }
+  );
+
+  return archive.finalize();
+};
+
+module.exports = {
+  buildUserExport,
+  writeExportZip
+};
@@ -0,0 +1,304 @@
+const Post = require('../models/Post');
+const CheckIn = require('../models/CheckIn');
+const Place = require('../models/Place');
+const FeedSnapshot = require('../models/FeedSnapshot');
+const feedRanking = require('../config/feedRanking');
+const { calculateDistance, getBoundingBox } = require('../utils/geo');
+const { getAudience, withVisibility } = require('./postVisibility');
+
+// Ranked home feed. Each source returns { postId, reason } candidates; posts
+// found by several sources collect several reasons. Candidates are scored with
+// the active scoring function and returned best first, each with the reasons
+// it was included. The full ranking is stored as a snapshot when there is more
+// than one page, and later pages are read from it.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Posts by people the user follows, plus their own
+const getFollowingCandidates = async (user, { asOf, audience }) => {
+  const { limit, maxAgeDays } = feedRanking.sources.following;
+
+  const posts = await Post.find(withVisibility(Post.publishedFilter({
+    author: { $in: [...user.following, user._id] },
+    isActive: true,
+    createdAt: { $gte: new Date(asOf.getTime() - maxAgeDays * DAY_MS), $lte: asOf }
+  }), audience))
+  .sort({ createdAt: -1 })
+  .limit(limit)
+  .select('_id author');
+
+  return posts.map(post => ({
+    postId: post._id,
+    reason: post.author.equals(user._id) ? { type: 'own' } : { type: 'following' }
+  }));
+};
+
+// Posts trending across the app right now
+const getTrendingCandidates = async (user, { asOf }) => {
+  const { limit, timeframeHours } = feedRanking.sources.trending;
+
+  const posts = await Post.getTrendingPosts(limit, timeframeHours);
+
+  return posts
+    .filter(post => post.createdAt <= asOf)
+    .map(post => ({ postId: post._id, reason: { type: 'trending' } }));
+};
+
+// Public posts near places the user checked in at recently
+const getNearbyCandidates = async (user, { asOf }) => {
+  const { limit, radiusKm, checkInDays, maxCheckIns, maxAgeDays } = feedRanking.sources.nearby;
+
+  const checkIns = await CheckIn.find({
+    user: user._id,
+    createdAt: { $gte: new Date(asOf.getTime() - checkInDays * DAY_MS), $lte: asOf }
+  })
+  .sort({ createdAt: -1 })
+  .limit(maxCheckIns)
+  .populate('place', 'name location.coordinates');
+
+  const places = checkIns
+    .map(checkIn => checkIn.place)
+    .filter(place => place && place.location && place.location.coordinates);
+
+  const candidatesByPlace = await Promise.all(places.map(async (place) => {
+    const [longitude, latitude] = place.location.coordinates.coordinates;
+    const box = getBoundingBox(latitude, longitude, radiusKm);
+
+    const posts = await Post.find(Post.publishedFilter({
+      author: { $ne: user._id },
+      isActive: true,
+      visibility: 'public',
+      createdAt: { $gte: new Date(asOf.getTime() - maxAgeDays * DAY_MS), $lte: asOf },
+      'location.coordinates.latitude': { $gte: box.minLatitude, $lte: box.maxLatitude },
+      'location.coordinates.longitude': { $gte: box.minLongitude, $lte: box.maxLongitude }
+    }))
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select('_id location.coordinates');
+
+    return posts
+      .map(post => ({
+        post,
+        distanceKm: calculateDistance(
+          latitude,
+          longitude,
+          post.location.coordinates.latitude,
+          post.location.coordinates.longitude
+        )
+      }))
+      .filter(({ distanceKm }) => distanceKm <= radiusKm)
+      .map(({ post, distanceKm }) => ({
+        postId: post._id,
+        reason: { type: 'nearby', placeId: place._id, placeName: place.name, distanceKm }
+      }));
+  }));
+
+  return candidatesByPlace.flat();
+};
+
+// Public posts tagged at places on the user's wishlist
+const getWishlistCandidates = async (user, { asOf }) => {
+  const { limit, maxAgeDays } = feedRanking.sources.wishlist;
+  const placeIds = (user.wishlist || []).map(item => item.place);
+
+  if (placeIds.length === 0) return [];
+
+  const places = await Place.find({ _id: { $in: placeIds }, isActive: true }).select('name');
+  if (places.length === 0) return [];
+
+  const posts = await Post.find(Post.publishedFilter({
+    author: { $ne: user._id },
+    isActive: true,
+    visibility: 'public',
+    createdAt: { $gte: new Date(asOf.getTime() - maxAgeDays * DAY_MS), $lte: asOf },
+    place: { $in: places.map(place => place._id) }
+  }))
+  .sort({ createdAt: -1 })
+  .limit(limit)
+  .select('_id place');
+
+  return posts.map(post => {
+    const place = places.find(p => p._id.equals(post.place));
+    return {
+      postId: post._id,
+      reason: { type: 'wishlist', placeId: place._id, placeName: place.name }
+    };
+  });
+};
+
+// Public posts using hashtags the user follows
+const getFollowedTagCandidates = async (user, { asOf }) => {
+  const { limit, maxAgeDays } = feedRanking.sources.tags;
+  const followedTags = user.followedTags || [];
+
+  if (followedTags.length === 0) return [];
+
+  const posts = await Post.find(Post.publishedFilter({
+    author: { $ne: user._id },
+    isActive: true,
+    visibility: 'public',
+    createdAt: { $gte: new Date(asOf.getTime() - maxAgeDays * DAY_MS), $lte: asOf },
+    tags: { $in: followedTags }
+  }))
+  .sort({ createdAt: -1 })
+  .limit(limit)
+  .select('_id tags');
+
+  return posts.map(post => ({
+    postId: post._id,
+    reason: { type: 'tag', tag: post.tags.find(tag => followedTags.includes(tag)) }
+  }));
+};
+
+const candidateSources = [
+  getFollowingCandidates,
+  getTrendingCandidates,
+  getNearbyCandidates,
+  getWishlistCandidates,
+  getFollowedTagCandidates
+];
+
+// Default scoring: source weights plus an engagement bonus, decayed by age
+const defaultScore = (post, reasons, { weights, recencyHalfLifeHours, asOf }) => {
+  const sourceScore = reasons.reduce((sum, reason) => sum + (weights[reason.type] || 0), 0);
+
+  const interactions = post.likes.length * 2 + post.comments.length * 3 +
+    post.engagement.shares * 4 + post.engagement.views * 0.1;
+  const engagementScore = Math.log1p(interactions) * weights.engagement;
+
+  const ageHours = Math.max(asOf - post.createdAt, 0) / (60 * 60 * 1000);
+  const recency = Math.pow(0.5, ageHours / recencyHalfLifeHours);
+
+  return (sourceScore + engagementScore) * recency;
+};
+
+let scoreFunction = defaultScore;
+
+// Replace the scoring function: (post, reasons, { weights, recencyHalfLifeHours, asOf }) => number
+const setScoringFunction = (fn) => {
+  scoreFunction = fn || defaultScore;
+};
+
+// Human readable explanation for a reason
+const describeReason = (reason, post) => {
+  switch (reason.type) {
+    case 'own':
+      return 'Your post';
+    case 'following':
+      return `Because you follow @${post.author.username}`;
+    case 'trending':
+      return 'Trending on Kerala Connect';
+    case 'nearby':
+      return `Near ${reason.placeName}, where you checked in recently`;
+    case 'wishlist':
+      return `About ${reason.placeName} on your wishlist`;
+    case 'tag':
+      return `Because you follow #${reason.tag}`;
+    default:
+      return 'Suggested for you';
+  }
+};
+
+// Gather candidates from every source and rank them, best first
+const rankCandidates = async (user, { asOf, audience }) => {
+  const context = { asOf, audience };
+
+  const results = await Promise.all(candidateSources.map(source => source(user, context)));
+
+  // Merge candidates, collecting every reason a post was picked
+  const reasonsByPost = new Map();
+  results.flat().forEach(({ postId, reason }) => {
+    const key = postId.toString();
+    const reasons = reasonsByPost.get(key) || [];
+
+    if (!reasons.some(existing => existing.type === reason.type)) {
+      reasons.push(reason);
+    }
+    reasonsByPost.set(key, reasons);
+  });
+
+  // Sources only look for candidates; visibility is enforced on the final fetch
+  const posts = await Post.find(withVisibility(Post.publishedFilter({
+    _id: { $in: Array.from(reasonsByPost.keys()) },
+    isActive: true
+  }), audience))
+  .populate('author', '_id');
+
+  const scoringContext = {
+    weights: feedRanking.getWeights(),
+    recencyHalfLifeHours: feedRanking.recencyHalfLifeHours,
+    asOf
+  };
+
+  return posts
+    .filter(post => post.author)
+    .map(post => {
+      const reasons = reasonsByPost.get(post._id.toString());
+      return { post, reasons, score: scoreFunction(post, reasons, scoringContext) };
+    })
+    .sort((a, b) => b.score - a.score || b.post.createdAt - a.post.createdAt);
+};
+
+// Build one page of the ranked feed for a user. Without a snapshotId the feed
+// is ranked now; when there are more pages the ranking is saved and its ID
+// returned, and later pages pass it back to read from the same list.
+const getRankedFeed = async (user, { limit = 10, offset = 0, snapshotId = null } = {}) => {
+  const audience = await getAudience(user);
+
+  let entries;
+  let currentSnapshotId = snapshotId;
+
+  if (snapshotId) {
+    const snapshot = await FeedSnapshot.findOne({ _id: snapshotId, user: user._id });
+    if (!snapshot) {
+      throw new Error('Feed snapshot has expired');
+    }
+    entries = snapshot.entries;
+  } else {
+    const ranked = await rankCandidates(user, { asOf: new Date(), audience });
+    entries = ranked.map(({ post, reasons, score }) => ({ post: post._id, reasons, score }));
+
+    if (entries.length > offset + limit) {
+      const snapshot = await FeedSnapshot.create({
+        user: user._id,
+        entries,
+        expiresAt: new Date(Date.now() + feedRanking.snapshotTtlMinutes * 60 * 1000)
+      });
+      currentSnapshotId = snapshot._id;
+    }
+  }
+
+  const pageEntries = entries.slice(offset, offset + limit);
+
+  // Posts deleted or hidden from the user since the snapshot are left out
+  const posts = await Post.find(withVisibility(Post.publishedFilter({
+    _id: { $in: pageEntries.map(entry => entry.post) },
+    isActive: true
+  }), audience))
+  .populate('author', 'username fullName profilePicture');
+  await Post.populateReferences(posts);
+
+  const items = pageEntries
+    .map(({ post: postId, reasons, score }) => {
+      const post = posts.find(p => p._id.equals(postId));
+      if (!post || !post.author) return null;
+
+      return {
+        post,
+        score,
+        reasons: reasons.map(reason => ({ ...reason, message: describeReason(reason, post) }))
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    items,
+    hasMore: entries.length > offset + limit,
+    snapshotId: currentSnapshotId
+  };
+};
+
+module.exports = {
+  getRankedFeed,
+  defaultScore,
+  setScoringFunction
+};
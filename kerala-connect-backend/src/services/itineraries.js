@@ -0,0 +1,115 @@
+const Post = require('../models/Post');
+const Place = require('../models/Place');
+const TripPlan = require('../models/TripPlan');
+const { calculateDistance } = require('../utils/geo');
+const { resolveMedia } = require('./postMedia');
+const { canViewPost } = require('./postVisibility');
+
+// Itinerary posts and the trip plans cloned from them.
+// Distances are straight lines between consecutive stops (haversine), so they
+// understate road distance but need no routing service.
+
+// Fill in each stop's distance from the one before, plus the trip's totals
+const measureItinerary = (stops) => {
+  let totalDistanceKm = 0;
+
+  const measuredStops = stops.map((stop, index) => {
+    const previous = stops[index - 1];
+    const distanceFromPreviousKm = previous
+      ? calculateDistance(
+        previous.coordinates.latitude,
+        previous.coordinates.longitude,
+        stop.coordinates.latitude,
+        stop.coordinates.longitude
+      )
+      : 0;
+
+    totalDistanceKm += distanceFromPreviousKm;
+    return { ...stop, distanceFromPreviousKm };
+  });
+
+  return {
+    stops: measuredStops,
+    days: Math.max(...stops.map(stop => stop.day)),
+    totalDistanceKm: Math.round(totalDistanceKm * 100) / 100
+  };
+};
+
+// Build an itinerary from what the client sent. Stops at a place take its
+// name (unless given) and coordinates; photos are resolved like post media.
+const buildItinerary = async ({ title, stops }, userId) => {
+  const placeIds = stops.filter(stop => stop.placeId).map(stop => stop.placeId);
+  const places = placeIds.length > 0
+    ? await Place.find({ _id: { $in: placeIds }, isActive: true })
+    : [];
+
+  const builtStops = await Promise.all(stops.map(async (stop) => {
+    const photos = stop.photos
+      ? await resolveMedia(stop.photos.map(photo => ({ ...photo, type: 'image' })), userId)
+      : [];
+
+    const details = {
+      day: Number(stop.day),
+      notes: stop.notes,
+      photos
+    };
+
+    if (stop.placeId) {
+      const place = places.find(item => item._id.equals(stop.placeId));
+      if (!place) {
+        throw new Error('Place not found');
+      }
+
+      return {
+        place: place._id,
+        name: stop.name || place.name,
+        coordinates: place.toPostLocation().coordinates,
+        ...details
+      };
+    }
+
+    return {
+      place: null,
+      name: stop.name,
+      coordinates: {
+        latitude: Number(stop.coordinates.latitude),
+        longitude: Number(stop.coordinates.longitude)
+      },
+      ...details
+    };
+  }));
+
+  return { title, ...measureItinerary(builtStops) };
+};
+
+// Copy an itinerary post into the user's own trip plans
+const cloneItinerary = async (postId, user, { title } = {}) => {
+  const post = await Post.findById(postId);
+  if (!post || !post.isActive || !post.isPublished || post.type !== 'itinerary' || !(await canViewPost(post, user))) {
+    throw new Error('Itinerary not found');
+  }
+
+  const { itinerary } = post.toObject();
+
+  const tripPlan = await TripPlan.create({
+    owner: user._id,
+    title: title || itinerary.title,
+    stops: itinerary.stops,
+    days: itinerary.days,
+    totalDistanceKm: itinerary.totalDistanceKm,
+    sourcePost: post._id
+  });
+
+  // Authors copying their own trip don't count
+  if (!post.author.equals(user._id)) {
+    await Post.updateOne({ _id: post._id }, { $inc: { 'itinerary.clonesCount': 1 } });
+  }
+
+  return tripPlan;
+};
+
+module.exports = {
+  measureItinerary,
+  buildItinerary,
+  cloneItinerary
+};
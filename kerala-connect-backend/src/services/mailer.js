@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+
+// Mail transports. Each transport exposes send(message) and resolves once the
+// message has been handed off. Pick one with MAIL_TRANSPORT (console, file, smtp).
+const transports = {
+  // Print messages to stdout (default for development)
+  console: () => ({
+    send: async (message) => {
+      console.log(`
+📧 Email to: ${message.to}
+   Subject: ${message.subject}
+
+${message.text}
+      `);
+      return { accepted: [message.to] };
+    }
+  }),
+
+  // Write each message as a JSON file (default for tests, easy to inspect)
+  file: () => {
+    const outboxDir = process.env.MAIL_FILE_DIR || path.join(__dirname, '../../tmp/mail');
+
+    return {
+      send: async (message) => {
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+
+        const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+        const filePath = path.join(outboxDir, filename);
+        await fs.promises.writeFile(filePath, JSON.stringify({
+          ...message,
+          sentAt: new Date().toISOString()
+        }, null, 2));
+
+        return { accepted: [message.to], path: filePath };
+      }
+    };
+  },
+
+  // Deliver through an SMTP server (production)
+  smtp: () => {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+
+    return {
+      send: (message) => transporter.sendMail(message)
+    };
+  }
+};
+
+let activeTransport = null;
+
+const getDefaultTransportName = () => {
+  if (process.env.NODE_ENV === 'production') return 'smtp';
+  if (process.env.NODE_ENV === 'test') return 'file';
+  return 'console';
+};
+
+// Lazily create the configured transport
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || getDefaultTransportName();
+    const createTransport = transports[name];
+
+    if (!createTransport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    activeTransport = createTransport();
+  }
+
+  return activeTransport;
+};
+
+// Swap the transport at runtime (e.g. a custom provider or a test double)
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+// Send an email through the active transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'Kerala Connect <no-reply@keralaconnect.app>',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  return getTransport().send(message);
+};
+
+// Build a link into the app for use in emails
+const buildAppUrl = (pathname) => {
+  const baseUrl = process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:19006';
+  return `${baseUrl.replace(/\/$/, '')}${pathname}`;
+};
+
+// Send password reset instructions
+const sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+  const resetUrl = buildAppUrl(`/reset-password?token=${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Kerala Connect password',
+    text: `Hi ${user.fullName},
+
+We received a request to reset your Kerala Connect password.
+Use the link below to choose a new one. The link expires in ${expiresInMinutes} minutes and can only be used once.
+
+${resetUrl}
+
+If you didn't request this, you can safely ignore this email.`
+  });
+};
+
+// Send an email address verification link
+const sendVerificationEmail = (user, token) => {
+  const verifyUrl = buildAppUrl(`/verify-email?token=${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Kerala Connect email',
+    text: `Hi ${user.fullName},
+
+Welcome to Kerala Connect! Please confirm your email address using the link below.
+
+${verifyUrl}
+
+If you didn't create an account, you can safely ignore this email.`
+  });
+};
+
+// Send a link that unlocks an account locked after failed logins
+const sendAccountUnlockEmail = (user, token, lockUntil) => {
+  const unlockUrl = buildAppUrl(`/unlock-account?token=${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your Kerala Connect account has been locked',
+    text: `Hi ${user.fullName},
+
+We locked your Kerala Connect account after several failed sign-in attempts.
+It will unlock automatically at ${lockUntil.toUTCString()}, or you can unlock it now using the link below.
+
+${unlockUrl}
+
+If these attempts weren't you, consider changing your password after unlocking.`
+  });
+};
+
+// Send a link that confirms deleting an account that has no password
+const sendAccountDeletionEmail = (user, token, expiresInMinutes) => {
+  const confirmUrl = buildAppUrl(`/delete-account?token=${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm deleting your Kerala Connect account',
+    text: `Hi ${user.fullName},
+
+We received a request to delete your Kerala Connect account.
+Use the link below to confirm. The link expires in ${expiresInMinutes} minutes.
+
+${confirmUrl}
+
+If you didn't request this, you can safely ignore this email and your account will stay as it is.`
+  });
+};
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport,
+  buildAppUrl,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountUnlockEmail,
+  sendAccountDeletionEmail
+};
@@ -0,0 +1,42 @@
+const Notification = require('../models/Notification');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { canViewPost } = require('./postVisibility');
+
+// Notify users newly @mentioned in a post or comment.
+// Pass the mentions from before an edit so people already notified aren't notified again.
+// Only people who can see the post are notified.
+const notifyMentions = async (doc, { previousMentions = [] } = {}) => {
+  const previous = previousMentions.map(id => id.toString());
+  const mentioned = (doc.mentions || [])
+    .map(mention => mention._id || mention)
+    .filter(id => !previous.includes(id.toString()));
+
+  if (mentioned.length === 0) return [];
+
+  // Comments link to their post as well
+  const isComment = Boolean(doc.post);
+  const post = isComment
+    ? await Post.findById(doc.post._id || doc.post).select('author visibility')
+    : doc;
+
+  if (!post) return [];
+
+  const users = await User.find({ _id: { $in: mentioned } }).select('_id blockedUsers');
+  const allowed = await Promise.all(users.map(user => canViewPost(post, user)));
+  const recipients = users.filter((user, index) => allowed[index]).map(user => user._id);
+
+  if (recipients.length === 0) return [];
+
+  return Notification.insertMany(recipients.map(recipient => ({
+    recipient,
+    actor: doc.author._id || doc.author,
+    type: 'mention',
+    post: post._id,
+    comment: isComment ? doc._id : undefined
+  })));
+};
+
+module.exports = {
+  notifyMentions
+};
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const OtpCode = require('../models/OtpCode');
+const { sendOtpSms } = require('./sms');
+const { getStore } = require('./rateLimitStore');
+
+// SMS one-time codes: 6 digits, valid for OTP_EXPIRES_MINUTES, at most
+// OTP_MAX_ATTEMPTS guesses each, and a new code can only be requested every
+// OTP_RESEND_SECONDS per number and purpose.
+const CODE_DIGITS = 6;
+
+const getOtpSettings = () => ({
+  expiresInMinutes: parseInt(process.env.OTP_EXPIRES_MINUTES || '5'),
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS || '5'),
+  resendSeconds: parseInt(process.env.OTP_RESEND_SECONDS || '60')
+});
+
+// Keyed hash so a leaked table can't be brute forced (there are only 10^6 codes)
+const hashOtp = (phoneNumber, code) => {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(`${phoneNumber}:${code}`).digest('hex');
+};
+
+const generateOtp = () => {
+  return String(crypto.randomInt(0, 10 ** CODE_DIGITS)).padStart(CODE_DIGITS, '0');
+};
+
+const resendKey = (phoneNumber, purpose) => `otp:${purpose}:${phoneNumber}`;
+
+// Count a code request for the number. Throws an error with `retryAfter`
+// (seconds) if one was made too recently. Call it for every request, whether
+// or not the number is registered, so the throttle doesn't tell them apart.
+const throttleOtpRequest = async ({ phoneNumber, purpose }) => {
+  const { resendSeconds } = getOtpSettings();
+
+  const { count, resetAt } = await getStore().hit(resendKey(phoneNumber, purpose), resendSeconds * 1000);
+  if (count > 1) {
+    const error = new Error('Please wait before requesting another code');
+    error.retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+    throw error;
+  }
+};
+
+// Create a code and text it to the number (after throttleOtpRequest)
+const issueOtp = async ({ phoneNumber, purpose, userId }) => {
+  const { expiresInMinutes } = getOtpSettings();
+
+  // Only the newest code for a number and purpose works
+  await OtpCode.deleteMany({ phoneNumber, purpose });
+
+  const code = generateOtp();
+  const otp = await OtpCode.create({
+    phoneNumber,
+    purpose,
+    user: userId,
+    codeHash: hashOtp(phoneNumber, code),
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+  });
+
+  try {
+    await sendOtpSms(phoneNumber, code, expiresInMinutes);
+  } catch (smsError) {
+    // Don't block resends for a code that never arrived
+    await otp.deleteOne();
+    await getStore().reset(resendKey(phoneNumber, purpose));
+    throw smsError;
+  }
+
+  return { expiresInMinutes };
+};
+
+// Check a code. Returns the consumed OtpCode document, or null if the code is
+// wrong, expired or out of attempts. The attempt is counted and the code
+// consumed with conditional updates, so parallel guesses can't go over the
+// limit and a code can only be used once.
+const verifyOtp = async ({ phoneNumber, purpose, code }) => {
+  const { maxAttempts } = getOtpSettings();
+
+  const otp = await OtpCode.findOneAndUpdate(
+    {
+      phoneNumber,
+      purpose,
+      consumedAt: null,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: maxAttempts }
+    },
+    { $inc: { attempts: 1 } },
+    { new: true, sort: { createdAt: -1 } }
+  ).select('+codeHash');
+
+  if (!otp) {
+    return null;
+  }
+
+  const expected = Buffer.from(otp.codeHash);
+  const actual = Buffer.from(hashOtp(phoneNumber, String(code || '').trim()));
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return OtpCode.findOneAndUpdate(
+    { _id: otp._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  getOtpSettings,
+  throttleOtpRequest,
+  issueOtp,
+  verifyOtp
+};
@@ -0,0 +1,98 @@
+const Post = require('../models/Post');
+const PollVote = require('../models/PollVote');
+const { canViewPost } = require('./postVisibility');
+
+// Polls in posts.
+// Vote counts are only shown to users who have voted, and to everyone once
+// the poll has ended, so early results don't sway the vote. Every response
+// that carries posts goes through presentPolls to apply that.
+
+const isPollClosed = (poll) => Boolean(poll.endsAt) && poll.endsAt <= new Date();
+
+// The poll as the viewer may see it
+const formatPoll = (poll, vote) => {
+  const isClosed = isPollClosed(poll);
+  const showResults = isClosed || Boolean(vote);
+
+  return {
+    options: poll.options.map((option, index) => ({
+      index,
+      text: option.text,
+      ...(showResults && { votesCount: option.votesCount })
+    })),
+    allowMultiple: poll.allowMultiple,
+    endsAt: poll.endsAt || null,
+    isClosed,
+    hasVoted: Boolean(vote),
+    myVotes: vote ? vote.options : [],
+    ...(showResults && { votersCount: poll.votersCount })
+  };
+};
+
+// Replace the poll on poll posts with what the viewer may see.
+// Takes documents or plain objects; poll posts come back as plain objects.
+const presentPolls = async (posts, viewer) => {
+  const pollPosts = posts.filter(post => post.type === 'poll' && post.poll);
+  if (pollPosts.length === 0) return posts;
+
+  const votes = viewer
+    ? await PollVote.find({ user: viewer._id, post: { $in: pollPosts.map(post => post._id) } })
+    : [];
+
+  return posts.map(post => {
+    if (post.type !== 'poll' || !post.poll) return post;
+
+    const postObj = typeof post.toObject === 'function' ? post.toObject() : { ...post };
+    const vote = votes.find(item => item.post.equals(post._id));
+    postObj.poll = formatPoll(post.poll, vote);
+    return postObj;
+  });
+};
+
+// Vote on a poll. optionIndexes are positions in poll.options.
+const castVote = async (postId, user, optionIndexes) => {
+  const userId = user._id;
+
+  const post = await Post.findById(postId);
+  if (!post || !post.isActive || !post.isPublished || post.type !== 'poll' || !(await canViewPost(post, user))) {
+    throw new Error('Poll not found');
+  }
+
+  if (isPollClosed(post.poll)) {
+    throw new Error('Poll has ended');
+  }
+
+  const choices = [...new Set(optionIndexes.map(Number))];
+  if (choices.some(index => !Number.isInteger(index) || index < 0 || index >= post.poll.options.length)) {
+    throw new Error('Invalid poll option');
+  }
+
+  if (!post.poll.allowMultiple && choices.length > 1) {
+    throw new Error('This poll allows only one choice');
+  }
+
+  let vote;
+  try {
+    vote = await PollVote.create({ post: post._id, user: userId, options: choices });
+  } catch (error) {
+    // One vote per user, enforced by the unique index
+    if (error.code === 11000) {
+      throw new Error('Already voted on this poll');
+    }
+    throw error;
+  }
+
+  const increments = { 'poll.votersCount': 1 };
+  choices.forEach(index => {
+    increments[`poll.options.${index}.votesCount`] = 1;
+  });
+
+  const updated = await Post.findByIdAndUpdate(post._id, { $inc: increments }, { new: true });
+
+  return formatPoll(updated.poll, vote);
+};
+
+module.exports = {
+  presentPolls,
+  castVote
+};
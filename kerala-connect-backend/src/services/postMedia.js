@@ -0,0 +1,50 @@
+const MediaUpload = require('../models/MediaUpload');
+
+// Build a post's media list from what the client sent.
+// Photos are given by URL ({ type: 'image', url }) or by the uploadId from
+// POST /api/upload/post/single, and videos by the uploadId of a video the user
+// uploaded, which must have finished processing. Each item can also carry
+// width, height, altText, caption and blurhash.
+
+// Media items for posts that only send `images`
+const mediaFromImages = (images = []) => images.map(url => ({ type: 'image', url }));
+
+// The photo URLs in a media list, kept in `images` for older clients
+const imagesFromMedia = (media) => media.filter(item => item.type === 'image').map(item => item.url);
+
+// What the client says about an item; measured values from the upload win
+const describeItem = ({ width, height, altText, caption, blurhash }) => ({ width, height, altText, caption, blurhash });
+
+const resolveMedia = async (items, userId) => {
+  const uploadIds = items.filter(item => item.uploadId).map(item => item.uploadId);
+  const uploads = uploadIds.length > 0
+    ? await MediaUpload.find({ _id: { $in: uploadIds }, owner: userId })
+    : [];
+
+  return items.map(item => {
+    const details = describeItem(item);
+
+    if (item.type !== 'video' && !item.uploadId) {
+      return { type: 'image', url: item.url, ...details };
+    }
+
+    const upload = uploads.find(doc => doc._id.equals(item.uploadId));
+    if (!upload || upload.kind !== item.type) {
+      throw new Error(item.type === 'video' ? 'Video not found' : 'Upload not found');
+    }
+    if (upload.status === 'processing') {
+      throw new Error('Video is still processing');
+    }
+    if (upload.status === 'failed') {
+      throw new Error('Video could not be processed');
+    }
+
+    return { ...details, ...upload.toMediaItem() };
+  });
+};
+
+module.exports = {
+  mediaFromImages,
+  imagesFromMedia,
+  resolveMedia
+};
@@ -0,0 +1,84 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Place = require('../models/Place');
+const { notifyMentions } = require('./notificationService');
+
+// Publishing drafts and scheduled posts.
+// Everything that should only happen once a post goes live (points for the
+// author, the place's post count, mention notifications) lives here, so it runs
+// exactly once whether a post is published on creation, by its author or by the scheduler.
+const BATCH_SIZE = parseInt(process.env.SCHEDULED_POSTS_BATCH_SIZE || '100');
+
+// Award the author, bump the tagged place and notify mentioned users once a post is live
+const onPostPublished = async (post) => {
+  const author = await User.findById(post.author);
+  if (author) {
+    await author.addPoints(5, 'Post created');
+  }
+
+  // Count the post towards the place it is tagged at
+  if (post.place) {
+    await Place.adjustPostsCount(post.place, 1);
+  }
+
+  await notifyMentions(post);
+};
+
+// Publish a draft or scheduled post now.
+// Returns the updated post, or null if it was already published (e.g. by the
+// scheduler a moment earlier) so rewards are never given twice.
+const publishPost = async (postId) => {
+  const now = new Date();
+
+  // Feeds, trending and cursors all order by createdAt, so a post takes its
+  // publish time as its creation time. createdAt is immutable in Mongoose,
+  // hence the driver-level update.
+  const result = await Post.collection.updateOne(
+    { _id: postId, status: { $in: ['draft', 'scheduled'] }, isActive: true },
+    {
+      $set: { status: 'published', publishedAt: now, createdAt: now, updatedAt: now },
+      $unset: { publishAt: '' }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    return null;
+  }
+
+  const post = await Post.findById(postId);
+  await onPostPublished(post);
+
+  return post;
+};
+
+// Publish scheduled posts whose time has come
+const processDueScheduledPosts = async () => {
+  const duePosts = await Post.find({
+    status: 'scheduled',
+    publishAt: { $lte: new Date() },
+    isActive: true
+  })
+  .sort({ publishAt: 1 })
+  .limit(BATCH_SIZE)
+  .select('_id');
+
+  let published = 0;
+
+  for (const { _id } of duePosts) {
+    try {
+      if (await publishPost(_id)) {
+        published += 1;
+      }
+    } catch (error) {
+      console.error(`Scheduled post publish error for ${_id}:`, error);
+    }
+  }
+
+  return published;
+};
+
+module.exports = {
+  onPostPublished,
+  publishPost,
+  processDueScheduledPosts
+};
@@ -0,0 +1,100 @@
+const User = require('../models/User');
+
+// Who can see a post:
+//   public         everyone
+//   followers      mutual followers: users who follow the author and are
+//                  followed back (a one-way follow is not enough)
+//   close_friends  users on the author's close friends list
+//   private        only the author
+// Authors always see their own posts, and nobody sees posts across a block in
+// either direction. Every read of posts goes through here: list queries add
+// withVisibility() to their filter, already loaded posts are checked with
+// isVisibleTo(), and single posts with canViewPost().
+
+const sameId = (a, b) => String(a) === String(b);
+const includesId = (ids, id) => ids.some(item => sameId(item, id));
+const getAuthorId = (post) => post.author && (post.author._id || post.author);
+
+// Work out which restricted audiences the viewer belongs to, once per request.
+// Pass `authors` to only look at those authors (e.g. for a single post).
+// Anonymous viewers get null and only see public posts.
+const getAudience = async (viewer, { authors } = {}) => {
+  if (!viewer) return null;
+
+  const viewerId = viewer._id;
+  const scope = authors ? { _id: { $in: authors } } : {};
+
+  const [mutualFollows, closeFriendOf, blockedBy] = await Promise.all([
+    User.find({ ...scope, followers: viewerId, following: viewerId }).distinct('_id'),
+    User.find({ ...scope, closeFriends: viewerId }).distinct('_id'),
+    User.find({ ...scope, blockedUsers: viewerId }).distinct('_id')
+  ]);
+
+  return {
+    viewerId,
+    mutualFollows,
+    closeFriendOf,
+    blocked: [...(viewer.blockedUsers || []), ...blockedBy]
+  };
+};
+
+// Query conditions matching the posts the audience may see
+const visibilityFilter = (audience) => {
+  if (!audience) return { visibility: 'public' };
+
+  return {
+    author: { $nin: audience.blocked },
+    $or: [
+      { author: audience.viewerId },
+      { visibility: 'public' },
+      { visibility: 'followers', author: { $in: audience.mutualFollows } },
+      { visibility: 'close_friends', author: { $in: audience.closeFriendOf } }
+    ]
+  };
+};
+
+// Add the visibility conditions to a post filter. Other conditions stay at the
+// top level, since some operators ($near) can't be nested.
+const withVisibility = (filter, audience) => ({
+  ...filter,
+  $and: [...(filter.$and || []), visibilityFilter(audience)]
+});
+
+// Whether a loaded post (author populated or not) is visible to the audience
+const isVisibleTo = (post, audience) => {
+  const authorId = getAuthorId(post);
+  if (!authorId) return false;
+  if (!audience) return post.visibility === 'public';
+
+  if (includesId(audience.blocked, authorId)) return false;
+  if (sameId(authorId, audience.viewerId)) return true;
+
+  switch (post.visibility) {
+    case 'public':
+      return true;
+    case 'followers':
+      return includesId(audience.mutualFollows, authorId);
+    case 'close_friends':
+      return includesId(audience.closeFriendOf, authorId);
+    default:
+      return false;
+  }
+};
+
+// Whether the viewer (a user or null) may see a single post.
+// Only the audience is checked; callers still check isActive and drafts.
+const canViewPost = async (post, viewer) => {
+  const authorId = getAuthorId(post);
+  if (!authorId) return false;
+
+  const audience = await getAudience(viewer, { authors: [authorId] });
+  return isVisibleTo(post, audience);
+};
+
+module.exports = {
+  getAudience,
+  visibilityFilter,
+  withVisibility,
+  isVisibleTo,
+  canViewPost
+};
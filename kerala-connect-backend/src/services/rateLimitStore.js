@@ -0,0 +1,117 @@
+// Rate limit stores. Every store implements:
+//   hit(key, windowMs)  -> { count, resetAt }  count a hit in the current window
+//   reset(key)                                  forget a key (e.g. after a successful login)
+// Pick one with RATE_LIMIT_STORE (memory, mongo, redis). Memory is per-process and
+// resets on restart, so use mongo or redis when running more than one instance.
+
+// In-process store (default, fine for development and single instances)
+const createMemoryStore = () => {
+  const hits = new Map();
+
+  // Drop expired windows now and then so the map doesn't grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((value, key) => {
+      if (value.resetAt <= now) hits.delete(key);
+    });
+  }, 60 * 1000);
+  cleanup.unref();
+
+  return {
+    hit: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = hits.get(key);
+
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+    reset: async (key) => {
+      hits.delete(key);
+    }
+  };
+};
+
+// MongoDB store (shared across instances, no extra infrastructure)
+const createMongoStore = () => {
+  const RateLimit = require('../models/RateLimit');
+
+  return {
+    hit: async (key, windowMs) => {
+      const entry = await RateLimit.hit(key, windowMs);
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    reset: async (key) => {
+      await RateLimit.deleteOne({ key });
+    }
+  };
+};
+
+// Redis store (shared across instances, fastest)
+const createRedisStore = () => {
+  const { createClient } = require('redis');
+  const client = createClient({ url: process.env.REDIS_URL });
+  const ready = client.connect();
+
+  client.on('error', (err) => {
+    console.error('Rate limit Redis error:', err);
+  });
+
+  return {
+    hit: async (key, windowMs) => {
+      await ready;
+      const [count] = await client.multi()
+        .incr(key)
+        .pExpire(key, windowMs, 'NX')
+        .exec();
+      const ttl = await client.pTTL(key);
+
+      return { count, resetAt: new Date(Date.now() + Math.max(ttl, 0)) };
+    },
+    reset: async (key) => {
+      await ready;
+      await client.del(key);
+    }
+  };
+};
+
+const storeFactories = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+  redis: createRedisStore
+};
+
+let activeStore = null;
+
+// Lazily create the configured store
+const getStore = () => {
+  if (!activeStore) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const createStore = storeFactories[name];
+
+    if (!createStore) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+
+    activeStore = createStore();
+  }
+
+  return activeStore;
+};
+
+// Swap the store at runtime (e.g. a custom store or a test double)
+const setStore = (store) => {
+  activeStore = store;
+};
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  createRedisStore,
+  getStore,
+  setStore
+};
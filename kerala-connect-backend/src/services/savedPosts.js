@@ -0,0 +1,91 @@
+const Post = require('../models/Post');
+const SavedPost = require('../models/SavedPost');
+const Collection = require('../models/Collection');
+const { applyCursor, buildPage } = require('../utils/pagination');
+const { presentPolls } = require('./polls');
+const { getAudience, isVisibleTo, canViewPost } = require('./postVisibility');
+
+// Save a post for a user, optionally filing it into some of their collections.
+// Saving an already saved post into new collections just adds the collections.
+const savePost = async (user, postId, collectionIds = []) => {
+  const userId = user._id;
+
+  const post = await Post.findById(postId);
+  if (!post || !post.isActive || !post.isPublished || !(await canViewPost(post, user))) {
+    throw new Error('Post not found');
+  }
+
+  if (collectionIds.length > 0) {
+    const owned = await Collection.countDocuments({ _id: { $in: collectionIds }, owner: userId });
+    if (owned !== new Set(collectionIds.map(String)).size) {
+      throw new Error('Collection not found');
+    }
+  }
+
+  const existing = await SavedPost.findOne({ user: userId, post: post._id });
+
+  if (existing) {
+    const newCollections = collectionIds.filter(id => !existing.collections.some(c => c.toString() === String(id)));
+    if (newCollections.length === 0) {
+      throw new Error('Post already saved');
+    }
+
+    existing.collections.push(...newCollections);
+    return existing.save();
+  }
+
+  try {
+    return await SavedPost.create({ user: userId, post: post._id, collections: collectionIds });
+  } catch (error) {
+    // Saved twice at the same moment
+    if (error.code === 11000) {
+      throw new Error('Post already saved');
+    }
+    throw error;
+  }
+};
+
+// One page of saved posts matching `filter`, newest save first.
+// Posts deleted or hidden since they were saved are left out.
+const listSavedPosts = async (filter, pagination, viewer) => {
+  const results = await SavedPost.find(applyCursor(filter, pagination))
+    .populate({
+      path: 'post',
+      populate: { path: 'author', select: 'username fullName profilePicture' }
+    })
+    .sort(pagination.sort)
+    .skip(pagination.skip)
+    .limit(pagination.limit + 1);
+
+  const { data, pagination: pageInfo } = buildPage(results, pagination);
+  await Post.populateReferences(data.map(item => item.post).filter(Boolean));
+
+  // Leave out posts deleted or hidden from the viewer since they were saved
+  const audience = await getAudience(viewer);
+  const visible = data.filter(({ post }) =>
+    post && post.isActive && post.isPublished && post.author && isVisibleTo(post, audience)
+  );
+  const savedIds = viewer
+    ? await SavedPost.getSavedPostIds(viewer._id, visible.map(item => item.post._id))
+    : new Set();
+
+  const posts = visible.map(item => {
+    const postObj = item.post.toObject();
+    postObj.savedAt = item.createdAt;
+    if (viewer && item.user.equals(viewer._id)) {
+      postObj.collections = item.collections;
+    }
+    if (viewer) {
+      postObj.isLiked = item.post.isLikedBy(viewer._id);
+      postObj.isSaved = savedIds.has(item.post._id.toString());
+    }
+    return postObj;
+  });
+
+  return { data: await presentPolls(posts, viewer), pagination: pageInfo };
+};
+
+module.exports = {
+  savePost,
+  listSavedPosts
+};
@@ -0,0 +1,67 @@
+// Minimal in-process scheduler for recurring background jobs.
+// Each job runs every `intervalMs`; a run is skipped if the previous one is
+// still going, and errors are logged instead of crashing the server.
+const jobs = new Map();
+
+// Register and start a recurring job
+const scheduleJob = (name, intervalMs, task, { runImmediately = false } = {}) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job already scheduled: ${name}`);
+  }
+
+  const job = { name, intervalMs, running: false, lastRunAt: null, timer: null };
+
+  const run = async () => {
+    if (job.running) return;
+
+    job.running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Scheduled job "${name}" error:`, error);
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+  };
+
+  job.run = run;
+  job.timer = setInterval(run, intervalMs);
+  job.timer.unref();
+  jobs.set(name, job);
+
+  if (runImmediately) {
+    run();
+  }
+
+  return job;
+};
+
+// Stop a job (or every job when no name is given)
+const stopJob = (name) => {
+  const names = name ? [name] : Array.from(jobs.keys());
+
+  names.forEach(jobName => {
+    const job = jobs.get(jobName);
+    if (job) {
+      clearInterval(job.timer);
+      jobs.delete(jobName);
+    }
+  });
+};
+
+// Run a job right away, outside its normal interval
+const runJobNow = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  await job.run();
+};
+
+module.exports = {
+  scheduleJob,
+  stopJob,
+  runJobNow
+};
@@ -0,0 +1,137 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+const getRefreshTokenTtlMs = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30');
+  return days * 24 * 60 * 60 * 1000;
+};
+
+// Generate a short-lived access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so we can find the session without a lookup by hash
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+    return null;
+  }
+
+  return { sessionId, secret };
+};
+
+// Pull client details off the request for the session record
+const getClientInfo = (req) => {
+  const userAgent = (req.get('user-agent') || '').slice(0, 500);
+  const deviceName = (req.body && req.body.deviceName) || req.get('x-device-name') || null;
+
+  return {
+    userAgent,
+    ipAddress: req.ip || (req.connection && req.connection.remoteAddress),
+    deviceName: deviceName ? String(deviceName).slice(0, 100) : null
+  };
+};
+
+// Start a new session and issue its first token pair
+const createSession = async (user, req) => {
+  const secret = generateRandomToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+    ...getClientInfo(req)
+  });
+
+  return {
+    session,
+    token: generateAccessToken(user._id, session._id),
+    refreshToken: buildRefreshToken(session._id, secret)
+  };
+};
+
+// Exchange a refresh token for a new token pair. Each refresh token works once;
+// presenting an old one means it leaked, so the whole session is revoked.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new Error('Invalid refresh token');
+  }
+
+  const secret = generateRandomToken();
+  const clientInfo = getClientInfo(req);
+  const now = new Date();
+
+  // Swap the hash only if the presented token is still the current one, so two
+  // requests racing with the same token can't both get a new pair
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: hashToken(parsed.secret),
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + getRefreshTokenTtlMs()),
+        ...(clientInfo.userAgent && { userAgent: clientInfo.userAgent }),
+        ...(clientInfo.ipAddress && { ipAddress: clientInfo.ipAddress })
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(parsed.sessionId);
+
+    if (!existing || !existing.isActive) {
+      throw new Error('Invalid refresh token');
+    }
+
+    // The session is live but the token isn't its current one: it was already used
+    await existing.revoke('reuse_detected');
+    throw new Error('Refresh token reuse detected');
+  }
+
+  return {
+    session,
+    token: generateAccessToken(session.user, session._id),
+    refreshToken: buildRefreshToken(session._id, secret)
+  };
+};
+
+// Look up the session an access token belongs to, if it's still usable
+const findActiveSession = async (sessionId) => {
+  if (!sessionId) return null;
+
+  const session = await Session.findById(sessionId);
+  return session && session.isActive ? session : null;
+};
+
+// Record session activity, at most once a minute to keep writes down
+const touchSession = async (session) => {
+  if (Date.now() - session.lastUsedAt.getTime() < 60 * 1000) return;
+
+  session.lastUsedAt = new Date();
+  await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: session.lastUsedAt } });
+};
+
+module.exports = {
+  generateAccessToken,
+  createSession,
+  rotateSession,
+  findActiveSession,
+  touchSession
+};
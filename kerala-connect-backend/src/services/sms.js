@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+
+// SMS adapters. Each adapter exposes send(message) where message is
+// { to, body } and resolves once the provider has accepted it. Pick a built-in
+// one with SMS_ADAPTER (console, file) or plug in a real provider (Twilio,
+// MSG91, ...) with setAdapter() at startup.
+const adapters = {
+  // Print messages to stdout (default for development)
+  console: () => ({
+    send: async (message) => {
+      console.log(`
+📱 SMS to: ${message.to}
+
+${message.body}
+      `);
+      return { accepted: [message.to] };
+    }
+  }),
+
+  // Write each message as a JSON file (default for tests, easy to inspect)
+  file: () => {
+    const outboxDir = process.env.SMS_FILE_DIR || path.join(__dirname, '../../tmp/sms');
+
+    return {
+      send: async (message) => {
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+
+        const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+        const filePath = path.join(outboxDir, filename);
+        await fs.promises.writeFile(filePath, JSON.stringify({
+          ...message,
+          sentAt: new Date().toISOString()
+        }, null, 2));
+
+        return { accepted: [message.to], path: filePath };
+      }
+    };
+  }
+};
+
+let activeAdapter = null;
+
+// Production has no stand-in: codes must never end up in logs
+const getDefaultAdapterName = () => {
+  if (process.env.NODE_ENV === 'production') return null;
+  if (process.env.NODE_ENV === 'test') return 'file';
+  return 'console';
+};
+
+// Lazily create the configured adapter
+const getAdapter = () => {
+  if (!activeAdapter) {
+    const name = process.env.SMS_ADAPTER || getDefaultAdapterName();
+
+    if (!name) {
+      throw new Error('No SMS adapter configured');
+    }
+
+    const createAdapter = adapters[name];
+    if (!createAdapter) {
+      throw new Error(`Unknown SMS adapter: ${name}`);
+    }
+
+    activeAdapter = createAdapter();
+  }
+
+  return activeAdapter;
+};
+
+// Swap the adapter at runtime (e.g. a real provider or a test double)
+const setAdapter = (adapter) => {
+  activeAdapter = adapter;
+};
+
+// Send an SMS through the active adapter
+const sendSms = async ({ to, body }) => {
+  return getAdapter().send({ to, body });
+};
+
+// Send a one-time login/verification code
+const sendOtpSms = (phoneNumber, code, expiresInMinutes) => {
+  return sendSms({
+    to: phoneNumber,
+    body: `${code} is your Kerala Connect code. It expires in ${expiresInMinutes} minutes. Don't share it with anyone.`
+  });
+};
+
+module.exports = {
+  sendSms,
+  getAdapter,
+  setAdapter,
+  sendOtpSms
+};
@@ -0,0 +1,50 @@
+const path = require('path');
+const fs = require('fs');
+const Story = require('../models/Story');
+
+// Story photos are uploaded to uploads/stories, but MongoDB drops expired
+// stories itself (TTL index), so nothing is notified when they go. This job
+// removes photos older than a story's lifetime that no active story uses,
+// which covers expired and deleted stories as well as uploads never posted.
+const STORIES_DIR = path.join(__dirname, '../../uploads/stories');
+const STORY_LIFETIME_HOURS = parseInt(process.env.STORY_LIFETIME_HOURS || '24');
+
+const removeExpiredStoryImages = async () => {
+  const cutoff = Date.now() - STORY_LIFETIME_HOURS * 60 * 60 * 1000;
+
+  let filenames;
+  try {
+    filenames = await fs.promises.readdir(STORIES_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  const oldFiles = [];
+  for (const filename of filenames) {
+    const stats = await fs.promises.stat(path.join(STORIES_DIR, filename)).catch(() => null);
+    if (stats && stats.isFile() && stats.mtimeMs < cutoff) {
+      oldFiles.push(filename);
+    }
+  }
+
+  if (oldFiles.length === 0) return 0;
+
+  // Image URLs include the host they were uploaded through, so compare file names
+  const activeImages = await Story.find(Story.activeFilter()).distinct('image');
+  const inUse = new Set(activeImages.map(url => path.basename(url)));
+
+  let removed = 0;
+  for (const filename of oldFiles) {
+    if (inUse.has(filename)) continue;
+
+    await fs.promises.unlink(path.join(STORIES_DIR, filename)).catch(() => {});
+    removed += 1;
+  }
+
+  return removed;
+};
+
+module.exports = {
+  removeExpiredStoryImages
+};
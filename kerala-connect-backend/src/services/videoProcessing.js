@@ -0,0 +1,128 @@
+const path = require('path');
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const MediaUpload = require('../models/MediaUpload');
+
+// Processing of uploaded videos.
+// Uploads are stored straight away as `processing`; a background job then reads
+// their duration and dimensions with ffprobe, rejects videos over the length
+// limit and grabs a poster frame with ffmpeg. Both binaries must be installed
+// locally (FFMPEG_PATH / FFPROBE_PATH if they aren't on the PATH).
+const execFileAsync = promisify(execFile);
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const MAX_VIDEO_DURATION_SECONDS = parseInt(process.env.MAX_VIDEO_DURATION_SECONDS || '60');
+const BATCH_SIZE = parseInt(process.env.VIDEO_PROCESSING_BATCH_SIZE || '5');
+const COMMAND_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Duration, dimensions and codec of the first video stream
+const probeVideo = async (filePath) => {
+  const { stdout } = await execFileAsync(FFPROBE_PATH, [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-show_entries', 'stream=width,height,codec_name:format=duration',
+    '-of', 'json',
+    filePath
+  ], { timeout: COMMAND_TIMEOUT_MS });
+
+  const { streams = [], format = {} } = JSON.parse(stdout);
+  const stream = streams[0];
+  if (!stream) {
+    return null;
+  }
+
+  return {
+    duration: parseFloat(format.duration),
+    width: stream.width,
+    height: stream.height,
+    codec: stream.codec_name
+  };
+};
+
+// Save the frame at `atSeconds` as a JPEG
+const extractPoster = async (filePath, posterPath, atSeconds) => {
+  await execFileAsync(FFMPEG_PATH, [
+    '-y',
+    '-ss', String(atSeconds),
+    '-i', filePath,
+    '-frames:v', '1',
+    '-q:v', '3',
+    posterPath
+  ], { timeout: COMMAND_TIMEOUT_MS });
+};
+
+// Mark an upload as failed and remove the file, which can't be used
+const failUpload = async (upload, reason) => {
+  upload.status = 'failed';
+  upload.error = reason;
+  upload.processedAt = new Date();
+  await upload.save();
+
+  await fs.promises.unlink(upload.path).catch(() => {});
+};
+
+// Check one video and give it a poster frame
+const processVideo = async (upload) => {
+  let metadata;
+  try {
+    metadata = await probeVideo(upload.path);
+  } catch (error) {
+    // A missing binary is a setup problem, not a bad video: leave it to retry
+    if (error.code === 'ENOENT') throw error;
+    metadata = null;
+  }
+
+  if (!metadata || !Number.isFinite(metadata.duration)) {
+    return failUpload(upload, 'File is not a readable video');
+  }
+
+  if (metadata.duration > MAX_VIDEO_DURATION_SECONDS) {
+    return failUpload(upload, `Video is longer than ${MAX_VIDEO_DURATION_SECONDS} seconds`);
+  }
+
+  const { name } = path.parse(upload.filename);
+  const posterFilename = `${name}-poster.jpg`;
+
+  // One second in, or halfway through very short clips
+  await extractPoster(upload.path, path.join(path.dirname(upload.path), posterFilename), Math.min(1, metadata.duration / 2));
+
+  upload.poster = upload.url.replace(/[^/]+$/, posterFilename);
+  upload.metadata = metadata;
+  upload.status = 'ready';
+  upload.processedAt = new Date();
+  await upload.save();
+};
+
+// Process waiting videos, oldest first
+const processPendingVideos = async () => {
+  const pending = await MediaUpload.find({ kind: 'video', status: 'processing' })
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let processed = 0;
+
+  for (const upload of pending) {
+    try {
+      await processVideo(upload);
+      processed += 1;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('ffmpeg/ffprobe not found; set FFMPEG_PATH and FFPROBE_PATH');
+      }
+
+      console.error(`Video processing error for ${upload._id}:`, error);
+      await failUpload(upload, 'Video could not be processed');
+    }
+  }
+
+  return processed;
+};
+
+module.exports = {
+  MAX_VIDEO_DURATION_SECONDS,
+  probeVideo,
+  processVideo,
+  processPendingVideos
+};
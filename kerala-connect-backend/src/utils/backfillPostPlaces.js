@@ -0,0 +1,123 @@
+// Link existing posts to places and recount every place's posts.
+//
+//   npm run backfill-post-places
+//   npm run backfill-post-places -- --radius=500 --dry-run
+//
+// Posts without a place are tagged at the closest active place within the
+// radius (metres, default 1000) of their coordinates. Afterwards each place's
+// stats.postsCount is recomputed from its published, active posts, so running
+// it again is safe.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Place = require('../models/Place');
+
+const DEFAULT_RADIUS_METERS = 1000;
+
+const parseArgs = (args) => {
+  const radiusArg = args.find(arg => arg.startsWith('--radius='));
+
+  return {
+    radius: radiusArg ? parseInt(radiusArg.split('=')[1]) : DEFAULT_RADIUS_METERS,
+    dryRun: args.includes('--dry-run')
+  };
+};
+
+// Tag unlinked posts with the nearest place
+const linkPostsToPlaces = async ({ radius, dryRun }) => {
+  const cursor = Post.find({
+    place: null,
+    type: { $ne: 'repost' },
+    'location.coordinates.latitude': { $ne: null },
+    'location.coordinates.longitude': { $ne: null }
+  })
+  .select('_id location.coordinates')
+  .cursor();
+
+  let scanned = 0;
+  let linked = 0;
+
+  for await (const post of cursor) {
+    scanned += 1;
+    const { latitude, longitude } = post.location.coordinates;
+
+    const place = await Place.findOne({
+      'location.coordinates': {
+        $near: {
+          $geometry: { type: 'Point', coordinates: [longitude, latitude] },
+          $maxDistance: radius
+        }
+      },
+      isActive: true
+    }).select('_id');
+
+    if (place) {
+      linked += 1;
+      if (!dryRun) {
+        await Post.updateOne({ _id: post._id }, { $set: { place: place._id } });
+      }
+    }
+  }
+
+  return { scanned, linked };
+};
+
+// Set stats.postsCount to the number of live posts at each place
+const recountPlacePosts = async ({ dryRun }) => {
+  const counts = await Post.aggregate([
+    { $match: Post.publishedFilter({ place: { $ne: null }, isActive: true }) },
+    { $group: { _id: '$place', count: { $sum: 1 } } }
+  ]);
+
+  const countByPlace = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+  const places = await Place.find().select('_id stats.postsCount');
+
+  const updates = places
+    .filter(place => place.stats.postsCount !== (countByPlace.get(place._id.toString()) || 0))
+    .map(place => ({
+      updateOne: {
+        filter: { _id: place._id },
+        update: { $set: { 'stats.postsCount': countByPlace.get(place._id.toString()) || 0 } }
+      }
+    }));
+
+  if (!dryRun && updates.length > 0) {
+    await Place.bulkWrite(updates);
+  }
+
+  return { places: places.length, corrected: updates.length };
+};
+
+const backfillPostPlaces = async (options) => {
+  const links = await linkPostsToPlaces(options);
+  const counts = await recountPlacePosts(options);
+
+  return { ...links, ...counts };
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (Number.isNaN(options.radius) || options.radius <= 0) {
+    console.log('Usage: npm run backfill-post-places -- [--radius=<metres>] [--dry-run]');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const result = await backfillPostPlaces(options);
+    console.log(`${options.dryRun ? '[dry run] ' : ''}Linked ${result.linked} of ${result.scanned} posts within ${options.radius}m. Corrected post counts on ${result.corrected} of ${result.places} places.`);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = backfillPostPlaces;
@@ -0,0 +1,38 @@
+// Geographic helpers shared by places, posts and the feed
+
+// Calculate the distance between two coordinates in kilometers (haversine formula)
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Radius of the Earth in kilometers
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  const distance = R * c; // Distance in kilometers
+  return Math.round(distance * 100) / 100; // Round to 2 decimal places
+}
+
+function toRadians(degrees) {
+  return degrees * (Math.PI / 180);
+}
+
+// Latitude/longitude ranges that contain every point within radiusKm of a point.
+// Use it to narrow a query before checking exact distances.
+function getBoundingBox(latitude, longitude, radiusKm) {
+  const latDelta = radiusKm / 111.32;
+  const lonDelta = radiusKm / (111.32 * Math.max(Math.cos(toRadians(latitude)), 0.01));
+
+  return {
+    minLatitude: latitude - latDelta,
+    maxLatitude: latitude + latDelta,
+    minLongitude: longitude - lonDelta,
+    maxLongitude: longitude + lonDelta
+  };
+}
+
+module.exports = {
+  calculateDistance,
+  getBoundingBox
+};
@@ -0,0 +1,66 @@
+// Grant or revoke a role from the command line.
+//
+//   npm run grant-role -- <email|username> <role>
+//   npm run grant-role -- <email|username> <role> --revoke
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLES } = require('../config/permissions');
+
+const printUsage = () => {
+  console.log('Usage: npm run grant-role -- <email|username> <role> [--revoke]');
+  console.log(`Roles: ${ROLES.join(', ')}`);
+};
+
+const grantRole = async (identifier, role, revoke = false) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role "${role}". Valid roles: ${ROLES.join(', ')}`);
+  }
+
+  const user = await User.findOne({
+    $or: [
+      { email: identifier.toLowerCase() },
+      { username: identifier.toLowerCase() }
+    ]
+  });
+
+  if (!user) {
+    throw new Error(`User "${identifier}" not found`);
+  }
+
+  const update = revoke
+    ? { $pull: { roles: role } }
+    : { $addToSet: { roles: role } };
+
+  const updated = await User.findByIdAndUpdate(user._id, update, { new: true });
+  return updated;
+};
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const revoke = args.includes('--revoke');
+  const [identifier, role] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!identifier || !role) {
+    printUsage();
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const user = await grantRole(identifier, role, revoke);
+    console.log(`${revoke ? 'Revoked' : 'Granted'} "${role}" ${revoke ? 'from' : 'to'} ${user.username}. Roles: ${user.roles.join(', ') || 'none'}`);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = grantRole;
@@ -0,0 +1,22 @@
+// @username parsing for posts and comments.
+// Usernames are 3-30 letters, digits or underscores. An @ directly after a
+// word character (e.g. an email address) is not a mention.
+const MENTION_REGEX = /(^|[^\w@])@([a-zA-Z0-9_]{3,30})(?![\w])/g;
+const MAX_MENTIONS = 20;
+
+// Get the unique, lowercased usernames mentioned in a text
+const extractMentions = (text) => {
+  if (!text) return [];
+
+  const usernames = new Set();
+  for (const match of text.matchAll(MENTION_REGEX)) {
+    usernames.add(match[2].toLowerCase());
+    if (usernames.size === MAX_MENTIONS) break;
+  }
+
+  return Array.from(usernames);
+};
+
+module.exports = {
+  extractMentions
+};
@@ -0,0 +1,121 @@
+// Move posts over to structured media items.
+//
+//   npm run migrate-post-media
+//   npm run migrate-post-media -- --dry-run
+//
+// Posts that only have `images` (bare URL strings) get one image item per URL,
+// linked to its upload when the photo was uploaded here. Video items saved
+// before items carried an uploadId are linked to their upload by URL.
+// Posts already migrated are left alone, so running it again is safe.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const MediaUpload = require('../models/MediaUpload');
+
+const BATCH_SIZE = 500;
+
+// Upload IDs by URL for the given URLs
+const findUploadIds = async (urls) => {
+  if (urls.length === 0) return new Map();
+
+  const uploads = await MediaUpload.find({ url: { $in: urls } }).select('_id url');
+  return new Map(uploads.map(upload => [upload.url, upload._id]));
+};
+
+// The post's media items, or null if nothing needs to change
+const migrateMedia = (post, uploadIds) => {
+  if (!post.media || post.media.length === 0) {
+    if (!post.images || post.images.length === 0) return null;
+
+    return post.images.map(url => ({
+      type: 'image',
+      url,
+      ...(uploadIds.has(url) && { uploadId: uploadIds.get(url) })
+    }));
+  }
+
+  const needsLink = post.media.some(item => !item.uploadId && uploadIds.has(item.url));
+  if (!needsLink) return null;
+
+  return post.media.map(item => (
+    !item.uploadId && uploadIds.has(item.url) ? { ...item, uploadId: uploadIds.get(item.url) } : item
+  ));
+};
+
+const migrateBatch = async (posts, { dryRun }) => {
+  const urls = posts.flatMap(post => (
+    post.media && post.media.length > 0 ? post.media.map(item => item.url) : post.images || []
+  ));
+  const uploadIds = await findUploadIds(urls);
+
+  const updates = posts
+    .map(post => ({ post, media: migrateMedia(post, uploadIds) }))
+    .filter(({ media }) => media)
+    .map(({ post, media }) => ({
+      updateOne: {
+        filter: { _id: post._id },
+        update: { $set: { media } }
+      }
+    }));
+
+  if (!dryRun && updates.length > 0) {
+    await Post.bulkWrite(updates);
+  }
+
+  return updates.length;
+};
+
+const migratePostMedia = async (options) => {
+  // Raw documents, so old posts without a media field are seen as they are stored
+  const cursor = Post.find({
+    $or: [
+      { 'images.0': { $exists: true } },
+      { media: { $elemMatch: { uploadId: null } } }
+    ]
+  })
+  .select('_id images media')
+  .lean()
+  .cursor();
+
+  let scanned = 0;
+  let migrated = 0;
+  let batch = [];
+
+  for await (const post of cursor) {
+    scanned += 1;
+    batch.push(post);
+
+    if (batch.length === BATCH_SIZE) {
+      migrated += await migrateBatch(batch, options);
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    migrated += await migrateBatch(batch, options);
+  }
+
+  return { scanned, migrated };
+};
+
+const run = async () => {
+  const options = { dryRun: process.argv.slice(2).includes('--dry-run') };
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const result = await migratePostMedia(options);
+    console.log(`${options.dryRun ? '[dry run] ' : ''}Migrated media on ${result.migrated} of ${result.scanned} posts.`);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = migratePostMedia;
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+// Cursor (keyset) pagination helpers.
+// A cursor is an opaque base64url string holding the sort values of the last
+// item on a page. The next page continues strictly after it, so items added or
+// removed in the meantime don't cause duplicates or gaps. Requests without a
+// cursor fall back to page/limit so older clients keep working.
+const DEFAULT_SORT = { createdAt: -1, _id: -1 };
+const MAX_LIMIT = 100;
+
+const getValue = (item, path) => {
+  if (typeof item.get === 'function') return item.get(path);
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), item);
+};
+
+// Dates and ObjectIds don't survive JSON on their own, so tag them
+const serializeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value && value._bsontype === 'ObjectId') return { o: value.toString() };
+  return value;
+};
+
+// Only plain values and tagged dates/ObjectIds are accepted, so a crafted
+// cursor can't smuggle query operators (e.g. { $gt: '' }) into the filter
+const deserializeValue = (value) => {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+    return value;
+  }
+
+  const keys = value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+
+  if (keys.length === 1 && keys[0] === 'd' && typeof value.d === 'string') {
+    const date = new Date(value.d);
+    if (!Number.isNaN(date.getTime())) return date;
+  }
+
+  if (keys.length === 1 && keys[0] === 'o' && /^[a-f0-9]{24}$/i.test(value.o)) {
+    return new mongoose.Types.ObjectId(value.o);
+  }
+
+  throw new Error('Invalid cursor');
+};
+
+// Build the cursor pointing just after `item` for the given sort
+const encodeCursor = (sort, item) => {
+  const payload = {
+    k: Object.keys(sort),
+    v: Object.keys(sort).map(path => serializeValue(getValue(item, path)))
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Decode a cursor, or return null if it isn't one of ours
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (!Array.isArray(payload.k) || !Array.isArray(payload.v) || payload.k.length !== payload.v.length) {
+      return null;
+    }
+
+    return {
+      keys: payload.k,
+      values: payload.v.map(deserializeValue)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read limit and cursor/page from the query string.
+// Throws 'Invalid cursor' if the cursor is malformed or was made for another sort.
+const getPaginationOptions = (query, { defaultLimit = 10, sort = DEFAULT_SORT } = {}) => {
+  const limit = Math.min(parseInt(query.limit) || defaultLimit, MAX_LIMIT);
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    const sortKeys = Object.keys(sort);
+
+    if (!cursor || cursor.keys.join(',') !== sortKeys.join(',')) {
+      throw new Error('Invalid cursor');
+    }
+
+    return { limit, sort, skip: 0, cursor: cursor.values, page: null };
+  }
+
+  const page = parseInt(query.page) || 1;
+  return { limit, sort, skip: (page - 1) * limit, cursor: null, page };
+};
+
+// Add the "after the cursor" condition to a filter
+const applyCursor = (filter, { sort, cursor }) => {
+  if (!cursor) return filter;
+
+  const fields = Object.keys(sort);
+  const after = fields.map((field, index) => {
+    const condition = {};
+
+    fields.slice(0, index).forEach((previous, previousIndex) => {
+      condition[previous] = cursor[previousIndex];
+    });
+    condition[field] = { [sort[field] < 0 ? '$lt' : '$gt']: cursor[index] };
+
+    return condition;
+  });
+
+  return { $and: [filter, { $or: after }] };
+};
+
+// Trim the extra item fetched to detect more results and build the pagination block.
+// Queries should fetch `limit + 1` items.
+const buildPage = (items, { limit, sort, page }) => {
+  const hasMore = items.length > limit;
+  const data = hasMore ? items.slice(0, limit) : items;
+
+  return {
+    data,
+    pagination: {
+      ...(page && { page }),
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sort, data[data.length - 1]) : null
+    }
+  };
+};
+
+// Ranked lists can't use keyset cursors (scores aren't a stored field), so they
+// page by offset through a stored snapshot of the ranking
+const encodeSnapshotCursor = ({ snapshotId, offset }) => {
+  return Buffer.from(JSON.stringify({ s: snapshotId.toString(), o: offset })).toString('base64url');
+};
+
+// Decode a snapshot cursor, or return null if it isn't one of ours
+const decodeSnapshotCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (!/^[a-f0-9]{24}$/i.test(payload.s) || !Number.isInteger(payload.o) || payload.o < 0) {
+      return null;
+    }
+
+    return { snapshotId: payload.s, offset: payload.o };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  DEFAULT_SORT,
+  encodeCursor,
+  decodeCursor,
+  getPaginationOptions,
+  applyCursor,
+  buildPage,
+  encodeSnapshotCursor,
+  decodeSnapshotCursor
+};
@@ -0,0 +1,31 @@
+// Phone numbers are stored in E.164 format (e.g. +919876543210).
+// Numbers without a country code are treated as Indian mobile numbers.
+const E164_REGEX = /^\+[1-9]\d{7,14}$/;
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_PHONE_COUNTRY_CODE || '91';
+
+// Normalise user input to E.164, or return null if it isn't a valid number
+const normalizePhoneNumber = (input) => {
+  if (typeof input !== 'string') return null;
+
+  let phone = input.replace(/[\s\-().]/g, '');
+
+  if (phone.startsWith('00')) {
+    phone = `+${phone.slice(2)}`;
+  } else if (!phone.startsWith('+')) {
+    // Local format: drop a trunk prefix 0 and add the default country code
+    phone = `+${DEFAULT_COUNTRY_CODE}${phone.replace(/^0/, '')}`;
+  }
+
+  return E164_REGEX.test(phone) ? phone : null;
+};
+
+// Show only the last digits, e.g. in responses about where a code was sent
+const maskPhoneNumber = (phone) => {
+  return `${phone.slice(0, 3)}******${phone.slice(-3)}`;
+};
+
+module.exports = {
+  E164_REGEX,
+  normalizePhoneNumber,
+  maskPhoneNumber
+};
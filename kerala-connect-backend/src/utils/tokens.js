@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Generate a random URL-safe token to hand out to the user
+const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Hash a token before storing it so a database leak doesn't expose usable tokens
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Sign a short-lived token that can only be used for one purpose
+const signPurposeToken = (purpose, payload, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, process.env.JWT_SECRET, { expiresIn });
+};
+
+// Verify a purpose token, rejecting tokens minted for anything else
+const verifyPurposeToken = (purpose, token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== purpose) {
+    const error = new Error('Token purpose mismatch');
+    error.name = 'JsonWebTokenError';
+    throw error;
+  }
+
+  return decoded;
+};
+
+// AES-256-GCM key for values handed to clients that they must not be able to read
+const getEncryptionKey = () => {
+  return crypto.createHash('sha256').update(`token-encryption:${process.env.JWT_SECRET}`).digest();
+};
+
+// Encrypt a string into "<iv>.<tag>.<ciphertext>" (base64url)
+const encryptValue = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+// Decrypt a value from encryptValue. Throws if it was tampered with.
+const decryptValue = (value) => {
+  const [iv, tag, ciphertext] = String(value || '').split('.').map(part => Buffer.from(part, 'base64url'));
+  if (!iv || !tag || !ciphertext) {
+    throw new Error('Invalid encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  generateRandomToken,
+  hashToken,
+  signPurposeToken,
+  verifyPurposeToken,
+  encryptValue,
+  decryptValue
+};
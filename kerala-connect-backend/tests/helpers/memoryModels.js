@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const OtpCode = require('../../src/models/OtpCode');
+
+// Keep users, sessions and SMS codes in memory instead of MongoDB. Model
+// statics and save() are replaced with jest spies that read and write the
+// arrays below, supporting just the queries and updates the auth flows make.
+// Documents are real Mongoose documents, so virtuals and instance methods
+// behave as usual.
+
+const sameValue = (actual, expected) => {
+  if (expected === null) {
+    return actual === null || actual === undefined;
+  }
+  if (actual instanceof mongoose.Types.ObjectId || expected instanceof mongoose.Types.ObjectId) {
+    return String(actual) === String(expected);
+  }
+  return actual === expected;
+};
+
+const operators = {
+  $in: (actual, options) => options.some(option => sameValue(actual, option)),
+  $gt: (actual, value) => actual !== null && actual !== undefined && actual > value,
+  $gte: (actual, value) => actual !== null && actual !== undefined && actual >= value,
+  $lt: (actual, value) => actual !== null && actual !== undefined && actual < value
+};
+
+const isOperatorObject = (value) => Boolean(value) && typeof value === 'object' &&
+  Object.keys(value).length > 0 && Object.keys(value).every(key => key in operators);
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, expected]) => {
+  if (key === '$or') {
+    return expected.some(condition => matches(doc, condition));
+  }
+
+  const actual = doc.get(key);
+
+  if (expected && expected.$elemMatch) {
+    return (actual || []).some(item => matches(item, expected.$elemMatch));
+  }
+
+  const matchesValue = isOperatorObject(expected)
+    ? value => Object.entries(expected).every(([operator, operand]) => operators[operator](value, operand))
+    : value => sameValue(value, expected);
+
+  return Array.isArray(actual) ? actual.some(matchesValue) : matchesValue(actual);
+});
+
+const applyUpdate = (doc, { $set = {}, $inc = {} }) => {
+  Object.entries($set).forEach(([path, value]) => doc.set(path, value));
+  Object.entries($inc).forEach(([path, amount]) => doc.set(path, (doc.get(path) || 0) + amount));
+};
+
+// Newest first by the single field in `sort` (all the flows need)
+const sortDocs = (docs, sort) => {
+  if (!sort) return docs;
+
+  const [[field, direction]] = Object.entries(sort);
+  return [...docs].sort((a, b) => (a.get(field) - b.get(field)) * direction);
+};
+
+// A chainable stand-in for a Mongoose query
+const query = (run) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    sort: () => chain,
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+  };
+  return chain;
+};
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// Back a model with an array. `checkUnique(doc, docs)` stands in for unique indexes.
+const useCollection = (Model, { checkUnique = () => {} } = {}) => {
+  const docs = [];
+
+  const findAll = (filter = {}, sort) => sortDocs(docs.filter(doc => matches(doc, filter)), sort);
+  const findFirst = (filter, sort) => findAll(filter, sort)[0] || null;
+
+  const save = async (doc) => {
+    checkUnique(doc, docs);
+    if (doc.schema.path('createdAt') && !doc.get('createdAt')) doc.set('createdAt', new Date());
+    if (!docs.includes(doc)) docs.push(doc);
+    return doc;
+  };
+
+  jest.spyOn(Model, 'find').mockImplementation((filter) => {
+    const chain = query(() => findAll(filter));
+    chain.distinct = field => query(() => findAll(filter).map(doc => doc.get(field)));
+    return chain;
+  });
+  jest.spyOn(Model, 'findOne').mockImplementation(filter => query(() => findFirst(filter)));
+  jest.spyOn(Model, 'findById').mockImplementation(id => query(() => findFirst({ _id: id })));
+  jest.spyOn(Model, 'exists').mockImplementation(filter => query(() => {
+    const doc = findFirst(filter);
+    return doc ? { _id: doc._id } : null;
+  }));
+  jest.spyOn(Model, 'create').mockImplementation(async (data) => {
+    const doc = new Model(data);
+    await doc.validate();
+    return save(doc);
+  });
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update, options = {}) => query(() => {
+    const doc = findFirst(filter, options.sort);
+    if (doc) applyUpdate(doc, update);
+    return doc;
+  }));
+  jest.spyOn(Model, 'updateOne').mockImplementation(async (filter, update) => {
+    const doc = findFirst(filter);
+    if (doc) applyUpdate(doc, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  jest.spyOn(Model, 'deleteMany').mockImplementation(async (filter) => {
+    const removed = findAll(filter);
+    removed.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+    return { deletedCount: removed.length };
+  });
+  jest.spyOn(Model.prototype, 'save').mockImplementation(function() {
+    return save(this);
+  });
+  jest.spyOn(Model.prototype, 'deleteOne').mockImplementation(async function() {
+    if (docs.includes(this)) docs.splice(docs.indexOf(this), 1);
+    return { deletedCount: 1 };
+  });
+
+  return docs;
+};
+
+const useMemoryModels = () => {
+  // The unique indexes on username, email and linked identities
+  const users = useCollection(User, {
+    checkUnique: (doc, docs) => {
+      const clash = docs.find(user => user !== doc && (
+        user.username === doc.username ||
+        user.email === doc.email ||
+        doc.identities.some(identity => user.findIdentity(identity.provider, identity.subject))
+      ));
+      if (clash) throw duplicateKeyError();
+    }
+  });
+  const sessions = useCollection(Session);
+  const otpCodes = useCollection(OtpCode);
+
+  jest.spyOn(User.prototype, 'addPoints').mockResolvedValue();
+
+  return {
+    users,
+    sessions,
+    otpCodes,
+
+    // Add a user straight to the store
+    addUser: (data) => {
+      const user = new User(data);
+      users.push(user);
+      return user;
+    }
+  };
+};
+
+module.exports = useMemoryModels;
@@ -0,0 +1,137 @@
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// A minimal OpenID Connect provider for tests: discovery, JWKS, and a token
+// endpoint that checks the PKCE verifier and returns an RS256 ID token echoing
+// the nonce. Tests stand in for the user's browser with authorize(), which
+// approves an authorization URL and returns the code the provider would
+// redirect back with.
+const createMockOidcIssuer = ({ clientId, clientSecret }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'test-key';
+  const codes = new Map();
+  let issuerUrl = null;
+
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const readForm = (req) => new Promise((resolve) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(raw)));
+  });
+
+  const checkClient = (req, form) => {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Basic ')) {
+      const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+      return id === clientId && secret === clientSecret;
+    }
+    return form.get('client_id') === clientId && form.get('client_secret') === clientSecret;
+  };
+
+  const handleToken = async (req, res) => {
+    const form = await readForm(req);
+
+    if (!checkClient(req, form)) {
+      return sendJson(res, 401, { error: 'invalid_client' });
+    }
+
+    const pending = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+
+    if (!pending || pending.redirectUri !== form.get('redirect_uri')) {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+    if (challenge !== pending.codeChallenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign({
+      nonce: pending.nonce,
+      ...pending.claims
+    }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer: issuerUrl,
+      audience: clientId,
+      expiresIn: '5m'
+    });
+
+    sendJson(res, 200, {
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  };
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, issuerUrl);
+
+    if (req.method === 'GET' && pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: issuerUrl,
+        authorization_endpoint: `${issuerUrl}/authorize`,
+        token_endpoint: `${issuerUrl}/token`,
+        jwks_uri: `${issuerUrl}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post']
+      });
+    }
+
+    if (req.method === 'GET' && pathname === '/jwks') {
+      return sendJson(res, 200, {
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }]
+      });
+    }
+
+    if (req.method === 'POST' && pathname === '/token') {
+      return handleToken(req, res);
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  });
+
+  return {
+    get url() {
+      return issuerUrl;
+    },
+
+    start: () => new Promise((resolve) => {
+      server.listen(0, '127.0.0.1', () => {
+        issuerUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve(issuerUrl);
+      });
+    }),
+
+    stop: () => new Promise(resolve => server.close(resolve)),
+
+    // Approve an authorization URL as the given provider account. Returns the
+    // parameters the provider would redirect back with. Claims are copied into
+    // the ID token and can override the echoed nonce.
+    authorize: (authorizationUrl, claims) => {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(16).toString('hex');
+
+      codes.set(code, {
+        claims,
+        nonce: params.get('nonce'),
+        codeChallenge: params.get('code_challenge'),
+        redirectUri: params.get('redirect_uri')
+      });
+
+      return { code, state: params.get('state') };
+    }
+  };
+};
+
+module.exports = createMockOidcIssuer;
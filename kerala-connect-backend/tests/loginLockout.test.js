@@ -0,0 +1,152 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const authRoutes = require('../src/routes/auth');
+const { maxFailedAttempts, getLockoutMinutes } = require('../src/config/accountLockout');
+const { createMemoryStore, setStore } = require('../src/services/rateLimitStore');
+const { setTransport } = require('../src/services/mailer');
+const useMemoryModels = require('./helpers/memoryModels');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const MINUTE = 60 * 1000;
+
+let db;
+let sentMail;
+
+const addUser = (data = {}) => db.addUser({
+  username: 'anu',
+  email: 'anu@example.com',
+  password: bcrypt.hashSync('password123', 4),
+  fullName: 'Anu K',
+  ...data
+});
+
+const logIn = (password) => request(app)
+  .post('/api/auth/login')
+  .send({ email: 'anu@example.com', password });
+
+const failLogins = async (count) => {
+  const responses = [];
+  for (let i = 0; i < count; i++) {
+    responses.push(await logIn('wrong-password'));
+  }
+  return responses;
+};
+
+// Minutes from now until the account unlocks
+const minutesLocked = user => (user.loginSecurity.lockUntil.getTime() - Date.now()) / MINUTE;
+
+beforeEach(() => {
+  db = useMemoryModels();
+  setStore(createMemoryStore());
+  sentMail = [];
+  setTransport({ send: async (message) => { sentMail.push(message); } });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('login lockout', () => {
+  test('locks the account on the last allowed failed attempt', async () => {
+    const user = addUser();
+
+    const responses = await failLogins(maxFailedAttempts);
+    const last = responses.pop();
+
+    responses.forEach(res => {
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Invalid credentials');
+    });
+
+    expect(last.status).toBe(429);
+    expect(last.body.code).toBe('ACCOUNT_LOCKED');
+    expect(Number(last.headers['retry-after'])).toBeGreaterThan(getLockoutMinutes(0) * 60 - 5);
+    expect(minutesLocked(user)).toBeCloseTo(getLockoutMinutes(0), 0);
+    expect(user.loginSecurity.lockCount).toBe(1);
+    expect(user.loginSecurity.failedAttempts).toBe(0);
+  });
+
+  test('counts failed attempts one short of the limit without locking', async () => {
+    const user = addUser();
+
+    await failLogins(maxFailedAttempts - 1);
+
+    expect(user.isLocked).toBe(false);
+    expect(user.loginSecurity.failedAttempts).toBe(maxFailedAttempts - 1);
+  });
+
+  test('refuses the right password while the account is locked', async () => {
+    addUser();
+    await failLogins(maxFailedAttempts);
+
+    const res = await logIn('password123');
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('ACCOUNT_LOCKED');
+  });
+
+  test('a successful login resets the failed attempts', async () => {
+    const user = addUser();
+    await failLogins(maxFailedAttempts - 1);
+
+    await logIn('password123').expect(200);
+    expect(user.loginSecurity.failedAttempts).toBe(0);
+
+    const res = await logIn('wrong-password');
+    expect(res.status).toBe(401);
+    expect(user.loginSecurity.failedAttempts).toBe(1);
+  });
+
+  test('doubles the lockout each time, up to the maximum', async () => {
+    const user = addUser({ loginSecurity: { lockCount: 2 } });
+
+    await failLogins(maxFailedAttempts);
+
+    expect(minutesLocked(user)).toBeCloseTo(getLockoutMinutes(2), 0);
+    expect(getLockoutMinutes(2)).toBe(getLockoutMinutes(0) * 4);
+    expect(getLockoutMinutes(20)).toBe(24 * 60);
+  });
+
+  test('allows logging in again once the lock has expired', async () => {
+    const user = addUser();
+    await failLogins(maxFailedAttempts);
+
+    user.loginSecurity.lockUntil = new Date(Date.now() - 1000);
+
+    await logIn('password123').expect(200);
+    expect(user.loginSecurity.lockCount).toBe(0);
+  });
+
+  test('emails an unlock link that unlocks the account', async () => {
+    const user = addUser();
+    await failLogins(maxFailedAttempts);
+
+    expect(sentMail).toHaveLength(1);
+    expect(sentMail[0].to).toBe('anu@example.com');
+    const [, token] = sentMail[0].text.match(/unlock-account\?token=(\S+)/);
+
+    await request(app).get(`/api/auth/unlock/${token}`).expect(200);
+
+    expect(user.isLocked).toBe(false);
+    expect(user.loginSecurity.lockCount).toBe(0);
+    await logIn('password123').expect(200);
+  });
+
+  test('an unlock link stops working once the lock has changed', async () => {
+    const user = addUser();
+    await failLogins(maxFailedAttempts);
+    const [, token] = sentMail[0].text.match(/unlock-account\?token=(\S+)/);
+
+    user.loginSecurity.lockUntil = new Date(Date.now() + 60 * MINUTE);
+
+    const res = await request(app).get(`/api/auth/unlock/${token}`).expect(400);
+    expect(res.body.error).toBe('Unlock link is invalid or has expired');
+  });
+});
@@ -0,0 +1,367 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.OIDC_PROVIDERS = 'mock';
+process.env.OIDC_MOCK_CLIENT_ID = 'kerala-connect';
+process.env.OIDC_MOCK_CLIENT_SECRET = 'client-secret';
+process.env.OIDC_MOCK_REDIRECT_URI = 'http://localhost:19006/auth/callback/mock';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const authRoutes = require('../src/routes/auth');
+const { createSession } = require('../src/services/sessionService');
+const useMemoryModels = require('./helpers/memoryModels');
+const createMockOidcIssuer = require('./helpers/mockOidcIssuer');
+
+const issuer = createMockOidcIssuer({ clientId: 'kerala-connect', clientSecret: 'client-secret' });
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+let db;
+
+const providerAccount = (overrides = {}) => ({
+  sub: 'mock-user-1',
+  email: 'anu@example.com',
+  email_verified: true,
+  name: 'Anu K',
+  ...overrides
+});
+
+// Start a sign-in (or a link, with an access token), approve it at the issuer
+// as `account` and post the code back, like the app does after the redirect.
+// The callback is sent with `callbackToken` if given, else with `accessToken`.
+const signInWithProvider = async (account, { accessToken, callbackToken } = {}) => {
+  const start = accessToken
+    ? request(app).get('/api/auth/identities/mock/link').set('Authorization', `Bearer ${accessToken}`)
+    : request(app).get('/api/auth/oidc/mock/authorize');
+  const { body: { data } } = await start.expect(200);
+
+  const { code, state } = issuer.authorize(data.authorizationUrl, account);
+
+  const token = callbackToken === undefined ? accessToken : callbackToken;
+  const callback = request(app).post('/api/auth/oidc/mock/callback');
+  if (token) callback.set('Authorization', `Bearer ${token}`);
+
+  return callback.send({ code, state, loginToken: data.loginToken });
+};
+
+const signIn = async (user) => {
+  const { token } = await createSession(user, { get: () => undefined, body: {}, ip: '127.0.0.1' });
+  return token;
+};
+
+const addPasswordUser = (data = {}) => db.addUser({
+  username: 'anu',
+  email: 'anu@example.com',
+  password: bcrypt.hashSync('password123', 4),
+  fullName: 'Anu K',
+  ...data
+});
+
+beforeAll(async () => {
+  process.env.OIDC_MOCK_ISSUER = await issuer.start();
+});
+
+afterAll(() => issuer.stop());
+
+beforeEach(() => {
+  db = useMemoryModels();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('OIDC sign-in', () => {
+  test('discovers the issuer and starts an authorization code request with PKCE', async () => {
+    const res = await request(app).get('/api/auth/oidc/mock/authorize').expect(200);
+    const { authorizationUrl, state, loginToken, redirectUri } = res.body.data;
+    const params = new URL(authorizationUrl).searchParams;
+
+    expect(authorizationUrl.startsWith(`${issuer.url}/authorize?`)).toBe(true);
+    expect(params.get('client_id')).toBe('kerala-connect');
+    expect(params.get('response_type')).toBe('code');
+    expect(params.get('scope')).toBe('openid email profile');
+    expect(params.get('state')).toBe(state);
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('code_challenge')).toBeTruthy();
+    expect(params.get('nonce')).toBeTruthy();
+    expect(redirectUri).toBe(process.env.OIDC_MOCK_REDIRECT_URI);
+
+    // The nonce and PKCE verifier travel encrypted inside the login token
+    const payload = jwt.decode(loginToken);
+    expect(payload.state).toBe(state);
+    expect(payload).not.toHaveProperty('nonce');
+    expect(payload).not.toHaveProperty('codeVerifier');
+    expect(loginToken).not.toContain(params.get('nonce'));
+  });
+
+  test('returns 404 for a provider that is not configured', async () => {
+    await request(app).get('/api/auth/oidc/unknown/authorize').expect(404);
+  });
+
+  test('asks a new user for a username, then creates the account with the identity linked', async () => {
+    const res = await signInWithProvider(providerAccount());
+    expect(res.status).toBe(200);
+
+    expect(res.body.data.usernameRequired).toBe(true);
+    expect(res.body.data.suggestedUsername).toBe('anu');
+
+    const signup = await request(app)
+      .post('/api/auth/oidc/signup')
+      .send({ signupToken: res.body.data.signupToken, username: 'anu_k' })
+      .expect(201);
+
+    expect(signup.body.data.token).toBeTruthy();
+    expect(signup.body.data.refreshToken).toBeTruthy();
+    expect(db.users).toHaveLength(1);
+
+    const [user] = db.users;
+    expect(user.username).toBe('anu_k');
+    expect(user.hasPassword).toBe(false);
+    expect(user.isEmailVerified).toBe(true);
+    expect(user.findIdentity('mock', 'mock-user-1')).toBeTruthy();
+  });
+
+  test('logs in a user whose identity is already linked', async () => {
+    const user = addPasswordUser({
+      identities: [{ provider: 'mock', subject: 'mock-user-1', email: 'anu@example.com' }]
+    });
+
+    const res = await signInWithProvider(providerAccount());
+    expect(res.status).toBe(200);
+
+    expect(res.body.message).toBe('Login successful');
+    expect(res.body.data.token).toBeTruthy();
+    expect(res.body.data.user._id).toBe(user._id.toString());
+    expect(user.findIdentity('mock', 'mock-user-1').lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  test('links the identity to the account with the same verified email', async () => {
+    const user = addPasswordUser();
+
+    const res = await signInWithProvider(providerAccount());
+    expect(res.status).toBe(200);
+
+    expect(user.findIdentity('mock', 'mock-user-1')).toBeTruthy();
+  });
+
+  test('does not link to an existing account when the provider has not verified the email', async () => {
+    const user = addPasswordUser();
+
+    const res = await signInWithProvider(providerAccount({ email_verified: false }));
+    expect(res.status).toBe(400);
+
+    expect(res.body.error).toBe('Your provider account has no verified email address');
+    expect(user.identities).toHaveLength(0);
+  });
+
+  test('asks for the second factor when the account has 2FA enabled', async () => {
+    addPasswordUser({
+      identities: [{ provider: 'mock', subject: 'mock-user-1' }],
+      twoFactor: { enabled: true }
+    });
+
+    const res = await signInWithProvider(providerAccount());
+    expect(res.status).toBe(200);
+
+    expect(res.body.data.twoFactorRequired).toBe(true);
+    expect(res.body.data.token).toBeUndefined();
+  });
+
+  test('rejects a callback whose state does not match the login token', async () => {
+    const { body: { data } } = await request(app).get('/api/auth/oidc/mock/authorize');
+    const { code } = issuer.authorize(data.authorizationUrl, providerAccount());
+
+    const res = await request(app)
+      .post('/api/auth/oidc/mock/callback')
+      .send({ code, state: 'other-state', loginToken: data.loginToken })
+      .expect(401);
+
+    expect(res.body.error).toBe('Sign-in request is invalid or has expired');
+  });
+
+  test('rejects a login token whose encrypted part was tampered with', async () => {
+    const { body: { data } } = await request(app).get('/api/auth/oidc/mock/authorize');
+    const { code, state } = issuer.authorize(data.authorizationUrl, providerAccount());
+    const payload = jwt.decode(data.loginToken);
+    const forged = jwt.sign({ ...payload, secrets: 'a.b.c' }, process.env.JWT_SECRET);
+
+    const res = await request(app)
+      .post('/api/auth/oidc/mock/callback')
+      .send({ code, state, loginToken: forged })
+      .expect(401);
+
+    expect(res.body.error).toBe('Sign-in request is invalid or has expired');
+  });
+
+  test('rejects a code issued for another authorization request (PKCE)', async () => {
+    const { body: { data: first } } = await request(app).get('/api/auth/oidc/mock/authorize');
+    const { body: { data: second } } = await request(app).get('/api/auth/oidc/mock/authorize');
+    const { code } = issuer.authorize(second.authorizationUrl, providerAccount());
+
+    const res = await request(app)
+      .post('/api/auth/oidc/mock/callback')
+      .send({ code, state: first.state, loginToken: first.loginToken })
+      .expect(401);
+
+    expect(res.body.error).toBe('Sign-in with the provider failed');
+    expect(db.users).toHaveLength(0);
+  });
+
+  test('rejects an ID token with the wrong nonce', async () => {
+    const res = await signInWithProvider(providerAccount({ nonce: 'replayed-nonce' }));
+    expect(res.status).toBe(401);
+
+    expect(res.body.error).toBe('Sign-in with the provider failed');
+  });
+
+  test('refuses a username that is already taken at signup', async () => {
+    addPasswordUser({ username: 'anu_k', email: 'someone@example.com' });
+    const callback = await signInWithProvider(providerAccount());
+    expect(callback.status).toBe(200);
+    const { data } = callback.body;
+
+    const res = await request(app)
+      .post('/api/auth/oidc/signup')
+      .send({ signupToken: data.signupToken, username: 'anu_k' })
+      .expect(400);
+
+    expect(res.body.error).toBe('User with this username already exists');
+  });
+
+  test('reports a conflict when the identity was linked to another account meanwhile', async () => {
+    const callback = await signInWithProvider(providerAccount());
+    expect(callback.status).toBe(200);
+    const { data } = callback.body;
+    addPasswordUser({
+      username: 'other',
+      email: 'other@example.com',
+      identities: [{ provider: 'mock', subject: 'mock-user-1' }]
+    });
+
+    const res = await request(app)
+      .post('/api/auth/oidc/signup')
+      .send({ signupToken: data.signupToken, username: 'anu_k' })
+      .expect(409);
+
+    expect(res.body.error).toBe('This provider account is already linked to another user');
+  });
+});
+
+describe('OIDC account linking', () => {
+  test('links a provider account to the signed-in user', async () => {
+    const user = addPasswordUser({ email: 'anu.k@example.com' });
+    const accessToken = await signIn(user);
+
+    const res = await signInWithProvider(providerAccount(), { accessToken });
+    expect(res.status).toBe(200);
+
+    expect(res.body.message).toBe('Sign-in method linked successfully');
+    expect(res.body.data.identities).toHaveLength(1);
+    expect(res.body.data.identities[0].provider).toBe('mock');
+    expect(user.findIdentity('mock', 'mock-user-1')).toBeTruthy();
+  });
+
+  test('refuses to link a provider account that belongs to another user', async () => {
+    addPasswordUser({
+      username: 'other',
+      email: 'other@example.com',
+      identities: [{ provider: 'mock', subject: 'mock-user-1' }]
+    });
+    const user = addPasswordUser();
+    const accessToken = await signIn(user);
+
+    const res = await signInWithProvider(providerAccount(), { accessToken });
+    expect(res.status).toBe(409);
+
+    expect(res.body.error).toBe('This provider account is already linked to another user');
+    expect(user.identities).toHaveLength(0);
+  });
+
+  test('linking the same provider account twice keeps a single identity', async () => {
+    const user = addPasswordUser({
+      identities: [{ provider: 'mock', subject: 'mock-user-1' }]
+    });
+    const accessToken = await signIn(user);
+
+    const res = await signInWithProvider(providerAccount(), { accessToken });
+    expect(res.status).toBe(200);
+
+    expect(user.identities).toHaveLength(1);
+  });
+
+  test('refuses to finish linking when the callback is not signed in', async () => {
+    const user = addPasswordUser({ email: 'anu.k@example.com' });
+    const accessToken = await signIn(user);
+
+    const res = await signInWithProvider(providerAccount(), { accessToken, callbackToken: null });
+    expect(res.status).toBe(401);
+
+    expect(res.body.error).toBe('Sign in to the account you are linking to');
+    expect(user.identities).toHaveLength(0);
+  });
+
+  test('refuses to finish linking when the callback is signed in as someone else', async () => {
+    const user = addPasswordUser({ email: 'anu.k@example.com' });
+    const other = addPasswordUser({ username: 'other', email: 'other@example.com' });
+    const accessToken = await signIn(user);
+
+    const res = await signInWithProvider(providerAccount(), { accessToken, callbackToken: await signIn(other) });
+    expect(res.status).toBe(401);
+
+    expect(user.identities).toHaveLength(0);
+    expect(other.identities).toHaveLength(0);
+  });
+
+  test('requires a signed-in user to start linking', async () => {
+    await request(app).get('/api/auth/identities/mock/link').expect(401);
+  });
+});
+
+describe('OIDC account unlinking', () => {
+  test('unlinks an identity from an account with a password', async () => {
+    const user = addPasswordUser({
+      identities: [{ provider: 'mock', subject: 'mock-user-1' }]
+    });
+    const accessToken = await signIn(user);
+
+    await request(app)
+      .delete(`/api/auth/identities/${user.identities[0]._id}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(user.identities).toHaveLength(0);
+  });
+
+  test('keeps the last sign-in method of an account without a password', async () => {
+    const user = db.addUser({
+      username: 'anu',
+      email: 'anu@example.com',
+      fullName: 'Anu K',
+      identities: [{ provider: 'mock', subject: 'mock-user-1' }]
+    });
+    const accessToken = await signIn(user);
+
+    const res = await request(app)
+      .delete(`/api/auth/identities/${user.identities[0]._id}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(400);
+
+    expect(res.body.error).toBe('Set a password before unlinking your last sign-in method');
+    expect(user.identities).toHaveLength(1);
+  });
+
+  test('returns 404 for an identity that is not linked', async () => {
+    const user = addPasswordUser();
+    const accessToken = await signIn(user);
+
+    await request(app)
+      .delete('/api/auth/identities/64b000000000000000000000')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(404);
+  });
+});
@@ -0,0 +1,157 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.OTP_MAX_ATTEMPTS = '3';
+
+const express = require('express');
+const request = require('supertest');
+const authRoutes = require('../src/routes/auth');
+const { createMemoryStore, setStore } = require('../src/services/rateLimitStore');
+const { setAdapter } = require('../src/services/sms');
+const useMemoryModels = require('./helpers/memoryModels');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const PHONE = '+919876543210';
+
+let db;
+let sentSms;
+
+const addPhoneUser = () => db.addUser({
+  username: 'anu',
+  email: 'anu@example.com',
+  fullName: 'Anu K',
+  password: 'not-used-here',
+  phoneNumber: PHONE,
+  phoneVerifiedAt: new Date()
+});
+
+const requestCode = (phoneNumber = PHONE) => request(app)
+  .post('/api/auth/otp/request')
+  .send({ phoneNumber });
+
+const verifyCode = (code, phoneNumber = PHONE) => request(app)
+  .post('/api/auth/otp/verify')
+  .send({ phoneNumber, code });
+
+const lastCode = () => sentSms[sentSms.length - 1].body.match(/^\d{6}/)[0];
+
+// A 6-digit code other than the one that was sent
+const wrongCode = () => String((Number(lastCode()) + 1) % 1000000).padStart(6, '0');
+
+beforeEach(() => {
+  db = useMemoryModels();
+  setStore(createMemoryStore());
+  sentSms = [];
+  setAdapter({ send: async (message) => { sentSms.push(message); } });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('phone login codes', () => {
+  test('texts a code to a registered number and logs in with it once', async () => {
+    const user = addPhoneUser();
+
+    await requestCode().expect(200);
+    expect(sentSms).toHaveLength(1);
+    expect(sentSms[0].to).toBe(PHONE);
+
+    const res = await verifyCode(lastCode()).expect(200);
+    expect(res.body.data.token).toBeTruthy();
+    expect(res.body.data.user._id).toBe(user._id.toString());
+    expect(db.otpCodes[0].consumedAt).toBeInstanceOf(Date);
+
+    const reuse = await verifyCode(lastCode()).expect(401);
+    expect(reuse.body.error).toBe('Invalid or expired code');
+  });
+
+  test('stores only a hash of the code', async () => {
+    addPhoneUser();
+    await requestCode().expect(200);
+
+    expect(db.otpCodes[0].codeHash).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  test('stops accepting the code after the maximum number of wrong guesses', async () => {
+    addPhoneUser();
+    await requestCode().expect(200);
+
+    for (let i = 0; i < 3; i++) {
+      await verifyCode(wrongCode()).expect(401);
+    }
+
+    await verifyCode(lastCode()).expect(401);
+    expect(db.otpCodes[0].attempts).toBe(3);
+    expect(db.otpCodes[0].consumedAt).toBeNull();
+  });
+
+  test('accepts the code after fewer wrong guesses than the limit', async () => {
+    addPhoneUser();
+    await requestCode().expect(200);
+
+    await verifyCode(wrongCode()).expect(401);
+    await verifyCode(wrongCode()).expect(401);
+
+    await verifyCode(lastCode()).expect(200);
+  });
+
+  test('rejects an expired code', async () => {
+    addPhoneUser();
+    await requestCode().expect(200);
+    db.otpCodes[0].expiresAt = new Date(Date.now() - 1000);
+
+    await verifyCode(lastCode()).expect(401);
+  });
+
+  test('sends nothing to a number that is not registered, with the same response', async () => {
+    const res = await requestCode().expect(200);
+
+    expect(res.body.message).toBe('If the number is registered, a login code will be sent');
+    expect(sentSms).toHaveLength(0);
+    expect(db.otpCodes).toHaveLength(0);
+  });
+});
+
+describe('code resend limit', () => {
+  test('refuses a second code for the same number within the resend window', async () => {
+    addPhoneUser();
+    await requestCode().expect(200);
+
+    const res = await requestCode().expect(429);
+
+    expect(res.body.error).toBe('Please wait before requesting another code');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(50);
+    expect(sentSms).toHaveLength(1);
+  });
+
+  test('throttles numbers without an account the same way', async () => {
+    await requestCode().expect(200);
+
+    const res = await requestCode().expect(429);
+
+    expect(res.body.error).toBe('Please wait before requesting another code');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(50);
+  });
+
+  test('counts each number separately', async () => {
+    addPhoneUser();
+    await requestCode().expect(200);
+
+    await requestCode('+919876543211').expect(200);
+  });
+
+  test('allows a resend straight away when the text could not be sent', async () => {
+    addPhoneUser();
+    setAdapter({ send: async () => { throw new Error('SMS provider is down'); } });
+
+    await requestCode().expect(500);
+    expect(db.otpCodes).toHaveLength(0);
+
+    setAdapter({ send: async (message) => { sentSms.push(message); } });
+    await requestCode().expect(200);
+    expect(sentSms).toHaveLength(1);
+  });
+});
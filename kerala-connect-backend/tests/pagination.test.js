@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { getPaginationOptions, encodeCursor } = require('../src/utils/pagination');
+
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('cursor pagination', () => {
+  test('round-trips dates and ObjectIds through a cursor', () => {
+    const item = { createdAt: new Date('2024-05-01T10:00:00Z'), _id: new mongoose.Types.ObjectId() };
+    const cursor = encodeCursor({ createdAt: -1, _id: -1 }, item);
+
+    const { cursor: values } = getPaginationOptions({ cursor });
+
+    expect(values[0]).toEqual(item.createdAt);
+    expect(values[1].equals(item._id)).toBe(true);
+  });
+
+  test.each([
+    ['a query operator', { $gt: '' }],
+    ['an operator next to a tag', { d: '2024-05-01T10:00:00Z', $ne: null }],
+    ['an array', ['a']],
+    ['a malformed ObjectId', { o: 'not-an-id' }],
+    ['an invalid date', { d: 'yesterday' }],
+    ['a non-string tag', { o: { $ne: null } }]
+  ])('rejects a cursor holding %s', (label, value) => {
+    const cursor = encode({ k: ['createdAt', '_id'], v: [value, 'x'] });
+
+    expect(() => getPaginationOptions({ cursor })).toThrow('Invalid cursor');
+  });
+});
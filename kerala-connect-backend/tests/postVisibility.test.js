@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const useMemoryModels = require('./helpers/memoryModels');
+const { getAudience, withVisibility, isVisibleTo } = require('../src/services/postVisibility');
+
+// Evaluate the query conditions visibilityFilter() builds against a plain post,
+// the way MongoDB would: equality, $in, $nin, $and and $or
+const sameId = (a, b) => String(a) === String(b);
+
+const matchesFilter = (post, filter) => Object.entries(filter).every(([key, expected]) => {
+  if (key === '$and') return expected.every(condition => matchesFilter(post, condition));
+  if (key === '$or') return expected.some(condition => matchesFilter(post, condition));
+
+  const actual = post[key];
+  if (expected && expected.$in) return expected.$in.some(value => sameId(value, actual));
+  if (expected && expected.$nin) return !expected.$nin.some(value => sameId(value, actual));
+  return sameId(actual, expected);
+});
+
+let db;
+let author;
+
+const addUser = (username, data = {}) => db.addUser({
+  username,
+  email: `${username}@example.com`,
+  fullName: username,
+  ...data
+});
+
+// Viewers as they relate to the author, and what each may see
+const viewers = {
+  anonymous: () => null,
+  author: () => author,
+  mutualFollower: () => {
+    const user = addUser('mutual', { following: [author._id], followers: [author._id] });
+    author.followers.push(user._id);
+    author.following.push(user._id);
+    return user;
+  },
+  oneWayFollower: () => {
+    const user = addUser('fan', { following: [author._id] });
+    author.followers.push(user._id);
+    return user;
+  },
+  followedByAuthorOnly: () => {
+    const user = addUser('followed', { followers: [author._id] });
+    author.following.push(user._id);
+    return user;
+  },
+  closeFriend: () => {
+    const user = addUser('close');
+    author.closeFriends.push(user._id);
+    return user;
+  },
+  blockedByAuthor: () => {
+    const user = addUser('blocked', { following: [author._id], followers: [author._id] });
+    author.followers.push(user._id);
+    author.following.push(user._id);
+    author.blockedUsers.push(user._id);
+    return user;
+  },
+  blockingAuthor: () => addUser('blocking', { blockedUsers: [author._id] }),
+  stranger: () => addUser('stranger')
+};
+
+const expected = {
+  anonymous: { public: true, followers: false, close_friends: false, private: false },
+  author: { public: true, followers: true, close_friends: true, private: true },
+  mutualFollower: { public: true, followers: true, close_friends: false, private: false },
+  oneWayFollower: { public: true, followers: false, close_friends: false, private: false },
+  followedByAuthorOnly: { public: true, followers: false, close_friends: false, private: false },
+  closeFriend: { public: true, followers: false, close_friends: true, private: false },
+  blockedByAuthor: { public: false, followers: false, close_friends: false, private: false },
+  blockingAuthor: { public: false, followers: false, close_friends: false, private: false },
+  stranger: { public: true, followers: false, close_friends: false, private: false }
+};
+
+const cases = Object.entries(expected).flatMap(([viewer, visibilities]) => (
+  Object.entries(visibilities).map(([visibility, visible]) => [viewer, visibility, visible])
+));
+
+beforeEach(() => {
+  db = useMemoryModels();
+  author = addUser('author');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('post visibility', () => {
+  test.each(cases)('%s viewing a %s post: visible = %s', async (viewerName, visibility, visible) => {
+    const viewer = viewers[viewerName]();
+    const post = { _id: new mongoose.Types.ObjectId(), author: author._id, visibility };
+
+    const audience = await getAudience(viewer);
+    const filter = withVisibility({ isActive: true }, audience);
+
+    expect(isVisibleTo(post, audience)).toBe(visible);
+    expect(matchesFilter({ ...post, isActive: true }, filter)).toBe(visible);
+  });
+
+  test('an audience scoped to some authors agrees with the full one', async () => {
+    const viewer = viewers.mutualFollower();
+    const post = { author: author._id, visibility: 'followers' };
+
+    const audience = await getAudience(viewer, { authors: [author._id] });
+
+    expect(isVisibleTo(post, audience)).toBe(true);
+    expect(matchesFilter(post, withVisibility({}, audience))).toBe(true);
+  });
+
+  test('withVisibility keeps the existing filter and $and conditions', async () => {
+    const audience = await getAudience(viewers.stranger());
+    const filter = withVisibility({ isActive: true, $and: [{ place: 'p1' }] }, audience);
+
+    expect(filter.isActive).toBe(true);
+    expect(filter.$and).toHaveLength(2);
+    expect(filter.$and[0]).toEqual({ place: 'p1' });
+  });
+
+  test('a post without an author is not visible', async () => {
+    const audience = await getAudience(viewers.stranger());
+    expect(isVisibleTo({ visibility: 'public' }, audience)).toBe(false);
+  });
+});
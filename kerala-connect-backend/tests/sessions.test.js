@@ -0,0 +1,112 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const authRoutes = require('../src/routes/auth');
+const { createMemoryStore, setStore } = require('../src/services/rateLimitStore');
+const useMemoryModels = require('./helpers/memoryModels');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+let db;
+
+const logIn = async () => {
+  db.addUser({
+    username: 'anu',
+    email: 'anu@example.com',
+    password: bcrypt.hashSync('password123', 4),
+    fullName: 'Anu K'
+  });
+
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send({ email: 'anu@example.com', password: 'password123' })
+    .expect(200);
+
+  return res.body.data;
+};
+
+const refresh = (refreshToken) => request(app)
+  .post('/api/auth/refresh-token')
+  .send({ refreshToken });
+
+const getIdentities = (token) => request(app)
+  .get('/api/auth/identities')
+  .set('Authorization', `Bearer ${token}`);
+
+beforeEach(() => {
+  db = useMemoryModels();
+  setStore(createMemoryStore());
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('refresh token rotation', () => {
+  test('exchanges a refresh token for a new pair on the same session', async () => {
+    const login = await logIn();
+
+    const res = await refresh(login.refreshToken).expect(200);
+
+    expect(res.body.data.token).toBeTruthy();
+    expect(res.body.data.refreshToken).not.toBe(login.refreshToken);
+    expect(res.body.data.refreshToken.split('.')[0]).toBe(login.refreshToken.split('.')[0]);
+    expect(db.sessions).toHaveLength(1);
+    expect(db.sessions[0].rotatedAt).toBeInstanceOf(Date);
+
+    await getIdentities(res.body.data.token).expect(200);
+  });
+
+  test('each new refresh token can be used in turn', async () => {
+    const login = await logIn();
+
+    const first = await refresh(login.refreshToken).expect(200);
+    const second = await refresh(first.body.data.refreshToken).expect(200);
+
+    expect(second.body.data.refreshToken).not.toBe(first.body.data.refreshToken);
+    expect(db.sessions[0].isActive).toBe(true);
+  });
+
+  test('revokes the session when a used refresh token is presented again', async () => {
+    const login = await logIn();
+    const rotated = await refresh(login.refreshToken).expect(200);
+
+    const reuse = await refresh(login.refreshToken).expect(401);
+    expect(reuse.body.error).toBe('Refresh token reuse detected');
+
+    const [session] = db.sessions;
+    expect(session.revokedAt).toBeInstanceOf(Date);
+    expect(session.revokedReason).toBe('reuse_detected');
+
+    // Everything issued for the session stops working, including the newest pair
+    const afterReuse = await refresh(rotated.body.data.refreshToken).expect(401);
+    expect(afterReuse.body.error).toBe('Invalid refresh token');
+    await getIdentities(rotated.body.data.token).expect(401);
+  });
+
+  test('rejects malformed refresh tokens and unknown sessions', async () => {
+    await logIn();
+
+    const malformed = await refresh('not-a-token').expect(401);
+    expect(malformed.body.error).toBe('Invalid refresh token');
+
+    const unknown = await refresh('64b000000000000000000000.secret').expect(401);
+    expect(unknown.body.error).toBe('Invalid refresh token');
+    expect(db.sessions[0].isActive).toBe(true);
+  });
+
+  test('rejects the refresh token of an expired session without revoking it', async () => {
+    const login = await logIn();
+    db.sessions[0].expiresAt = new Date(Date.now() - 1000);
+
+    const res = await refresh(login.refreshToken).expect(401);
+
+    expect(res.body.error).toBe('Invalid refresh token');
+    expect(db.sessions[0].revokedAt).toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+const { generateSecret, generateCode, getTimeStep, verifyCode, buildOtpauthUri } = require('../src/utils/totp');
+
+// The RFC 6238 (appendix B) SHA-1 secret, "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC 6238 test vectors: the last 6 of the 8 digits listed in the RFC
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TOTP', () => {
+  test.each(RFC_VECTORS)('matches the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, getTimeStep(seconds * 1000))).toBe(code);
+  });
+
+  test('uses 30 second time steps', () => {
+    expect(getTimeStep(59 * 1000)).toBe(1);
+    expect(getTimeStep(60 * 1000)).toBe(2);
+  });
+
+  test('generates base32 secrets of 20 random bytes', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+
+  test('accepts the current code and the codes one step either side', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1111111111 * 1000);
+    const step = getTimeStep();
+
+    expect(verifyCode(RFC_SECRET, '050471')).toBe(step);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2))).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2))).toBeNull();
+  });
+
+  test('rejects codes at or before the last used step', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1111111111 * 1000);
+    const step = getTimeStep();
+
+    expect(verifyCode(RFC_SECRET, '050471', { lastUsedStep: step })).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { lastUsedStep: step })).toBe(step + 1);
+  });
+
+  test('rejects codes that are not 6 digits', () => {
+    expect(verifyCode(RFC_SECRET, '')).toBeNull();
+    expect(verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+  });
+
+  test('builds an otpauth URI for authenticator apps', () => {
+    const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, accountName: 'anu@example.com' }));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Kerala Connect:anu@example.com');
+    expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(uri.searchParams.get('digits')).toBe('6');
+    expect(uri.searchParams.get('period')).toBe('30');
+  });
+});
@@ -0,0 +1,202 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const authRoutes = require('../src/routes/auth');
+const { createSession } = require('../src/services/sessionService');
+const { createMemoryStore, setStore } = require('../src/services/rateLimitStore');
+const { generateSecret, generateCode, getTimeStep } = require('../src/utils/totp');
+const useMemoryModels = require('./helpers/memoryModels');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+let db;
+
+const addUser = (data = {}) => db.addUser({
+  username: 'anu',
+  email: 'anu@example.com',
+  password: bcrypt.hashSync('password123', 4),
+  fullName: 'Anu K',
+  ...data
+});
+
+// A user with 2FA already on, with the secret and recovery codes to use
+const addTwoFactorUser = (data = {}) => {
+  const secret = generateSecret();
+  const user = addUser({ twoFactor: { enabled: true, secret, enabledAt: new Date() }, ...data });
+  const recoveryCodes = user.generateRecoveryCodes();
+  return { user, secret, recoveryCodes };
+};
+
+const signIn = async (user) => {
+  const { token } = await createSession(user, { get: () => undefined, body: {}, ip: '127.0.0.1' });
+  return token;
+};
+
+const post = (path, token) => {
+  const req = request(app).post(`/api/auth${path}`);
+  return token ? req.set('Authorization', `Bearer ${token}`) : req;
+};
+
+const startLogin = async () => {
+  const res = await post('/login')
+    .send({ email: 'anu@example.com', password: 'password123' })
+    .expect(200);
+
+  expect(res.body.data.twoFactorRequired).toBe(true);
+  expect(res.body.data.token).toBeUndefined();
+  return res.body.data.challengeToken;
+};
+
+beforeEach(() => {
+  db = useMemoryModels();
+  setStore(createMemoryStore());
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('2FA enrollment', () => {
+  test('sets up a secret and turns 2FA on with a code from the app', async () => {
+    const user = addUser();
+    const token = await signIn(user);
+
+    const setup = await post('/2fa/setup', token).expect(200);
+    const { secret, otpauthUri, qrCode } = setup.body.data;
+
+    expect(otpauthUri).toContain(`secret=${secret}`);
+    expect(qrCode.startsWith('data:image/png;base64,')).toBe(true);
+    expect(user.twoFactor.enabled).toBe(false);
+
+    const enable = await post('/2fa/enable', token)
+      .send({ code: generateCode(secret) })
+      .expect(200);
+
+    expect(enable.body.data.recoveryCodes).toHaveLength(10);
+    expect(user.twoFactor.enabled).toBe(true);
+    expect(user.twoFactor.secret).toBe(secret);
+    expect(user.twoFactor.pendingSecret).toBeUndefined();
+  });
+
+  test('does not turn 2FA on with a wrong code', async () => {
+    const user = addUser();
+    const token = await signIn(user);
+    const setup = await post('/2fa/setup', token).expect(200);
+    const wrongCode = generateCode(setup.body.data.secret, getTimeStep() + 5);
+
+    const res = await post('/2fa/enable', token).send({ code: wrongCode }).expect(400);
+
+    expect(res.body.error).toBe('Invalid verification code');
+    expect(user.twoFactor.enabled).toBe(false);
+  });
+
+  test('requires setup before enabling', async () => {
+    const token = await signIn(addUser());
+
+    const res = await post('/2fa/enable', token).send({ code: '123456' }).expect(400);
+
+    expect(res.body.error).toBe('Start two-factor setup first');
+  });
+});
+
+describe('2FA login', () => {
+  test('asks for a code after the password and logs in with it', async () => {
+    const { user, secret } = addTwoFactorUser();
+    const challengeToken = await startLogin();
+    const step = getTimeStep();
+
+    const res = await post('/login/2fa')
+      .send({ challengeToken, code: generateCode(secret, step) })
+      .expect(200);
+
+    expect(res.body.data.token).toBeTruthy();
+    expect(res.body.data.refreshToken).toBeTruthy();
+    expect(user.twoFactor.lastUsedStep).toBe(step);
+  });
+
+  test('does not accept the same code twice', async () => {
+    const { secret } = addTwoFactorUser();
+    const code = generateCode(secret);
+
+    await post('/login/2fa').send({ challengeToken: await startLogin(), code }).expect(200);
+
+    const replay = await post('/login/2fa')
+      .send({ challengeToken: await startLogin(), code })
+      .expect(401);
+
+    expect(replay.body.error).toBe('Invalid verification code');
+  });
+
+  test('accepts each recovery code once', async () => {
+    const { recoveryCodes } = addTwoFactorUser();
+
+    await post('/login/2fa')
+      .send({ challengeToken: await startLogin(), recoveryCode: recoveryCodes[0] })
+      .expect(200);
+
+    await post('/login/2fa')
+      .send({ challengeToken: await startLogin(), recoveryCode: recoveryCodes[0] })
+      .expect(401);
+  });
+
+  test('rejects a challenge token that was not issued for 2FA', async () => {
+    const { user, secret } = addTwoFactorUser();
+    const accessToken = await signIn(user);
+
+    const res = await post('/login/2fa')
+      .send({ challengeToken: accessToken, code: generateCode(secret) })
+      .expect(401);
+
+    expect(res.body.error).toBe('Login challenge is invalid or has expired. Please log in again.');
+  });
+});
+
+describe('turning 2FA off', () => {
+  test('requires the password and a code', async () => {
+    const { user, secret } = addTwoFactorUser();
+    const token = await signIn(user);
+
+    await post('/2fa/disable', token)
+      .send({ password: 'wrong-password', code: generateCode(secret) })
+      .expect(401);
+    expect(user.twoFactor.enabled).toBe(true);
+
+    await post('/2fa/disable', token)
+      .send({ password: 'password123', code: generateCode(secret, getTimeStep() + 1) })
+      .expect(200);
+
+    expect(user.twoFactor.enabled).toBe(false);
+    expect(user.twoFactor.secret).toBeUndefined();
+    expect(user.twoFactor.recoveryCodes).toHaveLength(0);
+  });
+
+  test('accepts a recovery code instead of a code from the app', async () => {
+    const { user, recoveryCodes } = addTwoFactorUser();
+    const token = await signIn(user);
+
+    await post('/2fa/disable', token)
+      .send({ password: 'password123', recoveryCode: recoveryCodes[3] })
+      .expect(200);
+
+    expect(user.twoFactor.enabled).toBe(false);
+  });
+
+  test('lets an account without a password turn 2FA off with a code alone', async () => {
+    const { user, secret } = addTwoFactorUser({
+      password: undefined,
+      identities: [{ provider: 'mock', subject: 'mock-user-1' }]
+    });
+    const token = await signIn(user);
+
+    await post('/2fa/disable', token).send({ code: generateCode(secret, getTimeStep() + 5) }).expect(401);
+    expect(user.twoFactor.enabled).toBe(true);
+
+    await post('/2fa/disable', token).send({ code: generateCode(secret) }).expect(200);
+    expect(user.twoFactor.enabled).toBe(false);
+  });
+});
@@ -1,24 +1,140 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
   Image,
+  FlatList,
   TouchableOpacity,
   StyleSheet,
   Dimensions,
+  Alert,
+  NativeSyntheticEvent,
+  NativeScrollEvent,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/Ionicons';
-import { Post } from '@/types';
+import { MediaItem, Post } from '@/types';
 import { colors, spacing, fontSize, borderRadius } from '@/styles/common';
 
 const { width } = Dimensions.get('window');
+const mediaWidth = width - spacing.md * 4;
+
+// Posts from older servers only have image URLs
+const getMedia = (post: Post): MediaItem[] =>
+  post.media && post.media.length > 0
+    ? post.media
+    : (post.images || []).map(url => ({ type: 'image' as const, url }));
+
+const formatDuration = (seconds: number): string => {
+  const rounded = Math.round(seconds);
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+};
+
+// What screen readers say for a photo or video
+const describeMedia = (item: MediaItem): string =>
+  item.altText || (item.type === 'video' ? 'Video' : 'Photo');
+
+const MediaCarousel: React.FC<{ media: MediaItem[] }> = ({ media }) => {
+  const [index, setIndex] = useState(0);
+  const [showAltText, setShowAltText] = useState(false);
+  const current = media[index] || media[0];
+
+  const handleScrollEnd = (event: NativeSyntheticEvent<NativeScrollEvent>) => {
+    const page = Math.round(event.nativeEvent.contentOffset.x / mediaWidth);
+    if (page !== index) {
+      setIndex(page);
+      setShowAltText(false);
+    }
+  };
+
+  const renderItem = ({ item }: { item: MediaItem }) => (
+    <View style={styles.mediaItem}>
+      <Image
+        source={{ uri: item.type === 'video' ? item.poster || item.url : item.url }}
+        style={styles.postImage}
+        resizeMode="cover"
+        accessible
+        accessibilityRole="image"
+        accessibilityLabel={describeMedia(item)}
+      />
+      {item.type === 'video' && (
+        <View style={styles.videoOverlay} pointerEvents="none">
+          <Icon name="play-circle" size={48} color={colors.surface} />
+          {!!item.duration && (
+            <Text style={styles.videoDuration}>{formatDuration(item.duration)}</Text>
+          )}
+        </View>
+      )}
+    </View>
+  );
+
+  return (
+    <View style={styles.imageContainer}>
+      <View>
+        <FlatList
+          data={media}
+          renderItem={renderItem}
+          keyExtractor={(item, itemIndex) => `${itemIndex}-${item.url}`}
+          horizontal
+          pagingEnabled
+          showsHorizontalScrollIndicator={false}
+          onMomentumScrollEnd={handleScrollEnd}
+          style={styles.carousel}
+        />
+
+        {media.length > 1 && (
+          <View style={styles.imageCounter} pointerEvents="none">
+            <Text style={styles.imageCountText}>
+              {index + 1}/{media.length}
+            </Text>
+          </View>
+        )}
+
+        {showAltText && !!current.altText && (
+          <View style={styles.altTextOverlay}>
+            <Text style={styles.altText}>{current.altText}</Text>
+          </View>
+        )}
+
+        {!!current.altText && (
+          <TouchableOpacity
+            style={styles.altBadge}
+            onPress={() => setShowAltText(shown => !shown)}
+            accessibilityLabel={showAltText ? 'Hide image description' : 'Show image description'}
+          >
+            <Text style={styles.altBadgeText}>ALT</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {media.length > 1 && (
+        <View style={styles.dots}>
+          {media.map((item, dotIndex) => (
+            <View
+              key={`${dotIndex}-${item.url}`}
+              style={[styles.dot, dotIndex === index && styles.activeDot]}
+            />
+          ))}
+        </View>
+      )}
+
+      {!!current.caption && <Text style={styles.mediaCaption}>{current.caption}</Text>}
+    </View>
+  );
+};
 
 interface Props {
   post: Post;
   onLike: (isLiked: boolean) => void;
+  onRepost?: () => void;
+  onShare?: () => void;
 }
 
-const PostCard: React.FC<Props> = ({ post, onLike }) => {
+const PostCard: React.FC<Props> = ({ post, onLike, onRepost, onShare }) => {
+  // A plain repost shows the original post under a "reposted" line
+  const isRepost = post.type === 'repost' && !!post.originalPost;
+  const shown = isRepost ? (post.originalPost as Post) : post;
+  const shownMedia = getMedia(shown);
+
   const formatTimeAgo = (dateString: string): string => {
     const date = new Date(dateString);
     const now = new Date();
@@ -31,49 +147,84 @@ const PostCard: React.FC<Props> = ({ post, onLike }) => {
     return `${Math.floor(diffInSeconds / 604800)}w`;
   };
 
+  const handleSharePress = () => {
+    Alert.alert('Share Post', undefined, [
+      ...(onRepost ? [{ text: 'Repost', onPress: onRepost }] : []),
+      ...(onShare ? [{ text: 'Share via...', onPress: onShare }] : []),
+      { text: 'Cancel', style: 'cancel' as const },
+    ]);
+  };
+
+  const renderQuotedPost = () => {
+    if (!post.originalPost) {
+      return (
+        <View style={styles.quoteContainer}>
+          <Text style={styles.unavailableText}>This post is no longer available</Text>
+        </View>
+      );
+    }
+
+    const original = post.originalPost;
+    const [cover] = getMedia(original);
+    return (
+      <View style={styles.quoteContainer}>
+        <Text style={styles.username}>{original.user.username}</Text>
+        <Text style={styles.quoteContent} numberOfLines={4}>
+          {original.content}
+        </Text>
+        {!!cover && (
+          <Image
+            source={{ uri: cover.type === 'video' ? cover.poster || cover.url : cover.url }}
+            style={styles.quoteImage}
+            resizeMode="cover"
+            accessible
+            accessibilityRole="image"
+            accessibilityLabel={describeMedia(cover)}
+          />
+        )}
+      </View>
+    );
+  };
+
   return (
     <View style={styles.container}>
+      {/* Repost Banner */}
+      {isRepost && (
+        <View style={styles.repostBanner}>
+          <Icon name="repeat-outline" size={14} color={colors.textSecondary} />
+          <Text style={styles.repostText}>{post.user.username} reposted</Text>
+        </View>
+      )}
+
       {/* User Header */}
       <View style={styles.header}>
         <Image
           source={{
-            uri: post.user.profilePicture || 'https://via.placeholder.com/40x40?text=U',
+            uri: shown.user.profilePicture || 'https://via.placeholder.com/40x40?text=U',
           }}
           style={styles.avatar}
         />
         <View style={styles.userInfo}>
-          <Text style={styles.username}>{post.user.username}</Text>
-          <Text style={styles.fullName}>{post.user.fullName}</Text>
+          <Text style={styles.username}>{shown.user.username}</Text>
+          <Text style={styles.fullName}>{shown.user.fullName}</Text>
         </View>
-        <Text style={styles.timestamp}>{formatTimeAgo(post.createdAt)}</Text>
+        <Text style={styles.timestamp}>{formatTimeAgo(shown.createdAt)}</Text>
       </View>
 
       {/* Post Content */}
-      <Text style={styles.content}>{post.content}</Text>
+      {!!shown.content && <Text style={styles.content}>{shown.content}</Text>}
 
-      {/* Post Images */}
-      {post.images && post.images.length > 0 && (
-        <View style={styles.imageContainer}>
-          <Image
-            source={{ uri: post.images[0] }}
-            style={styles.postImage}
-            resizeMode="cover"
-          />
-          {post.images.length > 1 && (
-            <View style={styles.imageCounter}>
-              <Text style={styles.imageCountText}>
-                +{post.images.length - 1}
-              </Text>
-            </View>
-          )}
-        </View>
-      )}
+      {/* Quoted Post */}
+      {post.type === 'quote' && renderQuotedPost()}
+
+      {/* Post Photos & Videos */}
+      {shownMedia.length > 0 && <MediaCarousel media={shownMedia} />}
 
       {/* Location */}
-      {post.location && (
+      {shown.location && (
         <View style={styles.locationContainer}>
           <Icon name="location-outline" size={16} color={colors.textSecondary} />
-          <Text style={styles.locationText}>{post.location.name}</Text>
+          <Text style={styles.locationText}>{shown.location.name}</Text>
         </View>
       )}
 
@@ -96,8 +247,13 @@ const PostCard: React.FC<Props> = ({ post, onLike }) => {
           <Text style={styles.actionText}>{post.comments}</Text>
         </TouchableOpacity>
 
-        <TouchableOpacity style={styles.actionButton}>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={handleSharePress}
+          disabled={!onRepost && !onShare}
+        >
           <Icon name="share-outline" size={24} color={colors.textSecondary} />
+          {!!shown.shares && <Text style={styles.actionText}>{shown.shares}</Text>}
         </TouchableOpacity>
       </View>
     </View>
@@ -120,6 +276,16 @@ const styles = StyleSheet.create({
     shadowRadius: 3.84,
     elevation: 5,
   },
+  repostBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.sm,
+  },
+  repostText: {
+    fontSize: fontSize.sm,
+    color: colors.textSecondary,
+    marginLeft: spacing.xs,
+  },
   header: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -155,16 +321,112 @@ const styles = StyleSheet.create({
     lineHeight: 20,
     marginBottom: spacing.md,
   },
+  quoteContainer: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: borderRadius.md,
+    padding: spacing.sm,
+    marginBottom: spacing.md,
+  },
+  quoteContent: {
+    fontSize: fontSize.sm,
+    color: colors.text,
+    marginTop: spacing.xs,
+  },
+  quoteImage: {
+    width: '100%',
+    height: 120,
+    borderRadius: borderRadius.sm,
+    marginTop: spacing.sm,
+    backgroundColor: colors.border,
+  },
+  unavailableText: {
+    fontSize: fontSize.sm,
+    color: colors.textSecondary,
+    fontStyle: 'italic',
+  },
   imageContainer: {
     position: 'relative',
     marginBottom: spacing.md,
   },
+  carousel: {
+    width: mediaWidth,
+    borderRadius: borderRadius.md,
+  },
+  mediaItem: {
+    width: mediaWidth,
+  },
   postImage: {
-    width: width - spacing.md * 4,
+    width: mediaWidth,
     height: 200,
     borderRadius: borderRadius.md,
     backgroundColor: colors.border,
   },
+  videoOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  videoDuration: {
+    position: 'absolute',
+    bottom: spacing.sm,
+    right: spacing.sm,
+    color: colors.surface,
+    fontSize: fontSize.xs,
+    fontWeight: '600',
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    paddingHorizontal: spacing.xs,
+    borderRadius: borderRadius.sm,
+  },
+  altBadge: {
+    position: 'absolute',
+    bottom: spacing.sm,
+    left: spacing.sm,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    paddingHorizontal: spacing.xs,
+    paddingVertical: 2,
+    borderRadius: borderRadius.sm,
+  },
+  altBadgeText: {
+    color: colors.surface,
+    fontSize: fontSize.xs,
+    fontWeight: '700',
+  },
+  altTextOverlay: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+    padding: spacing.sm,
+    paddingBottom: spacing.xl,
+    borderBottomLeftRadius: borderRadius.md,
+    borderBottomRightRadius: borderRadius.md,
+  },
+  altText: {
+    color: colors.surface,
+    fontSize: fontSize.sm,
+  },
+  dots: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: spacing.sm,
+  },
+  dot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    marginHorizontal: 3,
+    backgroundColor: colors.border,
+  },
+  activeDot: {
+    backgroundColor: colors.primary,
+  },
+  mediaCaption: {
+    fontSize: fontSize.sm,
+    color: colors.textSecondary,
+    marginTop: spacing.xs,
+  },
   imageCounter: {
     position: 'absolute',
     top: spacing.sm,
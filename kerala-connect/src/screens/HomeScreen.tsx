@@ -7,6 +7,7 @@ import {
   RefreshControl,
   StyleSheet,
   Alert,
+  Share,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useNavigation } from '@react-navigation/native';
@@ -92,10 +93,57 @@ const HomeScreen: React.FC = () => {
     }
   };
 
+  const updateShares = (postId: string, shares: number) => {
+    setPosts(prev =>
+      prev.map(post => {
+        if (post.id === postId) {
+          return { ...post, shares };
+        }
+        if (post.type === 'repost' && post.originalPost?.id === postId) {
+          return { ...post, originalPost: { ...post.originalPost, shares } };
+        }
+        return post;
+      })
+    );
+  };
+
+  // Reposts and shares count towards the original post
+  const getSharedPost = (post: Post): Post =>
+    post.type === 'repost' && post.originalPost ? post.originalPost : post;
+
+  const handleRepost = async (post: Post) => {
+    const target = getSharedPost(post);
+    try {
+      await ApiService.repostPost(target.id);
+      updateShares(target.id, (target.shares || 0) + 1);
+      Alert.alert('Reposted', 'The post is now on your profile.');
+    } catch (error: any) {
+      Alert.alert('Error', error.response?.data?.error || 'Failed to repost');
+    }
+  };
+
+  const handleShare = async (post: Post) => {
+    const target = getSharedPost(post);
+    try {
+      const result = await Share.share({
+        message: `${target.user.username} on Kerala Connect: ${target.content}`,
+      });
+
+      if (result.action === Share.sharedAction) {
+        const shares = await ApiService.trackShare(target.id);
+        updateShares(target.id, shares);
+      }
+    } catch (error: any) {
+      Alert.alert('Error', 'Failed to share post');
+    }
+  };
+
   const renderPost = ({ item }: { item: Post }) => (
     <PostCard
       post={item}
       onLike={(isLiked) => handleLikePost(item.id, isLiked)}
+      onRepost={() => handleRepost(item)}
+      onShare={() => handleShare(item)}
     />
   );
 
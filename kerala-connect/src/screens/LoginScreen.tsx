@@ -12,7 +12,7 @@ import {
 import { StackNavigationProp } from '@react-navigation/stack';
 import { RootStackParamList } from '@/types';
 import ApiService from '@/services/api';
-import { saveAuthToken, saveCurrentUser } from '@/utils/auth';
+import { saveAuthToken, saveRefreshToken, saveCurrentUser } from '@/utils/auth';
 import { commonStyles, colors, spacing, fontSize } from '@/styles/common';
 
 type LoginScreenNavigationProp = StackNavigationProp<RootStackParamList, 'Login'>;
@@ -36,6 +36,7 @@ const LoginScreen: React.FC<Props> = ({ navigation }) => {
     try {
       const response = await ApiService.login({ email, password });
       await saveAuthToken(response.token);
+      await saveRefreshToken(response.refreshToken);
       await saveCurrentUser(response.user);
       
       // Navigation will be handled by the auth state change in RootNavigator
@@ -11,7 +11,7 @@ import {
 import { StackNavigationProp } from '@react-navigation/stack';
 import { RootStackParamList } from '@/types';
 import ApiService from '@/services/api';
-import { saveAuthToken, saveCurrentUser } from '@/utils/auth';
+import { saveAuthToken, saveRefreshToken, saveCurrentUser } from '@/utils/auth';
 import { commonStyles, colors, spacing, fontSize } from '@/styles/common';
 
 type SignupScreenNavigationProp = StackNavigationProp<RootStackParamList, 'Signup'>;
@@ -62,6 +62,7 @@ const SignupScreen: React.FC<Props> = ({ navigation }) => {
       });
       
       await saveAuthToken(response.token);
+      await saveRefreshToken(response.refreshToken);
       await saveCurrentUser(response.user);
       
       Alert.alert('Success', 'Account created successfully!');
@@ -45,9 +45,23 @@ class ApiService {
     this.api.interceptors.response.use(
       (response) => response,
       async (error) => {
+        const originalRequest = error.config;
+
+        if (error.response?.status === 401 && originalRequest && !originalRequest._retry) {
+          originalRequest._retry = true;
+
+          // Access token expired, try to get a new pair with the refresh token
+          const token = await this.refreshSession();
+          if (token) {
+            originalRequest.headers.Authorization = `Bearer ${token}`;
+            return this.api(originalRequest);
+          }
+        }
+
         if (error.response?.status === 401) {
-          // Token expired, logout user
+          // Session is gone, logout user
           await AsyncStorage.removeItem('authToken');
+          await AsyncStorage.removeItem('refreshToken');
           await AsyncStorage.removeItem('currentUser');
           // You can add navigation logic here to redirect to login
         }
@@ -56,6 +70,36 @@ class ApiService {
     );
   }
 
+  private refreshPromise: Promise<string | null> | null = null;
+
+  // Exchange the stored refresh token for a new token pair.
+  // Concurrent 401s share one request since each refresh token only works once.
+  private refreshSession(): Promise<string | null> {
+    if (!this.refreshPromise) {
+      this.refreshPromise = (async () => {
+        try {
+          const refreshToken = await AsyncStorage.getItem('refreshToken');
+          if (!refreshToken) {
+            return null;
+          }
+
+          const response = await axios.post(`${BASE_URL}/auth/refresh-token`, { refreshToken });
+          const { token, refreshToken: nextRefreshToken } = response.data.data;
+
+          await AsyncStorage.setItem('authToken', token);
+          await AsyncStorage.setItem('refreshToken', nextRefreshToken);
+          return token;
+        } catch (error) {
+          return null;
+        } finally {
+          this.refreshPromise = null;
+        }
+      })();
+    }
+
+    return this.refreshPromise;
+  }
+
   // Auth endpoints
   async login(credentials: LoginCredentials): Promise<AuthResponse> {
     const response: AxiosResponse<ApiResponse<AuthResponse>> = await this.api.post('/auth/login', credentials);
@@ -70,6 +114,7 @@ class ApiService {
   async logout(): Promise<void> {
     await this.api.post('/auth/logout');
     await AsyncStorage.removeItem('authToken');
+    await AsyncStorage.removeItem('refreshToken');
     await AsyncStorage.removeItem('currentUser');
   }
 
@@ -118,6 +163,24 @@ class ApiService {
     await this.api.delete(`/posts/${postId}/like`);
   }
 
+  // Plain repost, or a quote when content is given
+  async repostPost(postId: string, content?: string): Promise<Post> {
+    const response: AxiosResponse<ApiResponse<Post>> = await this.api.post(`/posts/${postId}/repost`, {
+      content,
+    });
+    return response.data.data;
+  }
+
+  async undoRepost(postId: string): Promise<void> {
+    await this.api.delete(`/posts/${postId}/repost`);
+  }
+
+  // Record a share made outside the app, returns the new share count
+  async trackShare(postId: string): Promise<number> {
+    const response: AxiosResponse<ApiResponse<{ sharesCount: number }>> = await this.api.post(`/posts/${postId}/share`);
+    return response.data.data.sharesCount;
+  }
+
   async getPostComments(postId: string): Promise<Comment[]> {
     const response: AxiosResponse<ApiResponse<Comment[]>> = await this.api.get(`/posts/${postId}/comments`);
     return response.data.data;
@@ -11,12 +11,28 @@ export interface User {
   createdAt: string;
 }
 
+export interface MediaItem {
+  type: 'image' | 'video';
+  url: string;
+  width?: number;
+  height?: number;
+  altText?: string;
+  caption?: string;
+  blurhash?: string;
+  uploadId?: string;
+  // Videos only
+  poster?: string;
+  duration?: number;
+}
+
 export interface Post {
   id: string;
   userId: string;
   user: User;
   content: string;
   images: string[];
+  // Photos and videos in display order; posts from older servers only have images
+  media?: MediaItem[];
   location?: {
     name: string;
     coordinates: {
@@ -26,7 +42,11 @@ export interface Post {
   };
   likes: number;
   comments: number;
+  shares?: number;
   isLiked: boolean;
+  // Reposts and quotes point at the shared post (null once it is deleted)
+  type?: 'post' | 'repost' | 'quote';
+  originalPost?: Post | null;
   createdAt: string;
 }
 
@@ -67,6 +87,7 @@ export interface Coupon {
 
 export interface AuthResponse {
   token: string;
+  refreshToken: string;
   user: User;
 }
 
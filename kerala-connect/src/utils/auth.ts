@@ -3,6 +3,7 @@ import { User } from '@/types';
 
 export const AUTH_TOKEN_KEY = 'authToken';
 export const CURRENT_USER_KEY = 'currentUser';
+export const REFRESH_TOKEN_KEY = 'refreshToken';
 
 export const saveAuthToken = async (token: string): Promise<void> => {
   try {
@@ -29,6 +30,31 @@ export const removeAuthToken = async (): Promise<void> => {
   }
 };
 
+export const saveRefreshToken = async (token: string): Promise<void> => {
+  try {
+    await AsyncStorage.setItem(REFRESH_TOKEN_KEY, token);
+  } catch (error) {
+    console.error('Error saving refresh token:', error);
+  }
+};
+
+export const getRefreshToken = async (): Promise<string | null> => {
+  try {
+    return await AsyncStorage.getItem(REFRESH_TOKEN_KEY);
+  } catch (error) {
+    console.error('Error getting refresh token:', error);
+    return null;
+  }
+};
+
+export const removeRefreshToken = async (): Promise<void> => {
+  try {
+    await AsyncStorage.removeItem(REFRESH_TOKEN_KEY);
+  } catch (error) {
+    console.error('Error removing refresh token:', error);
+  }
+};
+
 export const saveCurrentUser = async (user: User): Promise<void> => {
   try {
     await AsyncStorage.setItem(CURRENT_USER_KEY, JSON.stringify(user));
@@ -62,5 +88,6 @@ export const isAuthenticated = async (): Promise<boolean> => {
 
 export const clearAuthData = async (): Promise<void> => {
   await removeAuthToken();
+  await removeRefreshToken();
   await removeCurrentUser();
 };
\ No newline at end of file